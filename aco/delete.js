@@ -29,6 +29,7 @@ import {
 } from './lib/aco-delete.js';
 import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../shared/config-loader.js';
 import { loadJSON } from './lib/aco-helpers.js';
+import { getAdditionalLocales } from '../shared/localizations.js';
 import { SmartDetector } from './lib/smart-detector.js';
 import logger from '../shared/logger.js';
 import { format } from '../shared/format.js';
@@ -149,6 +150,11 @@ async function resetAll() {
     if (!skipProducts && skus.length > 0) {
       updateLine('🗑️  Deleting products...');
       
+      // Localized copies first; polling below tracks the default locale
+      for (const locale of getAdditionalLocales()) {
+        await deleteProductsBySKUs(skus, { dryRun, silent: true, locale });
+      }
+      
       // Submit deletion request (silent mode - polling will show progress)
       const deleteResult = await deleteProductsBySKUs(skus, { dryRun, silent: true });
       
@@ -235,6 +241,9 @@ async function resetAll() {
     
     // Step 4: Delete Categories (after products, before metadata)
     if (categorySlugs.length > 0) {
+      for (const locale of getAdditionalLocales()) {
+        await deleteCategories(categorySlugs, { dryRun, locale });
+      }
       results.categories = await deleteCategories(categorySlugs, { dryRun });
       if (results.categories.deleted > 0) {
         console.log(chalk.green(`✔ Deleted ${results.categories.deleted} categories`));
@@ -244,6 +253,9 @@ async function resetAll() {
     
     // Step 5: Delete Metadata (last, after all products and categories are deleted)
     if (!skipProducts && metadataCodes.length > 0) {
+      for (const locale of getAdditionalLocales()) {
+        await deleteMetadata(metadataCodes, { dryRun, locale });
+      }
       results.metadata = await deleteMetadata(metadataCodes, { dryRun });
       if (results.metadata.deleted > 0) {
         console.log(chalk.green(`✔ Deleted ${results.metadata.deleted} metadata attributes`));
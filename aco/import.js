@@ -8,7 +8,8 @@ import { updateLine, finishLine } from '../shared/progress.js';
 import { format } from '../shared/format.js';
 import { formatDuration } from './lib/aco-ingest-helpers.js';
 import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../shared/config-loader.js';
-import { loadJSON } from './lib/aco-helpers.js';
+import { loadJSON, localeBatches } from './lib/aco-helpers.js';
+import { getDefaultLocale } from '../shared/localizations.js';
 import chalk from 'chalk';
 
 // Import ingestion functions
@@ -185,12 +186,15 @@ async function ingestAll() {
       
       const variantsToUpdate = variants.map(v => ({
         sku: v.sku,
-        source: { locale: 'en-US' },
+        source: { locale: getDefaultLocale() },
         visibleIn: [] // Make invisible
       }));
       
       try {
-        await client.updateProducts(variantsToUpdate);
+        // Every locale has its own copy of the variant
+        for (const payload of localeBatches(variantsToUpdate, (v, locale) => ({ ...v, source: { locale } }))) {
+          await client.updateProducts(payload);
+        }
         updateLine(chalk.green(`✔ Set ${variants.length} ${variants.length === 1 ? 'variant' : 'variants'} to invisible`));
         finishLine();
       } catch (error) {
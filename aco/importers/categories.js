@@ -11,6 +11,8 @@
  * - State tracking for idempotency
  * - Hierarchical ingestion (parents before children)
  * - Standardized output (matches Commerce format)
+ * - Landing-page copy (description, meta title/description/keywords) from the
+ *   category-tree.json definition, for records that don't carry their own
  * 
  * @module aco/importers/categories
  */
@@ -21,15 +23,54 @@ import { dirname, join } from 'path';
 import { BaseIngester } from '../../shared/base-ingester.js';
 import { withRetry } from '../../shared/retry-util.js';
 import { getStateTracker } from '../lib/aco-state-tracker.js';
-import { loadJSON, createBatches, processBatches } from '../lib/aco-helpers.js';
-import { createCategories } from '../lib/aco-client.js';
-import { DATA_REPO_PATH as DATA_REPO } from '../../shared/config-loader.js';
+import { loadJSON, createBatches, processBatches, localeBatches } from '../lib/aco-helpers.js';
+import { localizeACOCategory } from '../../shared/localizations.js';
+import { createCategories, getACOClient } from '../lib/aco-client.js';
+import { CATEGORY_TREE, DATA_REPO_PATH as DATA_REPO } from '../../shared/config-loader.js';
+import { categoryUrlKey } from '../../commerce/lib/url-keys.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const BATCH_SIZE = 50; // Recommended batch size for category ingestion
 
+/**
+ * Definitions from category-tree.json by slug: the url_key path (with and without the
+ * project root's key) and, when unambiguous, the url_key alone
+ */
+function indexCategoryDefinitions(tree) {
+  const bySlug = new Map();
+  const byUrlKey = new Map();
+  const walk = (node, path) => {
+    if (node.urlKey) {
+      const slug = [...path, node.urlKey].join('/');
+      bySlug.set(slug, node);
+      bySlug.set(slug.split('/').slice(1).join('/'), node);
+      byUrlKey.set(node.urlKey, byUrlKey.has(node.urlKey) ? null : node);
+    }
+    for (const child of node.children || []) walk(child, node.urlKey ? [...path, node.urlKey] : path);
+  };
+  if (tree?.name) walk({ ...tree, urlKey: tree.urlKey || categoryUrlKey(tree.name) }, []);
+
+  return (slug) => bySlug.get(slug) || byUrlKey.get(slug.split('/').pop()) || null;
+}
+
+/**
+ * ACO fields for a definition's landing-page copy (Commerce-only fields such as
+ * display mode, anchor, CMS block and image have no ACO equivalent)
+ */
+function definitionFields(definition) {
+  const metaTags = {
+    ...(definition.metaTitle && { title: definition.metaTitle }),
+    ...(definition.metaDescription && { description: definition.metaDescription }),
+    ...(definition.metaKeywords && { keywords: definition.metaKeywords })
+  };
+  return {
+    ...(definition.description && { description: definition.description }),
+    ...(Object.keys(metaTags).length > 0 && { metaTags })
+  };
+}
+
 /**
  * Category Ingester
  * Ingests categories in hierarchical order (parents before children)
@@ -65,6 +106,22 @@ class CategoryIngester extends BaseIngester {
 
       this.logger.info(`Loaded ${allCategories.length} categories`);
 
+      // Landing-page copy from the category definitions (the record's own fields win)
+      const findDefinition = indexCategoryDefinitions(CATEGORY_TREE);
+      const definitionUpdates = [];
+      allCategories.forEach((category, index) => {
+        const definition = findDefinition(category.slug);
+        if (!definition) return;
+        const fields = definitionFields(definition);
+        allCategories[index] = { ...fields, ...category };
+        if (Object.keys(fields).length > 0 && this.stateTracker.hasCategory(category.slug)) {
+          definitionUpdates.push(allCategories[index]);
+        }
+      });
+
+      // Categories from an earlier run only get their landing-page copy refreshed
+      const updateResults = await this.updateLandingPageFields(definitionUpdates);
+
       // Filter out already-ingested categories
       const categoriesToIngest = allCategories.filter(cat => 
         !this.stateTracker.hasCategory(cat.slug)
@@ -73,10 +130,11 @@ class CategoryIngester extends BaseIngester {
       if (categoriesToIngest.length === 0) {
         this.logger.info('All categories already ingested (skipping)');
         return {
-          success: true,
+          success: updateResults.failed.length === 0,
           created: 0,
           existing: allCategories.length,
-          failed: 0,
+          updated: updateResults.updated.length,
+          failed: updateResults.failed.length,
           duration: (Date.now() - startTime) / 1000
         };
       }
@@ -94,7 +152,8 @@ class CategoryIngester extends BaseIngester {
       const results = {
         created: [],
         existing: [],
-        failed: []
+        updated: updateResults.updated,
+        failed: [...updateResults.failed]
       };
 
       for (let i = 0; i < batches.length; i++) {
@@ -107,7 +166,9 @@ class CategoryIngester extends BaseIngester {
           // Call ACO API with retry
           await withRetry(
             async () => {
-              const response = await createCategories(batch);
+              for (const payload of localeBatches(batch, localizeACOCategory)) {
+                await createCategories(payload);
+              }
               
               // Track successful ingestion
               for (const category of batch) {
@@ -146,6 +207,7 @@ class CategoryIngester extends BaseIngester {
         success: results.failed.length === 0,
         created: results.created.length,
         existing: allCategories.length - categoriesToIngest.length,
+        updated: results.updated.length,
         failed: results.failed.length,
         results,
         duration
@@ -157,6 +219,49 @@ class CategoryIngester extends BaseIngester {
     }
   }
 
+  /**
+   * PATCH the definition fields of categories that already exist in ACO
+   * Only slug, locale and the landing-page fields are sent, so nothing else changes
+   */
+  async updateLandingPageFields(categories) {
+    const results = { updated: [], failed: [] };
+    if (categories.length === 0) return results;
+
+    const client = getACOClient();
+    const updates = categories.map(category => ({
+      slug: category.slug,
+      source: category.source,
+      ...(category.description && { description: category.description }),
+      ...(category.metaTags && { metaTags: category.metaTags })
+    }));
+
+    for (const batch of createBatches(updates, BATCH_SIZE)) {
+      try {
+        await withRetry(
+          async () => {
+            for (const payload of localeBatches(batch, localizeACOCategory)) {
+              await client.updateCategories(payload);
+            }
+          },
+          {
+            name: 'Update category landing-page fields',
+            maxRetries: 3,
+            initialDelay: 1000
+          }
+        );
+        results.updated.push(...batch.map(category => category.slug));
+      } catch (error) {
+        this.logger.error(`Category update failed: ${error.message}`);
+        for (const category of batch) {
+          results.failed.push({ slug: category.slug, error: error.message });
+        }
+      }
+    }
+
+    this.logger.info(`Updated landing-page fields on ${results.updated.length} existing categories`);
+    return results;
+  }
+
   /**
    * Sort categories by hierarchy level (parents before children)
    * Categories without parentId come first, then children in order
@@ -226,6 +331,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
       console.log(`\n✔ Category ingestion complete!`);
       console.log(`  Created: ${result.created}`);
       console.log(`  Existing: ${result.existing}`);
+      console.log(`  Updated: ${result.updated}`);
       console.log(`  Failed: ${result.failed}`);
       console.log(`  Duration: ${result.duration}s\n`);
       process.exit(result.success ? 0 : 1);
@@ -22,7 +22,8 @@ import { fileURLToPath } from 'url';
 import { BaseIngester } from '../../shared/base-ingester.js';
 import { withRetry } from '../../shared/retry-util.js';
 import { getStateTracker } from '../lib/aco-state-tracker.js';
-import { loadJSON, createBatches, processBatches } from '../lib/aco-helpers.js';
+import { loadJSON, createBatches, processBatches, localeBatches } from '../lib/aco-helpers.js';
+import { getDefaultLocale, localizeACOMetadata } from '../../shared/localizations.js';
 import { DATA_REPO_PATH as DATA_REPO } from '../../shared/config-loader.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -100,7 +101,7 @@ function isSortable(attr) {
 function transformToACOMetadata(metadata) {
   return metadata.map(attr => ({
     code: attr.attributeId,
-    source: { locale: 'en-US' },
+    source: { locale: getDefaultLocale() },
     label: attr.label,
     dataType: DATA_TYPE_MAP[attr.type] || 'TEXT',
     visibleIn: getVisibilitySettings(attr),
@@ -230,19 +231,19 @@ class MetadataIngester extends BaseIngester {
       
       try {
         await withRetry(async () => {
-          const response = await client.createProductMetadata(batch);
-          
-          if (response.data && response.data.status === 'ACCEPTED') {
-            const acceptedCount = response.data.acceptedCount || batch.length;
-            
-            // Track each metadata in state and results
-            batch.forEach(meta => {
-              stateTracker.addMetadata(meta.code);
-              this.results.addCreated({ code: meta.code, label: meta.label });
-            });
-          } else {
-            throw new Error(`Batch ${batchNum} not accepted: ${JSON.stringify(response.data)}`);
+          // Labels are per locale: one request per locale, all must be accepted
+          for (const payload of localeBatches(batch, localizeACOMetadata)) {
+            const response = await client.createProductMetadata(payload);
+            if (!response.data || response.data.status !== 'ACCEPTED') {
+              throw new Error(`Batch ${batchNum} not accepted: ${JSON.stringify(response.data)}`);
+            }
           }
+          
+          // Track each metadata in state and results
+          batch.forEach(meta => {
+            stateTracker.addMetadata(meta.code);
+            this.results.addCreated({ code: meta.code, label: meta.label });
+          });
         }, {
           name: `Ingest metadata batch ${batchNum}`
         });
@@ -20,7 +20,9 @@ import { withRetry } from '../../shared/retry-util.js';
 import { getStateTracker } from '../lib/aco-state-tracker.js';
 import { SmartDetector } from '../lib/smart-detector.js';
 import { PollingProgress } from '../../shared/progress.js';
-import { loadJSON, validateItems } from '../lib/aco-helpers.js';
+import { loadJSON, validateItems, localeBatches } from '../lib/aco-helpers.js';
+import { localizeACOProduct } from '../../shared/localizations.js';
+import { withACOLinks } from '../../shared/product-links.js';
 import { DATA_REPO_PATH as DATA_REPO } from '../../shared/config-loader.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -52,7 +54,8 @@ class ProductIngester extends BaseIngester {
   
   async ingest() {
     // Load products
-    const products = await loadJSON('products.json', DATA_REPO, 'products');
+    // Related/up-sell/cross-sell links come from the Commerce datapack
+    const products = await withACOLinks(await loadJSON('products.json', DATA_REPO, 'products'));
     
     // Validate products
     this.logger.info('Validating product structure...');
@@ -111,7 +114,9 @@ class ProductIngester extends BaseIngester {
       
       try {
         await withRetry(async () => {
-          await client.createProducts(batch);
+          for (const payload of localeBatches(batch, localizeACOProduct)) {
+            await client.createProducts(payload);
+          }
         }, {
           name: `Ingest product batch ${batchNum}/${totalBatches}`
         });
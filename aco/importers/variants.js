@@ -32,7 +32,9 @@ import { BaseIngester } from '../../shared/base-ingester.js';
 import { withRetry } from '../../shared/retry-util.js';
 import { getStateTracker } from '../lib/aco-state-tracker.js';
 import { PollingProgress } from '../../shared/progress.js';
-import { loadJSON, validateItems } from '../lib/aco-helpers.js';
+import { loadJSON, validateItems, localeBatches } from '../lib/aco-helpers.js';
+import { localizeACOProduct } from '../../shared/localizations.js';
+import { withACOLinks } from '../../shared/product-links.js';
 import { DATA_REPO_PATH as DATA_REPO } from '../../shared/config-loader.js';
 import { SmartDetector } from '../lib/smart-detector.js';
 
@@ -65,7 +67,7 @@ class VariantIngester extends BaseIngester {
   
   async ingest() {
     // Load variants from data pack (source of truth)
-    const variants = await loadJSON('variants.json', DATA_REPO, 'variants');
+    const variants = await withACOLinks(await loadJSON('variants.json', DATA_REPO, 'variants'));
     
     // Load products count for catalog verification
     const products = await loadJSON('products.json', DATA_REPO, 'products');
@@ -144,7 +146,9 @@ class VariantIngester extends BaseIngester {
         
         try {
           await withRetry(async () => {
-            await client.createProducts(batch);
+            for (const payload of localeBatches(batch, localizeACOProduct)) {
+              await client.createProducts(payload);
+            }
           }, {
             name: `Ingest parent batch ${batchNum}/${totalBatches}`
           });
@@ -180,7 +184,9 @@ class VariantIngester extends BaseIngester {
         
         try {
           await withRetry(async () => {
-            await client.createProducts(batch);
+            for (const payload of localeBatches(batch, localizeACOProduct)) {
+              await client.createProducts(payload);
+            }
           }, {
             name: `Ingest variant batch ${batchNum}/${totalBatches}`
           });
@@ -30,6 +30,7 @@
 import { createClient, consoleLogger, LogLevel } from '@adobe-commerce/aco-ts-sdk';
 import dotenv from 'dotenv';
 import logger from '../../shared/logger.js';
+import { COMMERCE_CONFIG } from '../../shared/config-loader.js';
 
 // Load environment variables
 dotenv.config();
@@ -51,6 +52,8 @@ let clientInstance = null;
  * @param {string} customConfig.region - Deployment region (e.g., 'na1')
  * @param {string} customConfig.environment - Environment type ('sandbox' or 'production')
  * @param {number} [customConfig.timeoutMs=10000] - HTTP timeout in milliseconds
+ * @param {string} [customConfig.endpoint] - Base URL override (e.g. the offline stand-in); bypasses the SDK
+ * @param {string} [customConfig.imsTokenUrl] - IMS token URL used with an endpoint override
  * @returns {Object} Configured ACO SDK client
  * @throws {Error} If required configuration is missing
  *
@@ -62,13 +65,15 @@ export function createACOClient(customConfig = null) {
   // Use custom config or load from environment
   const config = customConfig || {
     credentials: {
-      clientId: process.env.ACO_CLIENT_ID,
-      clientSecret: process.env.ACO_CLIENT_SECRET
+      clientId: COMMERCE_CONFIG.aco.clientId,
+      clientSecret: COMMERCE_CONFIG.aco.clientSecret
     },
-    tenantId: process.env.ACO_TENANT_ID,
-    region: process.env.ACO_REGION || 'na1',
-    environment: process.env.ACO_ENVIRONMENT || 'sandbox',
-    timeoutMs: parseInt(process.env.ACO_TIMEOUT_MS || '30000', 10)
+    tenantId: COMMERCE_CONFIG.aco.tenantId,
+    region: COMMERCE_CONFIG.aco.region,
+    environment: COMMERCE_CONFIG.aco.environment,
+    timeoutMs: parseInt(process.env.ACO_TIMEOUT_MS || '30000', 10),
+    endpoint: COMMERCE_CONFIG.aco.endpoint,
+    imsTokenUrl: COMMERCE_CONFIG.aco.imsTokenUrl
   };
 
   // Validate required fields
@@ -93,6 +98,11 @@ export function createACOClient(customConfig = null) {
     endpoint: constructEndpoint(config)
   });
 
+  // The SDK only targets Adobe-hosted endpoints, so overrides use a plain HTTP client
+  if (config.endpoint) {
+    return createEndpointClient(config);
+  }
+
   // Create and return SDK client with WARN-level logging to suppress verbose DEBUG logs
   try {
     const client = createClient({
@@ -150,10 +160,94 @@ export function resetACOClient() {
  * @private
  */
 function constructEndpoint(config) {
+  if (config.endpoint) {
+    return `${config.endpoint.replace(/\/$/, '')}/${config.tenantId}/v1/catalog`;
+  }
   const envSuffix = config.environment === 'sandbox' ? '-sandbox' : '';
   return `https://${config.region}${envSuffix}.api.commerce.adobe.com/${config.tenantId}/v1/catalog`;
 }
 
+/**
+ * Creates a minimal HTTP client for an overridden endpoint
+ *
+ * Implements the subset of SDK methods the ingesters use, with the same
+ * response shape (`{ data: { status, acceptedCount } }`).
+ *
+ * @param {Object} config - Client configuration with endpoint and imsTokenUrl
+ * @returns {Object} SDK-compatible client
+ * @private
+ */
+function createEndpointClient(config) {
+  const baseUrl = constructEndpoint(config);
+  let accessToken = null;
+
+  async function getAccessToken() {
+    if (accessToken) return accessToken;
+
+    const response = await fetch(config.imsTokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_id: config.credentials.clientId,
+        client_secret: config.credentials.clientSecret,
+        scope: 'openid,AdobeID,additional_info.projectedProductContext'
+      }).toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to get access token: ${response.status}`);
+    }
+
+    accessToken = (await response.json()).access_token;
+    return accessToken;
+  }
+
+  async function send(method, path, items) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await getAccessToken()}`
+      },
+      body: JSON.stringify(items),
+      signal: AbortSignal.timeout(config.timeoutMs || 30000)
+    });
+
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      const error = new Error(data?.message || `HTTP ${response.status}`);
+      error.status = response.status;
+      error.data = data;
+      throw error;
+    }
+
+    return { data };
+  }
+
+  logger.debug(`ACO endpoint override active: ${baseUrl}`);
+
+  return {
+    createProducts: (items) => send('POST', '/products', items),
+    updateProducts: (items) => send('PATCH', '/products', items),
+    deleteProducts: (items) => send('POST', '/products/delete', items),
+    createProductMetadata: (items) => send('POST', '/products/metadata', items),
+    updateProductMetadata: (items) => send('PATCH', '/products/metadata', items),
+    deleteProductMetadata: (items) => send('POST', '/products/metadata/delete', items),
+    createCategories: (items) => send('POST', '/categories', items),
+    updateCategories: (items) => send('PATCH', '/categories', items),
+    deleteCategories: (items) => send('POST', '/categories/delete', items),
+    createPriceBooks: (items) => send('POST', '/price-books', items),
+    updatePriceBooks: (items) => send('PATCH', '/price-books', items),
+    deletePriceBooks: (items) => send('POST', '/price-books/delete', items),
+    createPrices: (items) => send('POST', '/products/prices', items),
+    updatePrices: (items) => send('PATCH', '/products/prices', items),
+    deletePrices: (items) => send('POST', '/products/prices/delete', items)
+  };
+}
+
 /**
  * Gets the GraphQL endpoint URL
  *
@@ -165,6 +259,10 @@ function constructEndpoint(config) {
  * // Returns: https://na1-sandbox.api.commerce.adobe.com/tenant-123/graphql
  */
 export function getGraphQLEndpoint() {
+  if (COMMERCE_CONFIG.aco.endpoint) {
+    return `${COMMERCE_CONFIG.aco.endpoint.replace(/\/$/, '')}/${COMMERCE_CONFIG.aco.tenantId}/graphql`;
+  }
+
   const region = process.env.ACO_REGION || 'na1';
   const environment = process.env.ACO_ENVIRONMENT || 'sandbox';
   const tenantId = process.env.ACO_TENANT_ID;
@@ -9,6 +9,7 @@
 
 import { getACOClient } from './aco-client.js';
 import logger from '../../shared/logger.js';
+import { getDefaultLocale } from '../../shared/localizations.js';
 
 /**
  * Delete prices by SKUs and price book IDs
@@ -211,7 +212,7 @@ export async function deletePriceBooks(priceBookIds, options = {}) {
  * 
  * @param {Array<string>} skus - SKUs to delete
  * @param {Object} options - Delete options
- * @param {string} [options.locale='en-US'] - Source locale
+ * @param {string} [options.locale] - Source locale (default: localizations default locale)
  * @param {number} [options.batchSize=100] - Products per batch
  * @param {boolean} [options.dryRun=false] - Dry run mode
  * @returns {Promise<Object>} Deletion results
@@ -220,7 +221,7 @@ export async function deletePriceBooks(priceBookIds, options = {}) {
  * const result = await deleteProductsBySKUs(['SKU-001', 'SKU-002']);
  */
 export async function deleteProductsBySKUs(skus, options = {}) {
-  const { locale = 'en-US', batchSize = 100, dryRun = false, silent = false } = options;
+  const { locale = getDefaultLocale(), batchSize = 100, dryRun = false, silent = false } = options;
   
   logger.debug('Delete Products Operation', {
     count: skus.length,
@@ -311,7 +312,7 @@ export async function deleteProductsBySKUs(skus, options = {}) {
  * 
  * @param {Array<string>} attributeCodes - Attribute codes to delete
  * @param {Object} options - Delete options
- * @param {string} [options.locale='en-US'] - Source locale
+ * @param {string} [options.locale] - Source locale (default: localizations default locale)
  * @param {number} [options.batchSize=50] - Attributes per batch
  * @param {boolean} [options.dryRun=false] - Dry run mode
  * @returns {Promise<Object>} Deletion results
@@ -320,7 +321,7 @@ export async function deleteProductsBySKUs(skus, options = {}) {
  * const result = await deleteMetadata(['br_product_category', 'br_brand']);
  */
 export async function deleteMetadata(attributeCodes, options = {}) {
-  const { locale = 'en-US', batchSize = 50, dryRun = false } = options;
+  const { locale = getDefaultLocale(), batchSize = 50, dryRun = false } = options;
   
   logger.debug('Delete Metadata Operation', {
     count: attributeCodes.length,
@@ -379,7 +380,7 @@ export async function deleteMetadata(attributeCodes, options = {}) {
  * 
  * @param {string[]} slugs - Array of category slugs to delete
  * @param {Object} options - Delete options
- * @param {string} [options.locale='en-US'] - Locale for deletion
+ * @param {string} [options.locale] - Locale for deletion (default: localizations default locale)
  * @param {number} [options.batchSize=50] - Batch size for deletion
  * @param {boolean} [options.dryRun=false] - Preview mode
  * @returns {Promise<Object>} Deletion result
@@ -388,7 +389,7 @@ export async function deleteMetadata(attributeCodes, options = {}) {
  * const result = await deleteCategories(['structural-materials', 'roofing']);
  */
 export async function deleteCategories(slugs, options = {}) {
-  const { locale = 'en-US', batchSize = 50, dryRun = false } = options;
+  const { locale = getDefaultLocale(), batchSize = 50, dryRun = false } = options;
   
   logger.debug('Delete Categories Operation', {
     count: slugs.length,
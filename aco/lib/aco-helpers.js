@@ -6,9 +6,13 @@
 import { promises as fs } from 'fs';
 import { join } from 'path';
 import logger from '../../shared/logger.js';
+import { getAdditionalLocales } from '../../shared/localizations.js';
+import { readDatapackItems, DatapackFormatError } from '../../shared/datapack-reader.js';
 
 /**
  * Load JSON file from data repository
+ * Top-level arrays are streamed record by record (shared/datapack-reader.js);
+ * other documents are parsed whole
  * 
  * @param {string} filename - Relative path within generated/aco/ directory
  * @param {string} dataRepo - Path to data repository
@@ -20,8 +24,10 @@ export async function loadJSON(filename, dataRepo, label = 'data') {
   logger.debug(`Loading ${label} from: ${filePath}`);
   
   try {
-    const content = await fs.readFile(filePath, 'utf-8');
-    const data = JSON.parse(content);
+    const data = await readDatapackItems(filePath).catch(async (error) => {
+      if (!(error instanceof DatapackFormatError)) throw error;
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    });
     logger.debug(`Loaded ${Array.isArray(data) ? data.length : 'N/A'} ${label}`);
     return data;
   } catch (error) {
@@ -72,6 +78,19 @@ export function createBatches(items, batchSize) {
   return batches;
 }
 
+/**
+ * Expand a batch into one payload per locale
+ * The first payload is the batch as-is (default locale), followed by a localized
+ * copy for each additional locale in localizations.json
+ * 
+ * @param {Array} batch - Default-locale items
+ * @param {Function} localizeFn - (item, locale) => localized item
+ * @returns {Array<Array>} Payloads to send, one per locale
+ */
+export function localeBatches(batch, localizeFn) {
+  return [batch, ...getAdditionalLocales().map(locale => batch.map(item => localizeFn(item, locale)))];
+}
+
 /**
  * Process batches with logging and error handling
  * 
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+
+/**
+ * Offline ACO Stand-in
+ * In-memory implementation of the ACO data ingestion endpoints, the IMS token
+ * endpoint and the Catalog Service GraphQL queries used by SmartDetector, so
+ * aco/import.js and aco/delete.js can run end-to-end without a tenant.
+ *
+ * Start standalone:  npm run offline:aco
+ * Point the scripts at it:  ACO_OFFLINE=true npm run import:aco
+ *
+ * Writes are accepted immediately but only become visible to GraphQL after the
+ * configured indexing delay, so the catalog polling loops get exercised.
+ */
+
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { COMMERCE_CONFIG } from '../../shared/config-loader.js';
+import {
+  HttpError,
+  createRouter,
+  startServer
+} from '../../shared/offline-http.js';
+
+const CATALOG = '^/(?<tenant>[\\w-]+)/v1/catalog';
+
+/**
+ * Entity definitions: how each ingestion resource is keyed
+ * Locale-scoped entities are stored per source locale, like ACO does
+ */
+const ENTITIES = {
+  products: { path: '/products', keyFields: ['sku'], localized: true },
+  metadata: { path: '/products/metadata', keyFields: ['code'], localized: true },
+  categories: { path: '/categories', keyFields: ['slug'], localized: true },
+  priceBooks: { path: '/price-books', keyFields: ['priceBookId'], localized: false },
+  prices: { path: '/products/prices', keyFields: ['sku', 'priceBookId'], localized: false, required: ['regular'] }
+};
+
+/**
+ * Build an empty in-memory catalog
+ */
+export function createOfflineACOState() {
+  const state = {
+    tokens: new Set(),
+    pending: [],
+    index: new Map()
+  };
+  for (const name of Object.keys(ENTITIES)) {
+    state[name] = new Map();
+  }
+  return state;
+}
+
+function entityKey(definition, item) {
+  const key = definition.keyFields.map(field => item[field]).join('|');
+  return definition.localized ? `${item.source.locale}:${key}` : key;
+}
+
+/**
+ * Validate an ingestion payload, returning per-item errors like the API does
+ */
+function validatePayload(definition, items, { isCreate = false } = {}) {
+  if (!Array.isArray(items)) {
+    throw new HttpError(400, 'Request body must be an array');
+  }
+
+  const required = [...definition.keyFields, ...(isCreate ? definition.required || [] : [])];
+  const errors = [];
+  items.forEach((item, index) => {
+    const missing = required.find(field => item?.[field] === undefined || item[field] === '');
+    if (missing) {
+      errors.push({ index, message: `Missing required field: ${missing}` });
+    } else if (definition.localized && !item.source?.locale) {
+      errors.push({ index, message: 'Missing required field: source.locale' });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new HttpError(400, `Validation failed for ${errors.length} item(s)`, { errors });
+  }
+}
+
+/**
+ * Register ingestion, IMS and GraphQL routes
+ */
+function registerRoutes(router, state, options) {
+  const { indexingDelayMs } = options;
+
+  // Product writes reach the GraphQL index only after the indexing delay
+  const scheduleIndex = (key, product) => {
+    state.pending.push({ applyAt: Date.now() + indexingDelayMs, key, product });
+  };
+
+  const flushIndex = () => {
+    const now = Date.now();
+    const ready = state.pending.filter(entry => entry.applyAt <= now);
+    state.pending = state.pending.filter(entry => entry.applyAt > now);
+    for (const entry of ready) {
+      if (entry.product) {
+        state.index.set(entry.key, entry.product);
+      } else {
+        state.index.delete(entry.key);
+      }
+    }
+  };
+
+  const accepted = (count) => ({ status: 'ACCEPTED', acceptedCount: count });
+
+  // ==================== IMS ====================
+
+  router.add('POST', /^\/ims\/token\/v3$/, ({ body }) => {
+    if (body?.client_id !== options.clientId || body?.client_secret !== options.clientSecret) {
+      throw new HttpError(400, 'invalid_client');
+    }
+    const token = randomBytes(24).toString('hex');
+    state.tokens.add(token);
+    return { access_token: token, token_type: 'bearer', expires_in: 86399 };
+  });
+
+  // ==================== Ingestion ====================
+
+  for (const [name, definition] of Object.entries(ENTITIES)) {
+    const store = state[name];
+    const pattern = (suffix = '') => new RegExp(`${CATALOG}${definition.path}${suffix}$`);
+
+    router.add('POST', pattern(), ({ body }) => {
+      validatePayload(definition, body, { isCreate: true });
+      for (const item of body) {
+        const key = entityKey(definition, item);
+        store.set(key, structuredClone(item));
+        if (name === 'products') scheduleIndex(key, store.get(key));
+      }
+      return accepted(body.length);
+    });
+
+    router.add('PATCH', pattern(), ({ body }) => {
+      validatePayload(definition, body);
+      let count = 0;
+      for (const item of body) {
+        const key = entityKey(definition, item);
+        const existing = store.get(key);
+        if (!existing) continue;
+        store.set(key, { ...existing, ...structuredClone(item) });
+        if (name === 'products') scheduleIndex(key, store.get(key));
+        count++;
+      }
+      return accepted(count);
+    });
+
+    router.add('POST', pattern('/delete'), ({ body }) => {
+      validatePayload(definition, body);
+      let count = 0;
+      for (const item of body) {
+        const key = entityKey(definition, item);
+        if (store.delete(key)) {
+          count++;
+          if (name === 'products') scheduleIndex(key, null);
+        }
+      }
+      return accepted(count);
+    });
+  }
+
+  // ==================== GraphQL ====================
+
+  const typename = (product) => (product.options?.length > 0 ? 'ComplexProductView' : 'SimpleProductView');
+
+  const indexedProducts = (locale) =>
+    Array.from(state.index.entries())
+      .filter(([key]) => key.startsWith(`${locale}:`))
+      .map(([, product]) => product);
+
+  router.add('POST', /^\/(?<tenant>[\w-]+)\/graphql$/, ({ body, headers }) => {
+    flushIndex();
+
+    const query = body?.query || '';
+    const variables = body?.variables || {};
+    const locale = headers['ac-source-locale'] || 'en-US';
+
+    const skusMatch = /products\s*\(\s*skus\s*:\s*(\[[^\]]*\]|\$\w+)/.exec(query);
+    if (skusMatch) {
+      const skus = skusMatch[1].startsWith('$')
+        ? variables[skusMatch[1].slice(1)] || []
+        : JSON.parse(skusMatch[1]);
+      const bySku = new Map(indexedProducts(locale).map(product => [product.sku, product]));
+      const products = skus
+        .filter(sku => bySku.has(sku))
+        .map(sku => ({ __typename: typename(bySku.get(sku)), sku, name: bySku.get(sku).name }));
+      return { data: { products } };
+    }
+
+    const searchMatch = /productSearch\s*\(([^)]*)\)/.exec(query);
+    if (searchMatch) {
+      if (!headers['ac-price-book-id']) {
+        return { errors: [{ message: 'AC-Price-Book-Id header is required' }] };
+      }
+      const args = searchMatch[1];
+      const phraseArg = /phrase\s*:\s*(?:"([^"]*)"|\$(\w+))/.exec(args);
+      const sizeArg = /page_size\s*:\s*(?:(\d+)|\$(\w+))/.exec(args);
+      const phrase = phraseArg ? (phraseArg[1] ?? variables[phraseArg[2]] ?? '') : '';
+      const pageSize = sizeArg ? Number(sizeArg[1] ?? variables[sizeArg[2]] ?? 20) : 20;
+
+      // Search only returns products visible in search (invisible variants are excluded)
+      const matches = indexedProducts(locale)
+        .filter(product => (product.visibleIn || ['CATALOG', 'SEARCH']).includes('SEARCH'))
+        .filter(product => !phrase || `${product.sku} ${product.name}`.toLowerCase().includes(phrase.toLowerCase()));
+
+      return {
+        data: {
+          productSearch: {
+            total_count: matches.length,
+            items: matches.slice(0, pageSize).map(product => ({ productView: { sku: product.sku, name: product.name } }))
+          }
+        }
+      };
+    }
+
+    return { errors: [{ message: 'Offline ACO stand-in supports only products(skus:) and productSearch queries' }] };
+  });
+}
+
+/**
+ * Start the offline ACO stand-in
+ *
+ * @param {Object} options - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 = random free port)
+ * @param {number} [options.indexingDelayMs=0] - Delay before writes are visible to GraphQL
+ * @param {string} [options.clientId] - IMS client ID accepted by the token endpoint
+ * @param {string} [options.clientSecret] - IMS client secret accepted by the token endpoint
+ * @param {boolean} [options.verbose=false] - Log every request
+ * @returns {Promise<{ url: string, state: Object, close: Function }>}
+ */
+export async function createOfflineACOServer(options = {}) {
+  const {
+    port = 0,
+    indexingDelayMs = 0,
+    clientId = COMMERCE_CONFIG.aco.clientId,
+    clientSecret = COMMERCE_CONFIG.aco.clientSecret,
+    verbose = false
+  } = options;
+
+  const state = createOfflineACOState();
+  const router = createRouter();
+  registerRoutes(router, state, { indexingDelayMs, clientId, clientSecret });
+
+  // Ingestion requires an IMS token; GraphQL and IMS itself do not
+  const authorize = (req, pathname) => {
+    if (!pathname.includes('/v1/catalog')) return;
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!state.tokens.has(token)) {
+      throw new HttpError(401, 'Unauthorized');
+    }
+  };
+
+  const onRequest = verbose
+    ? (method, pathname, status) => console.log(`[OFFLINE] ${status} ${method} ${pathname}`)
+    : null;
+
+  const { url, close } = await startServer(router, { port, authorize, onRequest });
+  return { url, state, close };
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const getArg = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1];
+  const port = getArg('port') ? parseInt(getArg('port'), 10) : COMMERCE_CONFIG.aco.offline.port;
+  const indexingDelayMs = getArg('indexing-delay') ? parseInt(getArg('indexing-delay'), 10) : COMMERCE_CONFIG.aco.offline.indexingDelayMs;
+  const verbose = process.argv.includes('--verbose');
+
+  createOfflineACOServer({ port, indexingDelayMs, verbose })
+    .then(({ url, close }) => {
+      console.log(`Offline ACO stand-in listening on ${url} (indexing delay ${indexingDelayMs}ms)`);
+      console.log(`Run the scripts with ACO_OFFLINE=true (and ACO_OFFLINE_PORT=${port} if changed)`);
+
+      const shutdown = () => close().then(() => process.exit(0));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    })
+    .catch(error => {
+      console.error('Failed to start offline ACO stand-in:', error.message);
+      process.exit(1);
+    });
+}
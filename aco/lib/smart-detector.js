@@ -8,6 +8,7 @@
 
 import { commerceApi } from '../../commerce/lib/commerce-api.js';
 import logger from '../../shared/logger.js';
+import { getDefaultLocale } from '../../shared/localizations.js';
 import { COMMERCE_CONFIG, CUSTOMER_GROUPS } from '../../shared/config-loader.js';
 
 /**
@@ -43,6 +44,9 @@ export class SmartDetector {
    * Get ACO GraphQL endpoint
    */
   getACOEndpoint() {
+    if (this.acoConfig.endpoint) {
+      return `${this.acoConfig.endpoint.replace(/\/$/, '')}/${this.acoConfig.tenantId}/graphql`;
+    }
     const envSuffix = this.acoConfig.environment === 'sandbox' ? '-sandbox' : '';
     return `https://${this.acoConfig.region}${envSuffix}.api.commerce.adobe.com/${this.acoConfig.tenantId}/graphql`;
   }
@@ -51,8 +55,6 @@ export class SmartDetector {
    * Get OAuth access token for ACO API
    */
   async getAccessToken() {
-    const IMS_TOKEN_URL = 'https://ims-na1.adobelogin.com/ims/token/v3';
-    
     const params = new URLSearchParams({
       grant_type: 'client_credentials',
       client_id: this.acoConfig.clientId,
@@ -60,7 +62,7 @@ export class SmartDetector {
       scope: 'openid,AdobeID,additional_info.projectedProductContext'
     });
 
-    const response = await fetch(IMS_TOKEN_URL, {
+    const response = await fetch(this.acoConfig.imsTokenUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
       body: params.toString()
@@ -104,7 +106,7 @@ export class SmartDetector {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
           'AC-Environment-Id': this.acoConfig.tenantId,
-          'AC-Source-Locale': 'en-US'
+          'AC-Source-Locale': getDefaultLocale()
         },
         body: JSON.stringify({ query })
       });
@@ -163,7 +165,7 @@ export class SmartDetector {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`,
         'AC-Environment-Id': this.acoConfig.tenantId,
-        'AC-Source-Locale': 'en-US',
+        'AC-Source-Locale': getDefaultLocale(),
         'AC-Price-Book-Id': 'US-Retail'
       };
       
@@ -279,7 +281,7 @@ export class SmartDetector {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${token}`,
           'AC-Environment-Id': this.acoConfig.tenantId,
-          'AC-Source-Locale': 'en-US',
+          'AC-Source-Locale': getDefaultLocale(),
           'AC-Price-Book-Id': 'US-Retail'  // Required for productSearch
         },
         body: JSON.stringify({ 
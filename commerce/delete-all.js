@@ -5,15 +5,18 @@
  * Removes ALL BuildRight data for a clean re-import
  * 
  * Deletion order (reverse of import order):
+ * 10. Custom Shared Catalogs (before their customer groups)
+ * 9. B2B Companies (before their admins and users)
  * 8. Demo Customers
  * 7. Customer Attributes (ACO context: aco_catalog_view_id, aco_price_book_id)
- * 6. Bundle Products
+ * 6. Bundle & Grouped Products (before their children)
  * 5. Product Images (deleted with products)
  * 4. Simple Products (including configurables)
  * 3. Categories
+ * 2.5. Attribute Sets (project sets from accs_attribute_sets.json)
  * 2. Product Attributes (42 custom attributes)
  * 1. Customer Groups (4 BuildRight groups)
- * 0. Stores (BuildRight website/store/view)
+ * 0. Stores (websites, store groups and store views in accs_stores.json)
  * 
  * Usage:
  *   npm run delete:data                    # Delete products and bundles only (safe)
@@ -29,6 +32,11 @@ import { commerceApi, logger } from './lib/commerce-api.js';
 import { COMMERCE_CONFIG } from '../shared/config-loader.js';
 import { formatDuration, BaseImporter } from '../shared/base-importer.js';
 import { getStateTracker } from './lib/state-tracker.js';
+import { loadAttributeSetDefinitions, fetchAttributeSetMap } from './importers/attribute-sets.js';
+import { COMPOSITE_TYPES } from './importers/products.js';
+import { loadCompanyDefinitions } from './importers/companies.js';
+import { loadStores, buildStoreTopology } from './importers/stores.js';
+import { loadSharedCatalogDefinitions } from './importers/custom-shared-catalogs.js';
 import SmartDetector from '../aco/lib/smart-detector.js';
 import { format, withSpinner, updateLine, finishLine } from '../shared/format.js';
 
@@ -48,6 +56,8 @@ const deleteCategories = args.includes('--categories') || deleteAll;
 const deleteAttributes = args.includes('--attributes') || deleteAll;
 const deleteCustomerGroups = args.includes('--customer-groups') || deleteAll;
 const deleteCustomers = args.includes('--customers') || deleteAll;
+const deleteCompanies = args.includes('--companies') || deleteCustomers; // Company admins can't be deleted
+const deleteSharedCatalogs = args.includes('--shared-catalogs') || deleteCustomerGroups; // Linked groups can't be deleted
 const deleteCustomerAttrs = args.includes('--customer-attributes') || deleteAll;
 const deleteStores = deleteFull;
 const skipConfirm = args.includes('--yes') || args.includes('-y');
@@ -68,6 +78,19 @@ async function findProjectProducts() {
   return result.skus;
 }
 
+/**
+ * Split project SKUs into composite parents (bundle, grouped) and everything else
+ * Parents go first so no bundle is left pointing at deleted selections
+ */
+async function splitCompositeProducts(detector, skus) {
+  const projectSkus = new Set(skus);
+  const compositeSkus = (await detector.getAllProducts())
+    .filter(product => projectSkus.has(product.sku) && COMPOSITE_TYPES.includes(product.type_id))
+    .map(product => product.sku);
+  const composite = new Set(compositeSkus);
+  return { compositeSkus, otherSkus: skus.filter(sku => !composite.has(sku)) };
+}
+
 /**
  * Delete products by SKU using parallel processing
  */
@@ -250,6 +273,119 @@ async function deleteProjectCategories() {
   }
 }
 
+/**
+ * Find project custom shared catalogs (datapack catalogs, matched by name)
+ */
+async function findProjectSharedCatalogs() {
+  try {
+    const definitions = await loadSharedCatalogDefinitions();
+    if (definitions.length === 0) return [];
+    
+    const names = new Set(definitions.map(catalog => catalog.name));
+    const catalogs = await commerceApi.getSharedCatalogs();
+    // Never the public catalog, even if the datapack names it
+    return catalogs.filter(catalog => catalog.type !== 1 && names.has(catalog.name));
+  } catch (error) {
+    // 404 when B2B isn't installed
+    logger.debug(`Error finding shared catalogs: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Delete project custom shared catalogs
+ * Commerce removes the customer groups it created for them
+ */
+async function deleteProjectSharedCatalogs() {
+  const projectCatalogs = await findProjectSharedCatalogs();
+  
+  let deleted = 0;
+  let failed = 0;
+  
+  for (const catalog of projectCatalogs) {
+    try {
+      if (!isDryRun) {
+        await commerceApi.deleteSharedCatalog(catalog.id);
+      }
+      deleted++;
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug(`Shared catalog ${catalog.name} already deleted`);
+        deleted++;
+      } else {
+        console.log(chalk.yellow(`⚠ Failed to delete shared catalog ${catalog.name} (ID: ${catalog.id}): ${error.message}`));
+        failed++;
+      }
+    }
+  }
+  
+  return { deleted, failed };
+}
+
+/**
+ * Find project B2B companies (datapack companies, matched by name or email)
+ */
+async function findProjectCompanies() {
+  try {
+    const definitions = await loadCompanyDefinitions();
+    if (definitions.length === 0) return [];
+    
+    const names = new Set(definitions.map(company => company.name?.toLowerCase()).filter(Boolean));
+    const emails = new Set(definitions.map(company => company.email?.toLowerCase()).filter(Boolean));
+    
+    const companies = await commerceApi.getCompanies();
+    const found = companies.filter(company =>
+      names.has(company.company_name?.toLowerCase()) || emails.has(company.company_email?.toLowerCase())
+    );
+    
+    logger.debug(`Found ${found.length} of ${definitions.length} datapack companies`);
+    return found;
+  } catch (error) {
+    // 404 when B2B isn't installed
+    logger.debug(`Error finding companies: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Delete project B2B companies
+ * Their users stay as (unlinked) customers for the customers step
+ */
+async function deleteProjectCompanies() {
+  const projectCompanies = await findProjectCompanies();
+  
+  let deleted = 0;
+  let failed = 0;
+  const failureDetails = [];
+  
+  for (const company of projectCompanies) {
+    try {
+      if (!isDryRun) {
+        await commerceApi.deleteCompany(company.id);
+      }
+      deleted++;
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug(`Company ${company.company_name} already deleted`);
+        deleted++;
+      } else {
+        logger.debug(`  Failed to delete ${company.company_name}: ${error.message}`);
+        failureDetails.push({ name: company.company_name, id: company.id, error: error.message });
+        failed++;
+      }
+    }
+  }
+  
+  if (failureDetails.length > 0) {
+    console.log(chalk.yellow(`⚠ ${failureDetails.length} company deletion(s) failed:`));
+    failureDetails.slice(0, 5).forEach(({ name, id, error }) => {
+      console.log(chalk.yellow(`  • ${name} (ID: ${id}): ${error}`));
+    });
+  }
+  
+  return { deleted, failed, failureDetails };
+}
+
 /**
  * Find project demo customers
  */
@@ -381,6 +517,45 @@ async function deleteProjectCustomerAttributes() {
   }
 }
 
+/**
+ * Delete project attribute sets named in the datapack
+ * Runs after products are gone; Commerce moves any remaining products to the Default set
+ */
+async function deleteProjectAttributeSets() {
+  let deleted = 0;
+  let failed = 0;
+  
+  try {
+    const names = loadAttributeSetDefinitions().map(set => set.attribute_set_name);
+    if (names.length === 0) {
+      return { deleted: 0, failed: 0 };
+    }
+    
+    const attributeSetMap = await fetchAttributeSetMap(commerceApi);
+    
+    for (const name of names) {
+      const attributeSetId = attributeSetMap[name];
+      if (!attributeSetId) continue;
+      
+      try {
+        if (!isDryRun) {
+          await commerceApi.deleteAttributeSet(attributeSetId);
+        }
+        deleted++;
+      } catch (error) {
+        logger.debug(`  Failed to delete attribute set ${name}: ${error.message}`);
+        failed++;
+      }
+    }
+    
+    return { deleted, failed };
+    
+  } catch (error) {
+    logger.debug(`Failed to query attribute sets: ${error.message}`);
+    return { deleted: 0, failed: 1 };
+  }
+}
+
 /**
  * Delete BuildRight product attributes using smart detection
  */
@@ -504,19 +679,22 @@ async function deleteProjectCustomerGroups() {
 }
 
 /**
- * Delete BuildRight stores (website, store group, store view)
+ * Delete the websites, store groups and store views in the stores datapack
  */
 async function deleteProjectStores() {
   let deleted = 0;
   let failed = 0;
   
   try {
+    const topology = buildStoreTopology(loadStores());
+    const groups = topology.flatMap(website => [...website.groups.values()]);
+    const websiteCodes = new Set(topology.map(website => website.code));
+    const groupCodes = new Set(groups.map(group => group.code));
+    const viewCodes = new Set(groups.flatMap(group => [...group.views.keys()]));
+
     // 1. Delete store views first
     const storeViews = await commerceApi.getStoreViews();
-    const projectViewCode = COMMERCE_CONFIG.storeViewCode;
-    const projectViews = storeViews.filter(v => 
-      v.code === projectViewCode || v.code?.includes(projectViewCode)
-    );
+    const projectViews = storeViews.filter(v => viewCodes.has(v.code));
     
     for (const view of projectViews) {
       try {
@@ -534,10 +712,7 @@ async function deleteProjectStores() {
     
     // 2. Delete store groups
     const storeGroups = await commerceApi.getStoreGroups();
-    const projectStoreCode = COMMERCE_CONFIG.storeCode;
-    const projectGroups = storeGroups.filter(g => 
-      g.code === projectStoreCode || g.code?.includes(projectStoreCode)
-    );
+    const projectGroups = storeGroups.filter(g => groupCodes.has(g.code));
     
     for (const group of projectGroups) {
       try {
@@ -555,10 +730,7 @@ async function deleteProjectStores() {
     
     // 3. Delete websites
     const websites = await commerceApi.getWebsites();
-    const projectWebsiteCode = COMMERCE_CONFIG.websiteCode;
-    const projectWebsites = websites.filter(w => 
-      w.code === projectWebsiteCode || w.code?.includes(projectWebsiteCode)
-    );
+    const projectWebsites = websites.filter(w => websiteCodes.has(w.code));
     
     for (const website of projectWebsites) {
       try {
@@ -596,6 +768,8 @@ async function deleteProjectStores() {
  */
 async function performDeletion(detector, options) {
   const {
+    deleteSharedCatalogs,
+    deleteCompanies,
     deleteCustomers,
     deleteCustomerAttrs,
     deleteCategories,
@@ -607,10 +781,14 @@ async function performDeletion(detector, options) {
   } = options;
   
   const results = {
+    bundles: { deleted: 0, failed: 0 },
     products: { deleted: 0, failed: 0 },
     categories: { deleted: 0, failed: 0 },
+    attributeSets: { deleted: 0, failed: 0 },
     attributes: { deleted: 0, failed: 0, notFound: 0 },
     customerGroups: { deleted: 0, failed: 0, notFound: 0 },
+    sharedCatalogs: { deleted: 0, failed: 0 },
+    companies: { deleted: 0, failed: 0 },
     customers: { deleted: 0, failed: 0 },
     customerAttributes: { deleted: 0, failed: 0, notFound: 0 },
     stores: { deleted: 0, failed: 0, notFound: 0 }
@@ -622,6 +800,22 @@ async function performDeletion(detector, options) {
   
   // Deletion in reverse order of import (single line per step)
   
+  // Step 10: Custom Shared Catalogs
+  if (deleteSharedCatalogs) {
+    results.sharedCatalogs = await deleteProjectSharedCatalogs();
+    if (!silent && results.sharedCatalogs.deleted > 0) {
+      console.log(chalk.green(`✔ Deleted ${results.sharedCatalogs.deleted} shared catalogs`));
+    }
+  }
+  
+  // Step 9: B2B Companies
+  if (deleteCompanies) {
+    results.companies = await deleteProjectCompanies();
+    if (!silent && results.companies.deleted > 0) {
+      console.log(chalk.green(`✔ Deleted ${results.companies.deleted} companies`));
+    }
+  }
+  
   // Step 8: Demo Customers
   if (deleteCustomers) {
     results.customers = await deleteProjectCustomers();
@@ -638,9 +832,19 @@ async function performDeletion(detector, options) {
     }
   }
   
-  // Step 6 & 4: All Products
-  if (skus.length > 0) {
-    results.products = await deleteProducts(skus);
+  const { compositeSkus, otherSkus } = await splitCompositeProducts(detector, skus);
+  
+  // Step 6: Bundle & Grouped Products
+  if (compositeSkus.length > 0) {
+    results.bundles = await deleteProducts(compositeSkus);
+    if (!silent && results.bundles.deleted > 0) {
+      console.log(chalk.green(`✔ Deleted ${results.bundles.deleted} bundle and grouped products`));
+    }
+  }
+  
+  // Step 4: All Other Products
+  if (otherSkus.length > 0) {
+    results.products = await deleteProducts(otherSkus);
     if (!silent && results.products.deleted > 0) {
       console.log(chalk.green(`✔ Deleted ${results.products.deleted} products`));
       
@@ -659,6 +863,14 @@ async function performDeletion(detector, options) {
     }
   }
   
+  // Step 2.5: Attribute Sets
+  if (deleteAttributes) {
+    results.attributeSets = await deleteProjectAttributeSets();
+    if (!silent && results.attributeSets.deleted > 0) {
+      console.log(chalk.green(`✔ Deleted ${results.attributeSets.deleted} attribute sets`));
+    }
+  }
+  
   // Step 2: Product Attributes
   if (deleteAttributes) {
     results.attributes = await deleteProjectProductAttributes();
@@ -745,6 +957,8 @@ async function main() {
     // Customer attributes and customers always require detection (not in state tracker)
     const customerAttrs = deleteCustomerAttrs ? await detector.findAllCustomerAttributes() : [];
     const customers = deleteCustomers ? await findProjectCustomers() : [];
+    const companies = deleteCompanies ? await findProjectCompanies() : [];
+    const sharedCatalogs = deleteSharedCatalogs ? await findProjectSharedCatalogs() : [];
     
     return {
       products,
@@ -752,7 +966,9 @@ async function main() {
       attributes,
       customerGroups,
       customerAttrs,
-      customers
+      customers,
+      companies,
+      sharedCatalogs
     };
   });
   
@@ -762,7 +978,9 @@ async function main() {
                         discovered.attributes.length + 
                         discovered.customerGroups.length + 
                         discovered.customerAttrs.length +
-                        discovered.customers.length;
+                        discovered.customers.length +
+                        discovered.companies.length +
+                        discovered.sharedCatalogs.length;
   
   // Show what was found
   if (totalEntities === 0) {
@@ -788,6 +1006,8 @@ async function main() {
   if (discovered.customerGroups.length > 0) foundItems.push(`${discovered.customerGroups.length} customer groups`);
   if (discovered.customerAttrs.length > 0) foundItems.push(`${discovered.customerAttrs.length} customer attributes`);
   if (discovered.customers.length > 0) foundItems.push(`${discovered.customers.length} customers`);
+  if (discovered.companies.length > 0) foundItems.push(`${discovered.companies.length} companies`);
+  if (discovered.sharedCatalogs.length > 0) foundItems.push(`${discovered.sharedCatalogs.length} shared catalogs`);
   
   console.log(chalk.green(`✔ Found project data: ${foundItems.join(', ')}`));
   
@@ -801,6 +1021,8 @@ async function main() {
     if (discovered.customerGroups.length > 0) console.log(format.warning(`  • ${discovered.customerGroups.length} customer groups`));
     if (discovered.customerAttrs.length > 0) console.log(format.warning(`  • ${discovered.customerAttrs.length} customer attributes`));
     if (discovered.customers.length > 0) console.log(format.warning(`  • ${discovered.customers.length} customers`));
+    if (discovered.companies.length > 0) console.log(format.warning(`  • ${discovered.companies.length} companies`));
+    if (discovered.sharedCatalogs.length > 0) console.log(format.warning(`  • ${discovered.sharedCatalogs.length} shared catalogs`));
     if (deleteStores) console.log(format.warning(`  • Project stores/websites (if any)`));
     console.log('Run with --dry-run to preview, or --yes to skip this prompt.');
     console.log('');
@@ -812,6 +1034,8 @@ async function main() {
   
   // Perform deletion
   const results = await performDeletion(detector, {
+    deleteSharedCatalogs,
+    deleteCompanies,
     deleteCustomers,
     deleteCustomerAttrs,
     deleteCategories,
@@ -827,10 +1051,14 @@ async function main() {
   console.log('');
   
   // Check if anything was actually deleted
-  const totalDeleted = (results.products?.deleted || 0) + 
+  const totalDeleted = (results.bundles?.deleted || 0) + 
+                       (results.products?.deleted || 0) + 
                        (results.categories?.deleted || 0) + 
+                       (results.attributeSets?.deleted || 0) + 
                        (results.attributes?.deleted || 0) + 
                        (results.customerGroups?.deleted || 0) + 
+                       (results.sharedCatalogs?.deleted || 0) + 
+                       (results.companies?.deleted || 0) + 
                        (results.customers?.deleted || 0) + 
                        (results.customerAttributes?.deleted || 0) + 
                        (results.stores?.deleted || 0);
@@ -876,6 +1104,8 @@ async function main() {
       
       // Re-run deletion steps to clean up orphans (silent mode)
       const orphanResults = await performDeletion(detector, {
+        deleteSharedCatalogs,
+        deleteCompanies,
         deleteCustomers,
         deleteCustomerAttrs,
         deleteCategories,
@@ -892,6 +1122,7 @@ async function main() {
       if (orphanResults.categories.deleted > 0) cleanedItems.push(`${orphanResults.categories.deleted} categories`);
       if (orphanResults.attributes.deleted > 0) cleanedItems.push(`${orphanResults.attributes.deleted} attributes`);
       if (orphanResults.customers.deleted > 0) cleanedItems.push(`${orphanResults.customers.deleted} customers`);
+      if (orphanResults.companies.deleted > 0) cleanedItems.push(`${orphanResults.companies.deleted} companies`);
       
       if (cleanedItems.length > 0) {
         console.log(`  Cleaned: ${cleanedItems.join(', ')}`);
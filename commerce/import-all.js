@@ -4,16 +4,27 @@
  * Import All Data to Commerce
  * Orchestrates the complete import process in dependency order
  *
+ * Pre-flight: URL keys for new categories and products are checked and clashes renamed
+ *
  * Order:
  * 0. Stores (website, store group, store view, root category)
  * 1. Customer Groups (required for tier pricing)
  * 2. Product Attributes (required before products)
+ * 2.5. Attribute Sets (groups project attributes; products reference sets by name)
  * 3. Categories (required before products)
  * 3.5. Shared Catalog Categories (assigns categories to public B2B catalog for ACO)
- * 4. Simple Products (with tier pricing)
+ * 4. Products (simple, then configurable parents linked to their variants)
+ * 4.1. Bundle & Grouped Products (parents, options, selections and associated products; requires products)
+ * 4.5. Pricing (optional tier, customer-group and special prices; requires products + customer groups)
+ * 4.6. Inventory (optional MSI sources, stocks and per-source quantities; requires products)
+ * 4.7. Localizations (optional store-view names, descriptions and labels; requires products + categories)
+ * 4.8. Product Links (optional related, up-sell and cross-sell links; requires products)
+ * 4.9. Category Merchandising (optional product positions on category pages; requires products + categories)
  * 5. Product Images (optional, requires products)
  * 6. Customer Attributes (required before customers with ACO context)
  * 7. Demo Customers (requires customer groups + customer attributes)
+ * 8. B2B Companies (optional admins, roles, teams and company users; requires customers)
+ * 9. Custom Shared Catalogs (optional B2B assortments, group prices and companies; requires companies + categories)
  */
 
 import ora from 'ora';
@@ -26,13 +37,24 @@ import { format, withSpinner, updateLine, finishLine } from '../shared/format.js
 import { importStores } from './importers/stores.js';
 import { importCustomerGroups } from './importers/customer-groups.js';
 import { importAttributes } from './importers/attributes.js';
+import { importAttributeSets } from './importers/attribute-sets.js';
 import { importCategories } from './importers/categories.js';
 import { assignSharedCatalogCategories } from './importers/shared-catalog.js';
 import { importProducts } from './importers/products.js';
+import { importBundles } from './importers/bundles.js';
+import { importPricing } from './importers/pricing.js';
+import { importInventory } from './importers/inventory.js';
+import { importLocalizations } from './importers/localizations.js';
+import { importProductLinks } from './importers/product-links.js';
+import { importMerchandising } from './importers/merchandising.js';
 import { importImages } from './importers/images.js';
 import { importCustomerAttributes } from './importers/customer-attributes.js';
 import { importCustomers } from './importers/customers.js';
+import { importCompanies } from './importers/companies.js';
+import { importCustomSharedCatalogs } from './importers/custom-shared-catalogs.js';
 import { getStateTracker } from './lib/state-tracker.js';
+import { preflightUrlKeys, describeUrlKeyRename } from './lib/url-keys.js';
+import { loadCategorySyncPlan, describeCategoryChange } from './lib/category-sync.js';
 import { 
   runValidation,
   checkDatapackExists,
@@ -48,6 +70,10 @@ const args = process.argv.slice(2);
 const isDryRun = args.includes('--dry-run');
 const skipImages = args.includes('--skip-images');
 const skipCustomers = args.includes('--skip-customers');
+const skipPricing = args.includes('--skip-pricing');
+const updateExisting = args.includes('--update');
+const pruneCategories = args.includes('--prune-categories');
+const syncCategories = args.includes('--sync-categories') || pruneCategories;
 const verbose = args.includes('--verbose') || args.includes('-v');
 
 // Apply configuration
@@ -99,11 +125,18 @@ async function executeImportStep(stepName, importFn, options = {}) {
   const failed = result?.results?.failed?.length || result?.failed || 0;
   const skipped = result?.results?.skipped?.length || result?.skipped || 0;
   const duration = result?.results?.durationSeconds || result?.duration || 0;
+  const updated = result?.results?.updated?.length || 0;
+  const unchanged = result?.results?.unchanged?.length || 0;
+  
+  // Update mode classifies existing items as updated/unchanged instead
+  const counts = (updated > 0 || unchanged > 0)
+    ? `${created} created, ${updated} updated, ${unchanged} unchanged`
+    : `${created} created, ${existing} existing`;
   
   // Format message based on whether there were failures or skipped items
   let message;
   if (failed > 0) {
-    message = `⚠ Importing ${stepName.toLowerCase()} (${created} created, ${existing} existing, ${failed} failed`;
+    message = `⚠ Importing ${stepName.toLowerCase()} (${counts}, ${failed} failed`;
     if (skipped > 0) message += `, ${skipped} skipped`;
     if (duration > 5) {
       message += ` in ${formatDuration(duration)}`;
@@ -111,14 +144,14 @@ async function executeImportStep(stepName, importFn, options = {}) {
     message += ')';
     updateLine(chalk.yellow(message));
   } else if (skipped > 0) {
-    message = `⚠ Importing ${stepName.toLowerCase()} (${created} created, ${existing} existing, ${skipped} skipped`;
+    message = `⚠ Importing ${stepName.toLowerCase()} (${counts}, ${skipped} skipped`;
     if (duration > 5) {
       message += ` in ${formatDuration(duration)}`;
     }
     message += ')';
     updateLine(chalk.yellow(message));
   } else {
-    message = `✔ Importing ${stepName.toLowerCase()} (${created} created, ${existing} existing`;
+    message = `✔ Importing ${stepName.toLowerCase()} (${counts}`;
     if (duration > 5) {
       message += ` in ${formatDuration(duration)}`;
     }
@@ -144,6 +177,8 @@ async function executeImportStep(stepName, importFn, options = {}) {
   return {
     created,
     existing,
+    updated,
+    unchanged,
     failed,
     skipped,
     duration,
@@ -180,17 +215,56 @@ async function importAll() {
   }
   console.log(chalk.green('✔ Pre-import validation passed'));
   
+  // Category sync: show what will change before anything is applied
+  let categoryPlan = null;
+  if (syncCategories) {
+    categoryPlan = await withSpinner('Planning category sync...', () => loadCategorySyncPlan());
+    const pending = categoryPlan.changes.length + categoryPlan.removed.length;
+    if (pending === 0) {
+      console.log(chalk.green('✔ Category tree checked (in sync)'));
+    } else {
+      console.log(chalk.yellow(`⚠ Category tree checked (${pending} change${pending === 1 ? '' : 's'})`));
+      for (const change of categoryPlan.changes) {
+        console.log(chalk.gray(`  ℹ ${describeCategoryChange(change, categoryPlan)}`));
+      }
+      for (const removed of categoryPlan.removed) {
+        const note = pruneCategories ? '' : ' (kept, use --prune-categories to delete)';
+        console.log(chalk.gray(`  ℹ ${describeCategoryChange(removed, categoryPlan)}${note}`));
+      }
+    }
+  }
+  
+  // URL key pre-flight: resolve clashes before anything is created
+  const urlKeys = await withSpinner('Checking URL keys...', () => preflightUrlKeys({ categoryPlan }));
+  if (urlKeys.renames.length === 0) {
+    console.log(chalk.green('✔ URL keys checked (no collisions)'));
+  } else {
+    console.log(chalk.yellow(`⚠ URL keys checked (${urlKeys.renames.length} renamed)`));
+    for (const rename of urlKeys.renames) {
+      console.log(chalk.gray(`  ℹ ${describeUrlKeyRename(rename)}`));
+    }
+  }
+  
   // Results storage
   const results = {
     stores: null,
     customerGroups: null,
     attributes: null,
+    attributeSets: null,
     categories: null,
     sharedCatalog: null,
     products: null,
+    bundles: null,
+    pricing: null,
+    inventory: null,
+    localizations: null,
+    productLinks: null,
+    merchandising: null,
     images: null,
     customerAttributes: null,
-    customers: null
+    customers: null,
+    companies: null,
+    customSharedCatalogs: null
   };
   
   // Context data passed between steps
@@ -199,8 +273,8 @@ async function importAll() {
   let categoryMap = {};
   let productSkuMap = {};
   let attributeOptionMap = {};
-  
-  const totalSteps = 8; // Reduced from 9 (removed bundles)
+  let attributeIdMap = {};
+  let attributeSetMap = {};
 
 try {
     // Step 0: Stores (CRITICAL - must succeed or abort)
@@ -226,17 +300,26 @@ try {
     const attributesResult = await executeImportStep('product attributes', importAttributes, { context: {} });
     results.attributes = attributesResult;
     attributeOptionMap = attributesResult.attributeOptionMap || {};
+    attributeIdMap = attributesResult.attributeIdMap || {};
+    
+    // Step 2.5: Attribute Sets
+    const attributeSetsResult = await executeImportStep('attribute sets', importAttributeSets, { context: {} });
+    results.attributeSets = attributeSetsResult;
+    attributeSetMap = attributeSetsResult.attributeSetMap || {};
     
     // Step 3: Categories
     const categoriesResult = await executeImportStep(
       'categories',
       importCategories,
       {
-        context: { rootCategoryId: storeIds.rootCategoryId }
+        context: { rootCategoryId: storeIds.rootCategoryId, urlKeys, categoryPlan, prune: pruneCategories }
       }
     );
     results.categories = categoriesResult;
     categoryMap = categoriesResult.categoryMap || {};
+    for (const removed of categoriesResult.deleted || []) {
+      console.log(chalk.gray(`  ℹ Deleted category no longer in category-tree.json: ${removed.path}`));
+    }
 
     // Step 3.5: Assign categories to public shared catalog (B2B)
     // This ensures categories are visible in ACO Catalog Service
@@ -261,6 +344,11 @@ try {
       websiteIds = [websiteId];
     }
     
+    // Code → ID maps for records that target their own websites / store views
+    const storeScopes = Object.keys(storeIds.websites || {}).length > 0
+      ? { websites: storeIds.websites, storeViews: storeIds.storeViews }
+      : null;
+    
     const productsResult = await executeImportStep(
       'products', 
       importProducts, 
@@ -268,13 +356,87 @@ try {
         context: {
           categoryMap,
           attributeOptionMap,
-          websiteIds
+          attributeIdMap,
+          attributeSetMap,
+          websiteIds,
+          storeScopes,
+          urlKeys,
+          update: updateExisting
         }
       }
     );
     results.products = productsResult;
     productSkuMap = productsResult.productSkuMap || {};
-    
+
+    // Silent mode hides importer warnings, so surface unmapped datapack fields here
+    const unmappedFields = Object.keys(productsResult.unmappedFields || {});
+    if (unmappedFields.length > 0) {
+      console.log(chalk.gray(`  ℹ Unmapped datapack fields (no attribute definition): ${unmappedFields.join(', ')}`));
+    }
+    for (const { attribute, label } of productsResult.createdOptions || []) {
+      console.log(chalk.gray(`  ℹ Created option: ${attribute} = ${label}`));
+    }
+
+    // Step 4.1: Bundle & Grouped Products (children exist now)
+    const bundlesResult = await executeImportStep(
+      'bundle & grouped products',
+      importBundles,
+      {
+        context: {
+          categoryMap,
+          attributeOptionMap,
+          attributeIdMap,
+          attributeSetMap,
+          websiteIds,
+          storeScopes,
+          urlKeys,
+          update: updateExisting
+        }
+      }
+    );
+    results.bundles = bundlesResult;
+    productSkuMap = { ...productSkuMap, ...(bundlesResult.productSkuMap || {}) };
+    for (const { attribute, label } of bundlesResult.createdOptions || []) {
+      console.log(chalk.gray(`  ℹ Created option: ${attribute} = ${label}`));
+    }
+    for (const { sku, error } of bundlesResult.composites?.failed || []) {
+      console.log(chalk.yellow(`  ⚠ Failed to link children to ${sku} - ${error}`));
+    }
+
+    // Step 4.5: Pricing (tier, customer-group and special prices)
+    if (skipPricing) {
+      updateLine('📦 Importing pricing...');
+      updateLine(chalk.green('✔ Importing pricing (skipped)'));
+      finishLine();
+      results.pricing = { results: { skipped: true } };
+    } else {
+      results.pricing = await executeImportStep(
+        'pricing',
+        importPricing,
+        {
+          context: { groupIdMap: customerGroupIds }
+        }
+      );
+    }
+
+    // Step 4.6: Inventory (MSI sources, stocks and per-source quantities)
+    results.inventory = await executeImportStep('inventory', importInventory, { context: {} });
+
+    // Step 4.7: Localizations (store-view content per locale)
+    results.localizations = await executeImportStep('localizations', importLocalizations, { context: {} });
+
+    // Step 4.8: Product Links (related, up-sell and cross-sell)
+    results.productLinks = await executeImportStep('product links', importProductLinks, { context: {} });
+
+    // Step 4.9: Category Merchandising (product positions on category pages)
+    const merchandisingResult = await executeImportStep('category merchandising', importMerchandising, {
+      context: { categoryMap }
+    });
+    results.merchandising = merchandisingResult;
+    for (const { category, sku } of merchandisingResult.missing || []) {
+      console.log(chalk.yellow(`  ⚠ ${sku} is listed for ${category} but isn't in that category`));
+    }
+
     // Step 5: Product Images
     if (skipImages) {
       updateLine('📦 Importing product images...');
@@ -294,6 +456,13 @@ try {
         }
       );
       results.images = imagesResult;
+      for (const { sku, file } of imagesResult.removed || []) {
+        console.log(chalk.gray(`  ℹ Removed image no longer in datapack: ${sku} ${file}`));
+      }
+      if (imagesResult.preprocessed) {
+        const { processed, cached } = imagesResult.preprocessed;
+        console.log(chalk.gray(`  ℹ Preprocessed images: ${processed} resized/converted, ${cached} from cache`));
+      }
     }
     
     // Step 6: Customer Attributes (for ACO persona context)
@@ -321,13 +490,34 @@ try {
           context: {
             customerGroupIds,
             websiteIds: storeIds.websiteId ? [storeIds.websiteId] : [],
-            storeId: storeIds.storeViewId
+            storeId: storeIds.storeViewId,
+            storeScopes
           }
         }
       );
       results.customers = customersResult;
+      if (customersResult.credentialsReport) {
+        console.log(chalk.gray(`  ℹ Demo customer credentials: ${customersResult.credentialsReport.markdown} (CSV: ${customersResult.credentialsReport.csv})`));
+      }
     }
     
+    // Step 8: B2B Companies (admins and users are demo customers)
+    if (skipCustomers) {
+      updateLine('📦 Importing B2B companies...');
+      updateLine(chalk.green('✔ Importing B2B companies (skipped)'));
+      finishLine();
+      results.companies = { results: { skipped: true } };
+    } else {
+      results.companies = await executeImportStep('B2B companies', importCompanies, { context: { customerGroupIds } });
+    }
+    
+    // Step 9: Custom Shared Catalogs (B2B assortments and prices per customer group / company)
+    results.customSharedCatalogs = await executeImportStep(
+      'custom shared catalogs',
+      importCustomSharedCatalogs,
+      { context: { categoryMap } }
+    );
+    
   } catch (error) {
     console.log('');
     console.log(format.error(`Import process failed: ${error.message}`));
@@ -371,13 +561,19 @@ Usage: npm run import:all [options]
 Options:
   --dry-run        Simulate import without making changes
   --skip-images    Skip product image upload
-  --skip-customers Skip demo customer creation
+  --skip-customers Skip demo customer and B2B company creation
+  --skip-pricing   Skip tier, customer-group and special prices
+  --update         Update existing products whose datapack fields changed
+  --sync-categories  Apply category renames, moves and positions from category-tree.json
+  --prune-categories Sync categories and delete those no longer defined
   --verbose, -v    Enable verbose logging
 
 Examples:
   npm run import:all                    # Full import
   npm run import:all -- --dry-run       # Test run
   npm run import:all -- --skip-images   # Skip images
+  npm run import:all -- --update        # Sync changed products
+  npm run import:all -- --sync-categories  # Sync the category tree
 `);
 }
 
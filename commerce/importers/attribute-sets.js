@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Import Attribute Sets to Commerce
+ * Reads from committed datapack: accs_attribute_sets.json
+ *
+ * Creates project attribute sets (cloned from a skeleton set), their groups,
+ * and assigns the project's product attributes to those groups so they show
+ * in the admin product form. Products reference a set by name via attribute_set_code.
+ *
+ * Datapack format:
+ *   [{ "attribute_set": {
+ *        "attribute_set_name": "BuildRight Lumber",
+ *        "skeleton_set": "Default",
+ *        "groups": [{ "attribute_group_name": "Lumber Specs", "attributes": ["br_lumber_grade"] }]
+ *   } }]
+ *
+ * Uses BaseImporter for standardized patterns
+ */
+
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { BaseImporter } from '../../shared/base-importer.js';
+import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+
+// Path to committed datapack attribute sets file
+export const DATAPACK_ATTRIBUTE_SETS_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_attribute_sets.json');
+
+// Commerce's built-in "Default" product attribute set
+export const DEFAULT_ATTRIBUTE_SET_ID = 4;
+
+/**
+ * Load attribute set definitions from the datapack ([] when the project defines none)
+ */
+export function loadAttributeSetDefinitions() {
+  if (!existsSync(DATAPACK_ATTRIBUTE_SETS_PATH)) return [];
+  const data = JSON.parse(readFileSync(DATAPACK_ATTRIBUTE_SETS_PATH, 'utf-8'));
+  return data.map(item => item.attribute_set || item);
+}
+
+/**
+ * Fetch attribute set name → ID for every product attribute set in Commerce
+ */
+export async function fetchAttributeSetMap(api) {
+  const response = await api.getAttributeSets();
+  const map = {};
+  for (const set of response?.items || []) {
+    map[set.attribute_set_name] = set.attribute_set_id;
+  }
+  return map;
+}
+
+class AttributeSetImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Attribute Sets', options);
+    this.attributeSetMap = {};
+    this.groupsCreated = 0;
+    this.attributesAssigned = 0;
+  }
+
+  loadAttributeSets() {
+    this.logger.info(`Loading attribute sets from datapack: ${DATAPACK_ATTRIBUTE_SETS_PATH}`);
+    return loadAttributeSetDefinitions();
+  }
+
+  async import() {
+    const definitions = this.loadAttributeSets();
+
+    if (definitions.length === 0) {
+      this.logger.info('No attribute sets defined in datapack; products will use the Default set');
+    }
+
+    await this.optimizedImport({
+      loadItems: () => definitions,
+      fetchExisting: async () => {
+        try {
+          const response = await this.api.getAttributeSets();
+          const sets = response.items || [];
+          // Every existing set is resolvable by products, not only the project's
+          for (const set of sets) {
+            this.attributeSetMap[set.attribute_set_name] = set.attribute_set_id;
+          }
+          return sets;
+        } catch (error) {
+          this.logger.warn(`Could not fetch existing attribute sets: ${error.message}`);
+          return [];
+        }
+      },
+      getItemKey: (set) => set.attribute_set_name,
+      onExisting: (set) => {
+        this.results.addExisting({ code: set.attribute_set_name });
+      },
+      processNewItem: async (set) => {
+        try {
+          const created = await this.createAttributeSet(set);
+          if (created?.attribute_set_id) {
+            this.attributeSetMap[set.attribute_set_name] = created.attribute_set_id;
+          }
+          this.results.addCreated({ code: set.attribute_set_name });
+        } catch (error) {
+          this.logger.error(`Failed to create attribute set ${set.attribute_set_name}: ${error.message}`);
+          this.results.addFailed({ code: set.attribute_set_name }, error);
+        }
+      },
+      itemLabel: 'attribute sets'
+    });
+
+    // Groups and assignments are synced for new and existing sets alike,
+    // so attributes added to the datapack later still land in their group
+    for (const set of definitions) {
+      const attributeSetId = this.attributeSetMap[set.attribute_set_name];
+      if (!attributeSetId) continue; // Failed, or dry-run create
+
+      try {
+        await this.syncGroups(attributeSetId, set);
+      } catch (error) {
+        this.logger.error(`Failed to sync groups for attribute set ${set.attribute_set_name}: ${error.message}`);
+        this.results.addFailed({ code: set.attribute_set_name }, error);
+      }
+    }
+
+    if (this.groupsCreated > 0 || this.attributesAssigned > 0) {
+      this.logger.info(`✔ Created ${this.groupsCreated} groups, assigned ${this.attributesAssigned} attributes`);
+    }
+
+    return {
+      total: this.results.totalProcessed,
+      created: this.results.created.length,
+      existing: this.results.existing.length,
+      failed: this.results.failed.length,
+      attributeSetMap: this.attributeSetMap,
+      groupsCreated: this.groupsCreated,
+      attributesAssigned: this.attributesAssigned
+    };
+  }
+
+  async createAttributeSet(set) {
+    const skeletonName = set.skeleton_set || 'Default';
+    const skeletonId = this.attributeSetMap[skeletonName];
+    if (!skeletonId) {
+      throw new Error(`Skeleton attribute set "${skeletonName}" not found`);
+    }
+
+    this.logger.debug(`Creating attribute set: ${set.attribute_set_name} (from ${skeletonName})`);
+    return await this.api.createAttributeSet({
+      attribute_set_name: set.attribute_set_name,
+      sort_order: set.sort_order || 0
+    }, skeletonId);
+  }
+
+  /**
+   * Create missing groups and assign attributes that aren't in the set yet
+   */
+  async syncGroups(attributeSetId, set) {
+    const groupsResponse = await this.api.getAttributeGroups(attributeSetId);
+    const groupIds = {};
+    for (const group of groupsResponse?.items || []) {
+      groupIds[group.attribute_group_name] = group.attribute_group_id;
+    }
+
+    const assigned = new Set(
+      (await this.api.getAttributeSetAttributes(attributeSetId) || []).map(attr => attr.attribute_code)
+    );
+
+    for (const group of set.groups || []) {
+      const groupName = group.attribute_group_name;
+
+      if (!groupIds[groupName]) {
+        if (COMMERCE_CONFIG.dryRun) {
+          this.logger.info(`[DRY RUN] Would create group "${groupName}" in ${set.attribute_set_name}`);
+          continue;
+        }
+        const created = await this.api.createAttributeGroup({
+          attribute_group_name: groupName,
+          attribute_set_id: attributeSetId
+        });
+        groupIds[groupName] = created.attribute_group_id;
+        this.groupsCreated++;
+      }
+
+      let sortOrder = 0;
+      for (const attributeCode of group.attributes || []) {
+        sortOrder += 10;
+        if (assigned.has(attributeCode)) continue;
+
+        try {
+          await this.api.assignAttributeToSet(attributeSetId, groupIds[groupName], attributeCode, sortOrder);
+          assigned.add(attributeCode);
+          this.attributesAssigned++;
+        } catch (error) {
+          this.logger.warn(`Could not assign ${attributeCode} to ${set.attribute_set_name}/${groupName}: ${error.message}`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importAttributeSets(options = {}) {
+  const importer = new AttributeSetImporter(options);
+  return await importer.import();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importAttributeSets()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
@@ -50,11 +50,16 @@ class AttributeImporter extends BaseImporter {
       onExisting: (attr, existingAttr) => {
         this.results.addExisting({ code: attr.attribute_code });
         this.stateTracker.addAttribute(attr.attribute_code);
-        // Build option map for product attribute dropdowns
-        if (existingAttr && existingAttr.options) {
+        // Build option map for product attribute dropdowns (same shape as for new attributes)
+        if (existingAttr) {
+          this.attributeIdMap[existingAttr.attribute_code] = existingAttr.attribute_id;
+        }
+        if (existingAttr && existingAttr.options && existingAttr.options.length > 0) {
+          this.attributeOptionMap[existingAttr.attribute_code] = {};
           existingAttr.options.forEach(opt => {
-            const key = `${existingAttr.attribute_code}:${opt.label.toLowerCase()}`;
-            this.attributeOptionMap[key] = opt.value;
+            if (opt.label && opt.value) {
+              this.attributeOptionMap[existingAttr.attribute_code][opt.label] = opt.value;
+            }
           });
         }
       },
@@ -70,7 +75,8 @@ class AttributeImporter extends BaseImporter {
       created: this.results.created.length,
       existing: this.results.existing.length,
       failed: this.results.failed.length,
-      attributeOptionMap: this.attributeOptionMap
+      attributeOptionMap: this.attributeOptionMap,
+      attributeIdMap: this.attributeIdMap
     };
   }
   
@@ -120,7 +126,7 @@ class AttributeImporter extends BaseImporter {
       response.options.forEach(opt => {
         if (opt.label && opt.value) {
           this.attributeOptionMap[attributeCode][opt.label] = opt.value;
-              }
+        }
       });
     }
     
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Import Bundle and Grouped Products to Commerce
+ * Reads product_type 'bundle' and 'grouped' records from accs_products.json
+ *
+ * Runs after the products step so every selection / associated product exists.
+ * Parents go through the same pipeline as other products (attributes, categories,
+ * websites, update mode), then:
+ *
+ * Bundle products (ACCS columns):
+ *   bundle_price_type / bundle_sku_type / bundle_weight_type: "dynamic" or "fixed"
+ *   bundle_price_view: "Price range" or "As low as"
+ *   bundle_shipment_type: "together" or "separately"
+ *   bundle_values: one selection per "|" segment, grouped into options by name:
+ *     "name=Fasteners,type=select,required=1,sku=FST-001,price=0.0000,default=1,default_qty=1.0000,price_type=fixed,can_change_qty=0|..."
+ *
+ * Grouped products:
+ *   associated_skus: "SKU-1=1.0000,SKU-2=2.0000" (sku=default qty; qty optional)
+ *
+ * Idempotent: options are matched by title, selections by SKU within an option,
+ * and associated products by SKU. Only missing ones are added.
+ */
+
+import { fileURLToPath } from 'url';
+import { COMMERCE_CONFIG } from '../../shared/config-loader.js';
+import { withRetry } from '../../shared/retry-util.js';
+import { ProductImporter, COMPOSITE_TYPES } from './products.js';
+
+const DYNAMIC_OR_FIXED = { dynamic: 0, fixed: 1 };
+const PRICE_VIEWS = { 'price range': 0, 'as low as': 1 };
+const SHIPMENT_TYPES = { together: 0, separately: 1 };
+
+/**
+ * Map an ACCS label to its Commerce option value (numbers pass through)
+ */
+function toOptionValue(map, value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const key = String(value).trim().toLowerCase();
+  if (key in map) return map[key];
+  return isNaN(Number(key)) ? fallback : Number(key);
+}
+
+function isTruthy(value) {
+  return ['1', 'true', 'yes'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Parse bundle_values into options with their selections, in datapack order
+ */
+export function parseBundleValues(value) {
+  const options = new Map();
+  if (!value) return [];
+
+  for (const segment of String(value).split('|')) {
+    const fields = {};
+    for (const part of segment.split(',')) {
+      const index = part.indexOf('=');
+      if (index === -1) continue;
+      fields[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+    if (!fields.name || !fields.sku) continue;
+
+    if (!options.has(fields.name)) {
+      options.set(fields.name, {
+        title: fields.name,
+        type: fields.type || 'select',
+        required: isTruthy(fields.required),
+        position: options.size + 1,
+        selections: []
+      });
+    }
+
+    const option = options.get(fields.name);
+    option.selections.push({
+      sku: fields.sku,
+      qty: Number(fields.default_qty || 1),
+      position: option.selections.length + 1,
+      is_default: isTruthy(fields.default),
+      price: Number(fields.price || 0),
+      price_type: String(fields.price_type || 'fixed').toLowerCase() === 'percent' ? 1 : 0,
+      can_change_quantity: isTruthy(fields.can_change_qty) ? 1 : 0
+    });
+  }
+
+  return Array.from(options.values());
+}
+
+/**
+ * Parse associated_skus ("SKU=qty,SKU=qty") into grouped links
+ */
+export function parseAssociatedSkus(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list
+    .map(item => String(item).trim())
+    .filter(Boolean)
+    .map((item, index) => {
+      const [sku, qty] = item.split('=').map(part => part.trim());
+      return { sku, qty: Number(qty || 0), position: index + 1 };
+    });
+}
+
+class BundleImporter extends ProductImporter {
+  constructor(options = {}) {
+    super(options, 'Bundle & Grouped Products');
+    this.compositeStats = { bundles: 0, grouped: 0, optionsCreated: 0, selectionsAdded: 0, associatedAdded: 0, failed: [] };
+  }
+
+  async loadProductsFromDatapack() {
+    const items = await this.loadDatapackItems();
+    return items.filter(item => COMPOSITE_TYPES.includes(item.product_type));
+  }
+
+  async import() {
+    const products = await this.loadProductsFromDatapack();
+    if (products.length === 0) {
+      this.logger.info('No bundle or grouped products in datapack');
+      return { results: this.results, productSkuMap: this.productSkuMap, composites: this.compositeStats };
+    }
+
+    // Creates (or, in update mode, syncs) the parents themselves
+    const result = await super.import();
+
+    await this.linkCompositeProducts(products);
+
+    return { ...result, composites: this.compositeStats };
+  }
+
+  /**
+   * Bundle parents carry their pricing/SKU/weight/shipment modes as attributes
+   */
+  transformToCommerceApi(product) {
+    const payload = super.transformToCommerceApi(product);
+    if (product.product_type !== 'bundle') return payload;
+
+    payload.custom_attributes.push(
+      { attribute_code: 'price_type', value: String(toOptionValue(DYNAMIC_OR_FIXED, product.bundle_price_type, 0)) },
+      { attribute_code: 'sku_type', value: String(toOptionValue(DYNAMIC_OR_FIXED, product.bundle_sku_type, 0)) },
+      { attribute_code: 'weight_type', value: String(toOptionValue(DYNAMIC_OR_FIXED, product.bundle_weight_type, 0)) },
+      { attribute_code: 'price_view', value: String(toOptionValue(PRICE_VIEWS, product.bundle_price_view, 0)) },
+      { attribute_code: 'shipment_type', value: String(toOptionValue(SHIPMENT_TYPES, product.bundle_shipment_type, 0)) }
+    );
+    return payload;
+  }
+
+  /**
+   * Add options, selections and associated products to every composite parent
+   */
+  async linkCompositeProducts(products) {
+    if (COMMERCE_CONFIG.dryRun) {
+      this.logger.info(`[DRY RUN] Would link children to ${products.length} bundle and grouped products`);
+      return;
+    }
+
+    for (const product of products) {
+      if (!this.isInCommerce(product.sku)) continue; // Parent failed to create
+
+      try {
+        if (product.product_type === 'bundle') {
+          await this.linkBundleProduct(product);
+          this.compositeStats.bundles++;
+        } else {
+          await this.linkGroupedProduct(product);
+          this.compositeStats.grouped++;
+        }
+      } catch (error) {
+        this.logger.error(`Failed to link ${product.product_type} product ${product.sku}: ${error.message}`);
+        this.compositeStats.failed.push({ sku: product.sku, error: error.message });
+        this.results.addFailed({ sku: product.sku }, error);
+      }
+    }
+
+    const { bundles, grouped, optionsCreated, selectionsAdded, associatedAdded, failed } = this.compositeStats;
+    this.logger.info(`✔ Composite products: ${bundles} bundles (${optionsCreated} options, ${selectionsAdded} selections added), ${grouped} grouped (${associatedAdded} products added), ${failed.length} failed`);
+  }
+
+  async linkBundleProduct(product) {
+    const options = parseBundleValues(product.bundle_values);
+    if (options.length === 0) {
+      this.logger.warn(`Bundle ${product.sku} has no bundle_values; it will have no options`);
+      return;
+    }
+
+    const existing = new Map(
+      (await this.api.getBundleOptions(product.sku) || []).map(option => [option.title, option])
+    );
+
+    for (const option of options) {
+      const current = existing.get(option.title);
+
+      if (!current) {
+        await withRetry(
+          async () => await this.api.addBundleOption(product.sku, {
+            title: option.title,
+            type: option.type,
+            required: option.required,
+            position: option.position,
+            product_links: option.selections
+          }),
+          { name: `Add option "${option.title}" to ${product.sku}` }
+        );
+        this.compositeStats.optionsCreated++;
+        this.compositeStats.selectionsAdded += option.selections.length;
+        continue;
+      }
+
+      const linkedSkus = new Set((current.product_links || []).map(link => link.sku));
+      for (const selection of option.selections) {
+        if (linkedSkus.has(selection.sku)) continue;
+        await withRetry(
+          async () => await this.api.addBundleLink(product.sku, current.option_id, { ...selection, option_id: current.option_id }),
+          { name: `Add ${selection.sku} to ${product.sku} "${option.title}"` }
+        );
+        this.compositeStats.selectionsAdded++;
+      }
+    }
+  }
+
+  async linkGroupedProduct(product) {
+    const associated = parseAssociatedSkus(product.associated_skus);
+    if (associated.length === 0) {
+      this.logger.warn(`Grouped product ${product.sku} has no associated_skus`);
+      return;
+    }
+
+    const current = await this.api.getProduct(product.sku);
+    const linkedSkus = new Set(
+      (current?.product_links || []).filter(link => link.link_type === 'associated').map(link => link.linked_product_sku)
+    );
+
+    const missing = associated.filter(link => !linkedSkus.has(link.sku));
+    if (missing.length === 0) return;
+
+    await this.api.saveProductLinks(product.sku, missing.map(link => ({
+      sku: product.sku,
+      link_type: 'associated',
+      linked_product_sku: link.sku,
+      linked_product_type: 'simple',
+      position: link.position,
+      extension_attributes: { qty: link.qty }
+    })));
+    this.compositeStats.associatedAdded += missing.length;
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importBundles(options = {}) {
+  const importer = new BundleImporter(options);
+  return await importer.import();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importBundles()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
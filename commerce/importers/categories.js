@@ -4,12 +4,26 @@
  * Import Categories to Commerce
  * Creates the project category tree
  * 
+ * url_keys come from the URL key pre-flight (lib/url-keys.js): categories whose key
+ * clashes with a sibling are created with a suffixed key instead
+ * 
+ * New categories get the definition's landing-page fields (lib/category-attributes.js).
+ * By default categories are only created (matched by name and parent). Sync mode
+ * (--sync) applies the plan from lib/category-sync.js instead: renames, moves,
+ * sibling positions and changed fields, plus deletion of undefined categories with --prune
+ * 
  * Uses BaseImporter for standardized patterns
  */
 
 import { BaseImporter } from '../../shared/base-importer.js';
 import { CATEGORY_TREE, COMMERCE_CONFIG } from '../../shared/config-loader.js';
 import { getStateTracker } from '../lib/state-tracker.js';
+import { categoryUrlKey, categoryPathKey, preflightUrlKeys, describeUrlKeyRename } from '../lib/url-keys.js';
+import { assignCategoryKeys, loadCategorySyncPlan, describeCategoryChange } from '../lib/category-sync.js';
+import { categoryFields, loadLandingPageIds } from '../lib/category-attributes.js';
+
+// Magento's catalog root; the project root category is created beneath it
+const CATALOG_ROOT_ID = 1;
 
 class CategoryImporter extends BaseImporter {
   constructor(options = {}) {
@@ -18,14 +32,52 @@ class CategoryImporter extends BaseImporter {
     this.rootCategoryId = options.rootCategoryId || null;
     this.stateTracker = getStateTracker();
     this.allCategories = null; // Cache for all categories
-    this.rootCategoryUrlKey = this.generateUrlKey(CATEGORY_TREE.name);
+    this.rootCategoryUrlKey = categoryUrlKey(CATEGORY_TREE.name);
+    this.urlKeys = options.urlKeys || null;
+    this.categoryKeys = assignCategoryKeys(CATEGORY_TREE);
+    this.sync = options.sync || options.prune || Boolean(options.categoryPlan);
+    this.prune = options.prune || false;
+    this.categoryPlan = options.categoryPlan || null;
+    this.deleted = [];
+    this.landingPageIds = {};
   }
   
-  generateUrlKey(name) {
-    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  /**
+   * Remember which category a definition maps to, so later syncs can follow renames and moves
+   */
+  recordCategory(catDef, categoryId) {
+    this.stateTracker.addCategory(categoryId);
+    if (!this.isDryRun) {
+      this.stateTracker.setCategoryKey(this.categoryKeys.get(catDef), categoryId);
+    }
+  }
+  
+  /**
+   * url_key to create a category with (pre-flight rename, or the datapack key)
+   */
+  resolveUrlKey(names, urlKey) {
+    return this.urlKeys?.categories?.[categoryPathKey(names)] || urlKey;
   }
   
   async import() {
+    // Standalone runs do their own planning and pre-flight (import-all passes them in)
+    if (this.sync && !this.categoryPlan) {
+      this.categoryPlan = await loadCategorySyncPlan();
+      this.logCategoryPlan(this.categoryPlan);
+    }
+    if (!this.urlKeys) {
+      this.urlKeys = await preflightUrlKeys({ categoryPlan: this.categoryPlan });
+      for (const rename of this.urlKeys.renames.filter(r => r.type === 'category')) {
+        this.logger.warn(`Renamed URL key for ${describeUrlKeyRename(rename)}`);
+      }
+    }
+    
+    this.landingPageIds = this.categoryPlan?.landingPageIds || await loadLandingPageIds(this.api, CATEGORY_TREE);
+    
+    if (this.sync) {
+      return this.syncCategoryTree();
+    }
+    
     // Count total categories (parent + children)
     const totalCategories = 1 + this.countCategories(CATEGORY_TREE.children || []);
     
@@ -44,7 +96,7 @@ class CategoryImporter extends BaseImporter {
     
     // Create child categories recursively
     if (CATEGORY_TREE.children) {
-      await this.createCategoryTree(CATEGORY_TREE.children, parentId);
+      await this.createCategoryTree(CATEGORY_TREE.children, parentId, 0, [CATEGORY_TREE.name]);
     }
     
     // Clear progress bar (orchestrator will show the summary)
@@ -102,23 +154,14 @@ class CategoryImporter extends BaseImporter {
       this.categoryMap[CATEGORY_TREE.name] = existing.id;
       this.categoryMap[this.rootCategoryUrlKey] = existing.id;
       this.results.addExisting({ name: CATEGORY_TREE.name, id: existing.id });
-      this.stateTracker.addCategory(existing.id);
+      this.recordCategory(CATEGORY_TREE, existing.id);
       if (this.progress) this.progress.increment('existing');
       return existing.id;
     }
     
     // Create root category
-    const parent = {
-      parent_id: rootId,
-      name: CATEGORY_TREE.name,
-      is_active: true,
-      include_in_menu: true,
-      custom_attributes: [
-        { attribute_code: 'url_key', value: this.rootCategoryUrlKey }
-      ]
-    };
-    
     try {
+      const parent = this.buildCategory(CATEGORY_TREE, rootId, [CATEGORY_TREE.name]);
       const created = await this.api.createCategory(parent);
       
       if (this.isDryRun) {
@@ -132,7 +175,7 @@ class CategoryImporter extends BaseImporter {
       this.categoryMap[CATEGORY_TREE.name] = created.id;
       this.categoryMap[this.rootCategoryUrlKey] = created.id;
       this.results.addCreated({ name: CATEGORY_TREE.name, id: created.id, urlKey: this.rootCategoryUrlKey });
-      this.stateTracker.addCategory(created.id);
+      this.recordCategory(CATEGORY_TREE, created.id);
       if (this.progress) this.progress.increment('created');
       
       // Add to cache for subsequent lookups
@@ -149,10 +192,34 @@ class CategoryImporter extends BaseImporter {
     }
   }
   
-  async createCategoryTree(categories, parentId, depth = 0) {
+  /**
+   * Create payload for a definition (name, url_key and the landing-page fields)
+   */
+  buildCategory(catDef, parentId, names) {
+    const { include_in_menu = true, custom_attributes } = categoryFields(catDef, this.landingPageIds);
+    const category = {
+      parent_id: parentId,
+      name: catDef.name,
+      is_active: true,
+      include_in_menu,
+      custom_attributes
+    };
+    
+    const urlKey = this.resolveUrlKey(names, catDef === CATEGORY_TREE ? this.rootCategoryUrlKey : catDef.urlKey);
+    if (urlKey) {
+      category.custom_attributes.push({
+        attribute_code: 'url_key',
+        value: urlKey
+      });
+    }
+    return category;
+  }
+  
+  async createCategoryTree(categories, parentId, depth = 0, parentNames = []) {
     const indent = '  '.repeat(depth);
     
     for (const catDef of categories) {
+      const names = [...parentNames, catDef.name];
       
       // Check if exists under this parent using cached categories
       let categoryId;
@@ -161,26 +228,12 @@ class CategoryImporter extends BaseImporter {
       if (existing) {
         categoryId = existing.id;
         this.results.addExisting({ name: catDef.name, id: categoryId, urlKey: catDef.urlKey });
-        this.stateTracker.addCategory(categoryId);
+        this.recordCategory(catDef, categoryId);
         if (this.progress) this.progress.increment('existing');
       } else {
         // Create category
         try {
-          const category = {
-            parent_id: parentId,
-            name: catDef.name,
-            is_active: true,
-            include_in_menu: true,
-            custom_attributes: []
-          };
-          
-          if (catDef.urlKey) {
-            category.custom_attributes.push({
-              attribute_code: 'url_key',
-              value: catDef.urlKey
-            });
-          }
-          
+          const category = this.buildCategory(catDef, parentId, names);
           const created = await this.api.createCategory(category);
           
           if (this.isDryRun) {
@@ -194,7 +247,7 @@ class CategoryImporter extends BaseImporter {
           }
           
           this.results.addCreated({ name: catDef.name, id: categoryId, urlKey: catDef.urlKey });
-          this.stateTracker.addCategory(categoryId);
+          this.recordCategory(catDef, categoryId);
           if (this.progress) this.progress.increment('created');
         } catch (error) {
           this.logger.error(`${indent}  Failed to create ${catDef.name}: ${error.message}`);
@@ -212,9 +265,139 @@ class CategoryImporter extends BaseImporter {
       
       // Process children recursively
       if (catDef.children?.length > 0) {
-        await this.createCategoryTree(catDef.children, categoryId, depth + 1);
+        await this.createCategoryTree(catDef.children, categoryId, depth + 1, names);
+      }
+    }
+  }
+  
+  /**
+   * Sync mode: apply the category sync plan
+   */
+  async syncCategoryTree() {
+    const plan = this.categoryPlan;
+    
+    const changesByKey = new Map();
+    for (const change of plan.changes) {
+      if (!changesByKey.has(change.key)) changesByKey.set(change.key, []);
+      changesByKey.get(change.key).push(change);
+    }
+    const ids = new Map(plan.nodes.filter(entry => entry.id).map(entry => [entry.key, entry.id]));
+    
+    const { BatchProgress } = await import('../../shared/progress.js');
+    this.progress = new BatchProgress('Syncing categories', plan.nodes.length);
+    
+    for (const entry of plan.nodes) {
+      const { node, names, key } = entry;
+      const changes = changesByKey.get(key) || [];
+      const label = { name: node.name, path: categoryPathKey(names), urlKey: node.urlKey };
+      const parentId = entry.parentKey ? ids.get(entry.parentKey) : CATALOG_ROOT_ID;
+      
+      if (!parentId) {
+        this.results.addFailed(label, new Error('Parent category could not be created'));
+        this.progress.increment('failed');
+        continue;
+      }
+      
+      try {
+        for (const change of changes) {
+          await this.applyCategoryChange(change, node, names, parentId, ids);
+        }
+      } catch (error) {
+        this.logger.error(`  Failed to sync ${label.path}: ${error.message}`);
+        this.results.addFailed(label, error);
+        this.progress.increment('failed');
+        continue;
+      }
+      
+      const categoryId = ids.get(key);
+      if (changes.some(change => change.type === 'create')) {
+        this.results.addCreated({ ...label, id: categoryId });
+        this.progress.increment('created');
+      } else if (changes.length > 0) {
+        this.results.addUpdated({ ...label, id: categoryId, changes: changes.map(change => change.type) });
+        this.progress.increment('updated');
+      } else {
+        this.results.addUnchanged({ ...label, id: categoryId });
+        this.progress.increment('existing');
+      }
+      
+      this.recordCategory(node, categoryId);
+      this.categoryMap[node.name] = categoryId;
+      if (node === CATEGORY_TREE) {
+        this.categoryMap[this.rootCategoryUrlKey] = categoryId;
+      } else if (node.urlKey) {
+        this.categoryMap[node.urlKey] = categoryId;
+      }
+    }
+    
+    if (this.prune) {
+      for (const removed of plan.removed) {
+        try {
+          await this.api.deleteCategory(removed.id);
+          this.stateTracker.removeCategory(removed.id);
+          this.deleted.push(removed);
+        } catch (error) {
+          this.logger.error(`  Failed to delete ${removed.path}: ${error.message}`);
+          this.results.addFailed({ name: removed.path, id: removed.id }, error);
+        }
       }
     }
+    
+    const { updateLine } = await import('../../shared/format.js');
+    updateLine('');
+    
+    if (!this.isDryRun) this.stateTracker.saveState();
+    
+    return {
+      categoryMap: this.categoryMap,
+      rootCategoryId: ids.get(plan.nodes[0]?.key),
+      deleted: this.deleted,
+      stale: this.prune ? [] : plan.removed
+    };
+  }
+  
+  /**
+   * Apply one planned change; created categories get their ID recorded in ids
+   */
+  async applyCategoryChange(change, node, names, parentId, ids) {
+    const afterId = change.afterKey ? ids.get(change.afterKey) : 0;
+    
+    switch (change.type) {
+      case 'create': {
+        const created = await this.api.createCategory(this.buildCategory(node, parentId, names));
+        ids.set(change.key, this.isDryRun ? `dry-run-${change.key}` : created.id);
+        if (!this.isDryRun && this.allCategories) this.allCategories.push(created);
+        break;
+      }
+      case 'rename':
+        await this.api.updateCategory(ids.get(change.key), { name: node.name });
+        break;
+      case 'attributes':
+        if (change.error) throw new Error(change.error);
+        await this.api.updateCategory(ids.get(change.key), change.fields);
+        break;
+      case 'move':
+      case 'position':
+        await this.api.moveCategory(ids.get(change.key), parentId, afterId);
+        break;
+    }
+  }
+  
+  /**
+   * Log the sync plan (import-all prints its own copy before the run)
+   */
+  logCategoryPlan(plan) {
+    if (plan.changes.length === 0 && plan.removed.length === 0) {
+      this.logger.info('Category tree is in sync');
+      return;
+    }
+    for (const change of plan.changes) {
+      this.logger.info(`  ${describeCategoryChange(change, plan)}`);
+    }
+    for (const removed of plan.removed) {
+      const note = this.prune ? '' : ' (not deleted, use --prune)';
+      this.logger.info(`  ${describeCategoryChange(removed, plan)}${note}`);
+    }
   }
 }
 
@@ -229,7 +412,13 @@ export async function importCategories(options = {}) {
 // Run if executed directly
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  importCategories()
+  const args = process.argv.slice(2);
+  if (args.includes('--dry-run')) {
+    process.env.DRY_RUN = 'true';
+    COMMERCE_CONFIG.dryRun = true;
+  }
+  
+  importCategories({ sync: args.includes('--sync'), prune: args.includes('--prune') })
     .then(result => process.exit(result.success ? 0 : 1))
     .catch(error => {
       console.error('Fatal error:', error);
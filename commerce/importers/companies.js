@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+
+/**
+ * Import B2B Companies to Commerce
+ * Reads from committed datapack: accs_companies.json
+ *
+ *   [
+ *     {
+ *       "name": "Summit Builders", "email": "purchasing@summit.example",
+ *       "street": "100 Main St", "city": "Denver", "region_id": 13, "postcode": "80202",
+ *       "country_id": "US", "telephone": "555-0100",
+ *       "customer_group": "Contractors", "admin": "dana@summit.example",
+ *       "roles": [{ "name": "Buyer", "permissions": ["Magento_Sales::place_order"] }],
+ *       "teams": [{ "name": "Field Ops" }, { "name": "Purchasing", "parent": "Field Ops" }]
+ *     }
+ *   ]
+ *
+ * - admin: email of a demo customer (accs_customers.json), the company's super user
+ * - roles: allowed ACL resources; Magento_Company::index is always allowed
+ * - teams: placed under their parent team, else directly under the admin
+ *
+ * Company users come from accs_customers.json: "company" (company name),
+ * "company_role", "company_team" and "job_title". Users without a role keep the
+ * company's default role; users without a team sit directly under the admin.
+ *
+ * Runs after customers (admins and users must exist). Companies are matched by
+ * name; existing companies, roles, teams and users are only written when they differ.
+ */
+
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { BaseImporter } from '../../shared/base-importer.js';
+import { DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readDatapackItems } from '../../shared/datapack-reader.js';
+import { resolveCustomerGroupIds } from '../lib/commerce-api.js';
+
+const DATAPACK_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs');
+const DATAPACK_COMPANIES_PATH = resolve(DATAPACK_PATH, 'accs_companies.json');
+const DATAPACK_CUSTOMERS_PATH = resolve(DATAPACK_PATH, 'accs_customers.json');
+
+// Every company role needs the company root resource to reach the company account
+const BASE_PERMISSION = 'Magento_Company::index';
+
+// Company fields compared on existing companies (datapack field → company field)
+const COMPANY_FIELDS = {
+  email: 'company_email',
+  legal_name: 'legal_name',
+  vat_tax_id: 'vat_tax_id',
+  city: 'city',
+  country_id: 'country_id',
+  region: 'region',
+  region_id: 'region_id',
+  postcode: 'postcode',
+  telephone: 'telephone'
+};
+
+const sameName = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * Allowed resources of a datapack role (sorted, with the base permission)
+ */
+export function rolePermissions(role) {
+  return [...new Set([BASE_PERMISSION, ...(role.permissions || [])])].sort();
+}
+
+/**
+ * Allowed resources of a Commerce role (sorted)
+ */
+function allowedResources(role) {
+  return (role.permissions || [])
+    .filter(permission => permission.permission === 'allow')
+    .map(permission => permission.resource_id)
+    .sort();
+}
+
+/**
+ * Company definitions from the datapack ([] when it has none)
+ */
+export async function loadCompanyDefinitions() {
+  if (!existsSync(DATAPACK_COMPANIES_PATH)) return [];
+  return readDatapackItems(DATAPACK_COMPANIES_PATH);
+}
+
+class CompanyImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Companies', options);
+    this.groupIdMap = options.groupIdMap || options.customerGroupIds || {};
+  }
+
+  async import() {
+    const companies = await loadCompanyDefinitions();
+    if (companies.length === 0) {
+      this.logger.info('No companies in datapack');
+      return {};
+    }
+
+    const customerRecords = existsSync(DATAPACK_CUSTOMERS_PATH)
+      ? await readDatapackItems(DATAPACK_CUSTOMERS_PATH, ['source', 'items'])
+      : [];
+
+    this.groupIdMap = await resolveCustomerGroupIds(this.api, this.groupIdMap);
+    const customers = await this.fetchCustomers([
+      ...companies.map(company => company.admin),
+      ...customerRecords.filter(record => record.company).map(record => record.email)
+    ]);
+    const existingCompanies = await this.api.getCompanies();
+
+    this.logger.info(`Companies to import: ${companies.length}`);
+
+    for (const record of companies) {
+      const users = customerRecords.filter(customer => sameName(customer.company, record.name));
+      await this.importCompany(record, users, customers, existingCompanies);
+    }
+
+    // Users naming a company the datapack doesn't define
+    for (const record of customerRecords) {
+      if (record.company && !companies.some(company => sameName(company.name, record.company))) {
+        this.results.addFailed({ type: 'user', email: record.email }, `Company "${record.company}" not found in accs_companies.json`);
+      }
+    }
+
+    return { total: companies.length };
+  }
+
+  /**
+   * Lowercase email → Commerce customer, for company admins and users
+   */
+  async fetchCustomers(emails) {
+    const unique = [...new Set(emails.filter(Boolean).map(email => email.toLowerCase()))];
+    if (unique.length === 0) return new Map();
+
+    const params = new URLSearchParams({
+      'searchCriteria[pageSize]': 1000,
+      'searchCriteria[filterGroups][0][filters][0][field]': 'email',
+      'searchCriteria[filterGroups][0][filters][0][conditionType]': 'in',
+      'searchCriteria[filterGroups][0][filters][0][value]': unique.join(',')
+    });
+    const response = await this.api.get(`/rest/V1/customers/search?${params.toString()}`);
+
+    const customers = new Map();
+    for (const customer of response?.items || []) {
+      const email = customer.email.toLowerCase();
+      if (!customers.has(email)) customers.set(email, customer);
+    }
+    return customers;
+  }
+
+  async importCompany(record, users, customers, existingCompanies) {
+    const label = { type: 'company', name: record.name };
+
+    let company;
+    try {
+      company = await this.ensureCompany(record, customers, existingCompanies);
+    } catch (error) {
+      this.results.addFailed(label, error);
+      this.logger.error(`Failed to import company ${record.name}: ${error.message}`);
+      return;
+    }
+    if (!company) return;
+
+    if (this.isDryRun && String(company.id).startsWith('dry-run')) {
+      // Roles, teams and users need the company's ID
+      this.logger.info(`[DRY RUN] Roles, teams and users of ${record.name} are set up once it exists`);
+      return;
+    }
+
+    try {
+      const roles = await this.ensureRoles(record, company);
+      const teams = await this.ensureTeams(record, company);
+      await this.assignUsers(record, company, users, customers, roles, teams);
+    } catch (error) {
+      this.results.addFailed(label, error);
+      this.logger.error(`Failed to set up company ${record.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the company, or update an existing one whose fields differ
+   * Returns the company (null when it can't be created in this dry run)
+   */
+  async ensureCompany(record, customers, existingCompanies) {
+    const label = { type: 'company', name: record.name };
+
+    const admin = customers.get(String(record.admin || '').toLowerCase());
+    if (!admin) {
+      if (this.isDryRun) {
+        this.results.addSkipped(label, `Admin customer ${record.admin} not created yet (dry run)`);
+        return null;
+      }
+      throw new Error(`Admin customer "${record.admin}" not found - import customers first`);
+    }
+
+    const existing = existingCompanies.find(item => sameName(item.company_name, record.name));
+    const payload = {
+      company_name: record.name,
+      company_email: record.email || admin.email,
+      street: Array.isArray(record.street) ? record.street : [record.street].filter(Boolean),
+      super_user_id: admin.id,
+      status: record.status ?? 1
+    };
+    // Without a datapack group, an existing company keeps its group (a shared catalog may have set it)
+    if (record.customer_group || !existing) payload.customer_group_id = this.resolveGroupId(record);
+    for (const [field, companyField] of Object.entries(COMPANY_FIELDS)) {
+      if (field !== 'email' && record[field] !== undefined) payload[companyField] = record[field];
+    }
+
+    if (!existing) {
+      const created = await this.api.createCompany(payload);
+      this.results.addCreated({ ...label, id: created?.id });
+      return created?.dryRun ? { ...payload, id: `dry-run-${record.name}` } : created;
+    }
+
+    const changed = Object.keys(payload).filter(field => {
+      const current = existing[field];
+      if (Array.isArray(payload[field])) return JSON.stringify(payload[field]) !== JSON.stringify(current || []);
+      return String(payload[field]) !== String(current ?? '');
+    });
+    if (changed.length === 0) {
+      this.results.addExisting({ ...label, id: existing.id });
+      return existing;
+    }
+
+    await this.api.updateCompany(existing.id, { ...existing, ...payload, id: existing.id });
+    this.results.addUpdated({ ...label, id: existing.id, fields: changed });
+    return { ...existing, ...payload };
+  }
+
+  /**
+   * Customer group ID for a company (its datapack group, else General)
+   */
+  resolveGroupId(record) {
+    if (!record.customer_group) return 1;
+    const groupId = this.groupIdMap[record.customer_group];
+    if (groupId === undefined) throw new Error(`Customer group "${record.customer_group}" not found`);
+    return groupId;
+  }
+
+  /**
+   * Create missing roles and update roles whose permissions differ
+   * Returns lowercase role name → role ID
+   */
+  async ensureRoles(record, company) {
+    const roleIds = new Map();
+    const existingRoles = await this.api.getCompanyRoles(company.id);
+    for (const role of existingRoles) {
+      roleIds.set(role.role_name.toLowerCase(), role.id);
+    }
+
+    for (const role of record.roles || []) {
+      const label = { type: 'role', name: `${record.name}: ${role.name}` };
+      const permissions = rolePermissions(role).map(resource => ({ resource_id: resource, permission: 'allow' }));
+      const existing = existingRoles.find(item => sameName(item.role_name, role.name));
+
+      try {
+        if (!existing) {
+          const created = await this.api.createCompanyRole({ role_name: role.name, company_id: company.id, permissions });
+          roleIds.set(role.name.toLowerCase(), created?.id ?? `dry-run-${role.name}`);
+          this.results.addCreated(label);
+        } else if (JSON.stringify(allowedResources(existing)) !== JSON.stringify(rolePermissions(role))) {
+          await this.api.updateCompanyRole(existing.id, { ...existing, permissions });
+          this.results.addUpdated({ ...label, fields: ['permissions'] });
+        } else {
+          this.results.addExisting(label);
+        }
+      } catch (error) {
+        this.results.addFailed(label, error);
+        this.logger.error(`Failed to import role ${label.name}: ${error.message}`);
+      }
+    }
+
+    return roleIds;
+  }
+
+  /**
+   * Create missing teams and move each under its parent team (or the admin)
+   * Returns lowercase team name → structure ID
+   */
+  async ensureTeams(record, company) {
+    const teams = record.teams || [];
+    const structureIds = new Map();
+    if (teams.length === 0) return structureIds;
+
+    let hierarchy = await this.api.getCompanyHierarchy(company.id);
+    const existingNames = new Map();
+    for (const node of hierarchy.filter(item => item.entity_type === 'team')) {
+      const team = await this.api.getCompanyTeam(node.entity_id);
+      existingNames.set(team.name.toLowerCase(), node.structure_id);
+    }
+
+    const created = new Set();
+    for (const team of teams) {
+      if (existingNames.has(team.name.toLowerCase())) continue;
+      const label = { type: 'team', name: `${record.name}: ${team.name}` };
+      try {
+        await this.api.createCompanyTeam(company.id, { name: team.name, description: team.description || '' });
+        created.add(team.name.toLowerCase());
+        this.results.addCreated(label);
+      } catch (error) {
+        this.results.addFailed(label, error);
+        this.logger.error(`Failed to create team ${label.name}: ${error.message}`);
+      }
+    }
+
+    // New teams land under the admin; re-read the structure to place them
+    if (created.size > 0) {
+      hierarchy = await this.api.getCompanyHierarchy(company.id);
+      existingNames.clear();
+      for (const node of hierarchy.filter(item => item.entity_type === 'team')) {
+        const team = await this.api.getCompanyTeam(node.entity_id);
+        existingNames.set(team.name.toLowerCase(), node.structure_id);
+      }
+    }
+    for (const [name, structureId] of existingNames) {
+      structureIds.set(name, structureId);
+    }
+    for (const name of created) {
+      // Not created in a dry run
+      if (!structureIds.has(name)) structureIds.set(name, `dry-run-${name}`);
+    }
+
+    const adminNode = hierarchy.find(node => node.entity_type === 'customer' && node.entity_id === company.super_user_id);
+    for (const team of teams) {
+      const name = team.name.toLowerCase();
+      const node = hierarchy.find(item => item.structure_id === structureIds.get(name));
+      if (!node) continue;
+
+      const label = { type: 'team', name: `${record.name}: ${team.name}` };
+      const parentId = team.parent ? structureIds.get(team.parent.toLowerCase()) : adminNode?.structure_id;
+      if (parentId === undefined) {
+        this.results.addFailed(label, `Parent team "${team.parent}" not found`);
+        continue;
+      }
+
+      if (node.structure_parent_id === parentId) {
+        if (!created.has(name)) this.results.addExisting(label);
+        continue;
+      }
+      try {
+        await this.api.moveCompanyNode(node.structure_id, parentId);
+        node.structure_parent_id = parentId;
+        if (!created.has(name)) this.results.addUpdated({ ...label, fields: ['parent'] });
+      } catch (error) {
+        this.results.addFailed(label, error);
+        this.logger.error(`Failed to place team ${label.name}: ${error.message}`);
+      }
+    }
+
+    return structureIds;
+  }
+
+  /**
+   * Link datapack users to the company, then set their role and team
+   */
+  async assignUsers(record, company, users, customers, roleIds, teamIds) {
+    const members = [];
+    for (const user of users) {
+      const label = { type: 'user', email: user.email, name: `${record.name}: ${user.email}` };
+      const customer = customers.get(user.email.toLowerCase());
+      if (!customer) {
+        if (this.isDryRun) {
+          this.results.addSkipped(label, 'Customer not created yet (dry run)');
+        } else {
+          this.results.addFailed(label, `Customer "${user.email}" not found - import customers first`);
+        }
+        continue;
+      }
+      if (customer.id === company.super_user_id) {
+        // The admin is the root of the company structure and has every permission
+        if (user.company_role || user.company_team) {
+          this.logger.warn(`${user.email} is the ${record.name} admin; company_role and company_team are ignored`);
+        }
+        continue;
+      }
+      members.push({ user, customer, label, fields: [] });
+    }
+    if (members.length === 0) return;
+
+    // Company link and job title
+    for (const member of members) {
+      const { user, customer } = member;
+      const current = customer.extension_attributes?.company_attributes || {};
+      const jobTitle = user.job_title ?? current.job_title ?? '';
+      if (Number(current.company_id) === Number(company.id) && String(current.job_title ?? '') === String(jobTitle)) continue;
+      if (current.company_id && Number(current.company_id) !== Number(company.id)) {
+        this.logger.warn(`${user.email} is moving from company ${current.company_id} to ${record.name}`);
+      }
+
+      try {
+        await this.api.updateCustomer(customer.id, {
+          id: customer.id,
+          email: customer.email,
+          firstname: customer.firstname,
+          lastname: customer.lastname,
+          website_id: customer.website_id,
+          group_id: customer.group_id,
+          extension_attributes: {
+            company_attributes: { customer_id: customer.id, company_id: company.id, status: 1, job_title: jobTitle }
+          }
+        });
+        member.fields.push(Number(current.company_id) === Number(company.id) ? 'job_title' : 'company');
+      } catch (error) {
+        member.failed = true;
+        this.results.addFailed(member.label, error);
+        this.logger.error(`Failed to add ${user.email} to ${record.name}: ${error.message}`);
+      }
+    }
+
+    const linked = members.filter(member => !member.failed);
+    await this.assignUserRoles(linked, roleIds);
+    await this.placeUsers(linked, company, teamIds);
+
+    for (const member of linked.filter(item => !item.failed)) {
+      if (member.fields.includes('company')) {
+        this.results.addCreated(member.label);
+      } else if (member.fields.length > 0) {
+        this.results.addUpdated({ ...member.label, fields: member.fields });
+      } else {
+        this.results.addExisting(member.label);
+      }
+    }
+  }
+
+  async assignUserRoles(members, roleIds) {
+    const currentRoles = new Map();
+    for (const roleId of new Set(roleIds.values())) {
+      if (String(roleId).startsWith('dry-run')) continue;
+      for (const user of await this.api.getCompanyRoleUsers(roleId) || []) {
+        currentRoles.set(user.id, roleId);
+      }
+    }
+
+    for (const member of members) {
+      const { user, customer } = member;
+      if (!user.company_role) continue;
+
+      const roleId = roleIds.get(user.company_role.toLowerCase());
+      if (roleId === undefined) {
+        member.failed = true;
+        this.results.addFailed(member.label, `Company role "${user.company_role}" not found`);
+        continue;
+      }
+      if (currentRoles.get(customer.id) === roleId) continue;
+
+      try {
+        await this.api.assignCompanyRole(customer.id, roleId);
+        member.fields.push('role');
+      } catch (error) {
+        member.failed = true;
+        this.results.addFailed(member.label, error);
+        this.logger.error(`Failed to assign role to ${user.email}: ${error.message}`);
+      }
+    }
+  }
+
+  async placeUsers(members, company, teamIds) {
+    const hierarchy = await this.api.getCompanyHierarchy(company.id);
+    const adminNode = hierarchy.find(node => node.entity_type === 'customer' && node.entity_id === company.super_user_id);
+
+    for (const member of members.filter(item => !item.failed)) {
+      const { user, customer } = member;
+      const node = hierarchy.find(item => item.entity_type === 'customer' && item.entity_id === customer.id);
+      const parentId = user.company_team ? teamIds.get(user.company_team.toLowerCase()) : adminNode?.structure_id;
+      if (parentId === undefined) {
+        member.failed = true;
+        this.results.addFailed(member.label, `Company team "${user.company_team}" not found`);
+        continue;
+      }
+      if (!node || node.structure_parent_id === parentId) continue;
+
+      try {
+        await this.api.moveCompanyNode(node.structure_id, parentId);
+        member.fields.push('team');
+      } catch (error) {
+        member.failed = true;
+        this.results.addFailed(member.label, error);
+        this.logger.error(`Failed to place ${user.email} in ${user.company_team}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importCompanies(options = {}) {
+  const importer = new CompanyImporter(options);
+  return importer.run();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importCompanies()
+    .then(result => process.exit(result.success ? 0 : 1))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+
+/**
+ * Import Custom Shared Catalogs to Commerce (B2B)
+ * Reads from committed datapack: accs_shared_catalogs.json
+ *
+ *   [
+ *     {
+ *       "name": "Contractor Catalog", "description": "Trade assortment",
+ *       "customer_group": "Contractors",
+ *       "categories": ["lumber", "fasteners"],
+ *       "products": ["LBR-001", "FST-010"],
+ *       "discount": 10,
+ *       "prices": [{ "sku": "LBR-001", "price": 8.99 }, { "sku": "FST-010", "discount": 20 }],
+ *       "companies": ["Summit Builders"]
+ *     }
+ *   ]
+ *
+ * - customer_group: existing group whose customers see the catalog; without one,
+ *   Commerce creates a group named after the catalog
+ * - categories: url_key or name of project categories
+ * - products: SKUs to assign; without a list, every product in the categories
+ * - discount: percent off every assigned product without its own entry in prices
+ * - prices: fixed price or percent discount per SKU
+ * - companies: company names (companies step) moved onto the catalog's group
+ *
+ * Prices are tier prices (qty 1, all websites) for the catalog's customer group.
+ * The public catalog is handled by shared-catalog.js.
+ *
+ * Catalogs are matched by name. Re-runs add the assignments a catalog is missing
+ * (nothing is unassigned) and rewrite the prices that changed.
+ */
+
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { BaseImporter } from '../../shared/base-importer.js';
+import { DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readDatapackItems } from '../../shared/datapack-reader.js';
+import { resolveCustomerGroupIds } from '../lib/commerce-api.js';
+import { chunkArray } from '../lib/bulk-commerce-api.js';
+import { loadCategoryIds } from '../lib/category-lookup.js';
+
+const DATAPACK_CATALOGS_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_shared_catalogs.json');
+
+// SKUs per assignment / price request
+const BATCH_SIZE = 100;
+
+// Custom (non-public) shared catalog
+const CUSTOM_CATALOG_TYPE = 0;
+const DEFAULT_TAX_CLASS_ID = 3;
+
+/**
+ * Custom catalog definitions from the datapack ([] when it has none)
+ */
+export async function loadSharedCatalogDefinitions() {
+  if (!existsSync(DATAPACK_CATALOGS_PATH)) return [];
+  return readDatapackItems(DATAPACK_CATALOGS_PATH);
+}
+
+/**
+ * Tier prices for a catalog's customer group
+ * Explicit prices win; the catalog discount covers the other assigned products
+ *
+ * @param {Object} record - Datapack catalog
+ * @param {Array<string>} skus - Products assigned to the catalog
+ * @param {string} groupCode - The catalog's customer group
+ * @returns {{prices: Array<Object>, unassigned: Array<string>}}
+ *   unassigned: priced SKUs that aren't in the catalog
+ */
+export function catalogTierPrices(record, skus, groupCode) {
+  const assigned = new Set(skus);
+  const tierPrice = (sku, value, type) => ({
+    sku,
+    price: Number(value),
+    price_type: type,
+    website_id: 0,
+    customer_group: groupCode,
+    quantity: 1
+  });
+
+  const prices = [];
+  const unassigned = [];
+  const priced = new Set();
+  for (const entry of record.prices || []) {
+    if (!assigned.has(entry.sku)) {
+      unassigned.push(entry.sku);
+      continue;
+    }
+    priced.add(entry.sku);
+    prices.push(entry.price !== undefined
+      ? tierPrice(entry.sku, entry.price, 'fixed')
+      : tierPrice(entry.sku, entry.discount, 'discount'));
+  }
+
+  if (record.discount) {
+    for (const sku of skus.filter(item => !priced.has(item))) {
+      prices.push(tierPrice(sku, record.discount, 'discount'));
+    }
+  }
+
+  return { prices, unassigned };
+}
+
+class CustomSharedCatalogImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Custom Shared Catalogs', options);
+    this.categoryMap = options.categoryMap || null;
+    this.groupIdMap = {};
+  }
+
+  async import() {
+    const catalogs = await loadSharedCatalogDefinitions();
+    if (catalogs.length === 0) {
+      this.logger.info('No custom shared catalogs in datapack');
+      return {};
+    }
+
+    const existingCatalogs = await this.api.getSharedCatalogs();
+    await this.loadCustomerGroups();
+    // From the categories step, or the live catalog when run alone
+    const categoryIds = this.categoryMap || await loadCategoryIds(this.api);
+    const companyIds = catalogs.some(catalog => catalog.companies?.length) ? await this.loadCompanyIds() : {};
+
+    this.logger.info(`Custom shared catalogs to import: ${catalogs.length}`);
+
+    for (const record of catalogs) {
+      await this.importCatalog(record, existingCatalogs, categoryIds, companyIds);
+    }
+
+    return { total: catalogs.length };
+  }
+
+  /**
+   * Group code → ID (fetched so groups created with a catalog are included)
+   */
+  async loadCustomerGroups() {
+    this.groupIdMap = await resolveCustomerGroupIds(this.api);
+  }
+
+  /**
+   * Lowercase company name → company ID
+   */
+  async loadCompanyIds() {
+    try {
+      const companies = await this.api.getCompanies();
+      return Object.fromEntries(companies.map(company => [company.company_name.toLowerCase(), company.id]));
+    } catch (error) {
+      this.logger.warn(`Failed to fetch companies: ${error.message}`);
+      return {};
+    }
+  }
+
+  async importCatalog(record, existingCatalogs, categoryIds, companyIds) {
+    const label = { type: 'catalog', name: record.name };
+
+    let catalog;
+    try {
+      catalog = await this.ensureCatalog(record, existingCatalogs);
+    } catch (error) {
+      this.results.addFailed(label, error);
+      this.logger.error(`Failed to import shared catalog ${record.name}: ${error.message}`);
+      return;
+    }
+
+    if (String(catalog.id).startsWith('dry-run')) {
+      // Assignments and prices need the catalog's ID
+      this.logger.info(`[DRY RUN] Categories, products, prices and companies of ${record.name} are set once it exists`);
+      return;
+    }
+
+    try {
+      await this.assignCategories(record, catalog, categoryIds);
+      const skus = await this.assignProducts(record, catalog, categoryIds);
+      await this.setPrices(record, catalog, skus);
+      await this.assignCompanies(record, catalog, companyIds);
+    } catch (error) {
+      this.results.addFailed(label, error);
+      this.logger.error(`Failed to set up shared catalog ${record.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the catalog, or update an existing one whose description or tax class differs
+   */
+  async ensureCatalog(record, existingCatalogs) {
+    const label = { type: 'catalog', name: record.name };
+
+    let groupId;
+    if (record.customer_group) {
+      groupId = this.groupIdMap[record.customer_group];
+      if (groupId === undefined) throw new Error(`Customer group "${record.customer_group}" not found`);
+    }
+
+    const fields = {
+      name: record.name,
+      description: record.description || '',
+      tax_class_id: record.tax_class_id ?? DEFAULT_TAX_CLASS_ID
+    };
+
+    const existing = existingCatalogs.find(catalog => catalog.name === record.name);
+    if (!existing) {
+      const catalogId = await this.api.createSharedCatalog({
+        ...fields,
+        type: CUSTOM_CATALOG_TYPE,
+        store_id: 0,
+        ...(groupId !== undefined ? { customer_group_id: groupId } : {})
+      });
+      this.results.addCreated({ ...label, id: catalogId?.dryRun ? 'dry-run' : catalogId });
+      if (catalogId?.dryRun) return { ...fields, id: `dry-run-${record.name}` };
+
+      const created = await this.api.getSharedCatalog(catalogId);
+      await this.loadCustomerGroups();
+      return created;
+    }
+
+    if (existing.type !== CUSTOM_CATALOG_TYPE) throw new Error(`"${record.name}" is the public shared catalog`);
+    if (groupId !== undefined && Number(existing.customer_group_id) !== Number(groupId)) {
+      // Commerce can't move a catalog to another group; delete the catalog to relink it
+      throw new Error(`Shared catalog is linked to customer group ${existing.customer_group_id}, not "${record.customer_group}"`);
+    }
+
+    const changed = Object.keys(fields).filter(field => String(fields[field]) !== String(existing[field] ?? ''));
+    if (changed.length === 0) {
+      this.results.addExisting({ ...label, id: existing.id });
+      return existing;
+    }
+
+    await this.api.updateSharedCatalog(existing.id, { ...existing, ...fields });
+    this.results.addUpdated({ ...label, id: existing.id, fields: changed });
+    return { ...existing, ...fields };
+  }
+
+  async assignCategories(record, catalog, categoryIds) {
+    const label = { type: 'categories', name: `${record.name}: categories` };
+    const wanted = [];
+    for (const category of record.categories || []) {
+      const categoryId = categoryIds[category];
+      if (categoryId === undefined) {
+        this.results.addFailed({ type: 'category', name: `${record.name}: ${category}` }, `Category "${category}" not found`);
+      } else if (!String(categoryId).startsWith('dry-run')) {
+        wanted.push(Number(categoryId));
+      }
+    }
+    if (wanted.length === 0) return;
+
+    const assigned = new Set((await this.api.getSharedCatalogCategories(catalog.id)).map(Number));
+    const missing = [...new Set(wanted)].filter(id => !assigned.has(id));
+    if (missing.length === 0) {
+      this.results.addExisting(label);
+      return;
+    }
+
+    await this.api.assignSharedCatalogCategories(catalog.id, missing);
+    this.results.addCreated({ ...label, count: missing.length });
+  }
+
+  /**
+   * Assign the catalog's products; returns every SKU now in the catalog's assortment
+   */
+  async assignProducts(record, catalog, categoryIds) {
+    const label = { type: 'products', name: `${record.name}: products` };
+
+    const wanted = record.products
+      ? await this.existingSkus(record)
+      : await this.categorySkus(record, categoryIds);
+    const assigned = new Set(await this.api.getSharedCatalogProducts(catalog.id));
+    const missing = wanted.filter(sku => !assigned.has(sku));
+
+    if (missing.length === 0) {
+      if (wanted.length > 0) this.results.addExisting(label);
+      return wanted;
+    }
+
+    for (const batch of chunkArray(missing, BATCH_SIZE)) {
+      await this.api.assignSharedCatalogProducts(catalog.id, batch);
+    }
+    this.results.addCreated({ ...label, count: missing.length });
+    return wanted;
+  }
+
+  /**
+   * Listed SKUs that exist in Commerce (unknown ones fail on their own)
+   */
+  async existingSkus(record) {
+    const skus = [...new Set(record.products)];
+    const found = new Set();
+    for (const batch of chunkArray(skus, BATCH_SIZE)) {
+      const params = new URLSearchParams({
+        'searchCriteria[pageSize]': BATCH_SIZE,
+        'searchCriteria[filterGroups][0][filters][0][field]': 'sku',
+        'searchCriteria[filterGroups][0][filters][0][conditionType]': 'in',
+        'searchCriteria[filterGroups][0][filters][0][value]': batch.join(','),
+        fields: 'items[sku]'
+      });
+      const response = await this.api.get(`/rest/V1/products?${params.toString()}`);
+      for (const product of response?.items || []) found.add(product.sku);
+    }
+
+    for (const sku of skus.filter(item => !found.has(item))) {
+      this.results.addFailed({ type: 'product', sku, name: `${record.name}: ${sku}` }, `Product "${sku}" not found`);
+    }
+    return skus.filter(sku => found.has(sku));
+  }
+
+  /**
+   * Every product in the catalog's categories
+   */
+  async categorySkus(record, categoryIds) {
+    const skus = new Set();
+    for (const category of record.categories || []) {
+      const categoryId = categoryIds[category];
+      if (categoryId === undefined || String(categoryId).startsWith('dry-run')) continue;
+      for (const member of await this.api.getCategoryProducts(categoryId) || []) {
+        skus.add(member.sku);
+      }
+    }
+    return [...skus];
+  }
+
+  async setPrices(record, catalog, skus) {
+    const groupCode = Object.keys(this.groupIdMap).find(code => Number(this.groupIdMap[code]) === Number(catalog.customer_group_id));
+    const { prices, unassigned } = catalogTierPrices(record, skus, groupCode);
+    for (const sku of unassigned) {
+      this.results.addFailed({ type: 'price', sku, name: `${record.name}: ${sku}` }, `${sku} has a catalog price but isn't in the catalog`);
+    }
+    if (prices.length === 0) return;
+    if (!groupCode) throw new Error(`Customer group ${catalog.customer_group_id} of the catalog not found`);
+
+    const key = (price) => `${price.sku}|${price.website_id}|${String(price.customer_group).toLowerCase()}|${Number(price.quantity)}`;
+    const existing = new Map();
+    for (const batch of chunkArray([...new Set(prices.map(price => price.sku))], BATCH_SIZE)) {
+      for (const price of await this.api.getTierPrices(batch)) {
+        existing.set(key(price), price);
+      }
+    }
+
+    const changes = [];
+    for (const price of prices) {
+      const current = existing.get(key(price));
+      const item = { type: 'price', sku: price.sku, name: `${record.name}: ${price.sku}` };
+      if (current && Number(current.price) === price.price && current.price_type === price.price_type) {
+        this.results.addUnchanged(item);
+      } else {
+        changes.push({ price, item, isUpdate: Boolean(current) });
+      }
+    }
+
+    for (const batch of chunkArray(changes, BATCH_SIZE)) {
+      const response = await this.api.updateTierPrices(batch.map(change => change.price));
+      const errors = Array.isArray(response) ? response : [];
+      for (const { price, item, isUpdate } of batch) {
+        const error = errors.find(entry => (entry.parameters || []).includes(price.sku));
+        if (error) {
+          this.results.addFailed(item, error.message);
+        } else if (isUpdate) {
+          this.results.addUpdated(item);
+        } else {
+          this.results.addCreated(item);
+        }
+      }
+    }
+  }
+
+  async assignCompanies(record, catalog, companyIds) {
+    const wanted = [];
+    for (const name of record.companies || []) {
+      const label = { type: 'company', name: `${record.name}: ${name}` };
+      const companyId = companyIds[name.toLowerCase()];
+      if (companyId === undefined) {
+        if (this.isDryRun) {
+          this.results.addSkipped(label, 'Company not created yet (dry run)');
+        } else {
+          this.results.addFailed(label, `Company "${name}" not found`);
+        }
+        continue;
+      }
+      wanted.push({ companyId, label });
+    }
+    if (wanted.length === 0) return;
+
+    const assigned = new Set(await this.api.getSharedCatalogCompanies(catalog.id));
+    const missing = wanted.filter(({ companyId }) => !assigned.has(Number(companyId)));
+    for (const { label } of wanted.filter(item => !missing.includes(item))) {
+      this.results.addExisting(label);
+    }
+    if (missing.length === 0) return;
+
+    await this.api.assignSharedCatalogCompanies(catalog.id, missing.map(({ companyId }) => companyId));
+    for (const { label } of missing) {
+      this.results.addCreated(label);
+    }
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importCustomSharedCatalogs(options = {}) {
+  const importer = new CustomSharedCatalogImporter(options);
+  return importer.run();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importCustomSharedCatalogs()
+    .then(result => process.exit(result.success ? 0 : 1))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
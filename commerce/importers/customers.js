@@ -4,15 +4,29 @@
  * Import Customers to Commerce
  * Reads from committed datapack: accs_customers.json
  * 
+ * Customers go to the primary website from import-all, or to the website and
+ * store view a record names in _website / _store (lib/store-scopes.js).
+ * Existing accounts are matched by email within their website.
+ * 
+ * Customers without a password get a deterministic one, and every run writes the
+ * credentials report for presenters (lib/customer-credentials.js).
+ * 
+ * A customer's persona sets aco_catalog_view_id / aco_price_book_id from the persona
+ * mapping (lib/customer-personas.js), on create and on existing customers whose values differ.
+ * 
  * Uses BaseImporter for standardized patterns
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
-import { readFileSync } from 'fs';
-import { BaseImporter } from '../../shared/base-importer.js';
+import { BaseImporter, parallelProcess } from '../../shared/base-importer.js';
+import { parseScopeCodes, fetchStoreScopes, resolveScopeIds } from '../lib/store-scopes.js';
+import { generatePassword, writeCredentialsReport } from '../lib/customer-credentials.js';
+import { loadPersonaMapping, loadPriceBookIds, findUnknownPriceBooks, personaAttributes, changedPersonaAttributes } from '../lib/customer-personas.js';
 
 import { DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readDatapackItems } from '../../shared/datapack-reader.js';
+import { resolveCustomerGroupIds } from '../lib/commerce-api.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,21 +37,70 @@ const DATAPACK_CUSTOMERS_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data
 class CustomerImporter extends BaseImporter {
   constructor(options = {}) {
     super('Customers', options);
-    this.groupIdMap = options.groupIdMap || {};
+    this.groupIdMap = options.groupIdMap || options.customerGroupIds || {};
     this.websiteIds = options.websiteIds || [];
+    this.storeScopes = options.storeScopes || null;
+    this.personaUpdates = [];
   }
   
   /**
    * Load customers from datapack
    */
-  loadCustomers() {
+  async loadCustomers() {
     this.logger.info(`Loading customers from datapack: ${DATAPACK_CUSTOMERS_PATH}`);
-    const data = JSON.parse(readFileSync(DATAPACK_CUSTOMERS_PATH, 'utf-8'));
-    return data.source.items; // Array of customer objects in ACCS format
+    return readDatapackItems(DATAPACK_CUSTOMERS_PATH, ['source', 'items']); // Array of customer objects in ACCS format
+  }
+  
+  /**
+   * Fetch website / store view code → ID maps (customer scopes and report website codes)
+   * Only runs if storeScopes is not provided by import-all
+   */
+  async fetchStoreScopes() {
+    if (this.storeScopes) return;
+    
+    try {
+      this.storeScopes = await fetchStoreScopes(this.api);
+    } catch (error) {
+      this.logger.warn(`Failed to fetch websites and store views: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Fetch group code → ID map for the credentials report (every Commerce group)
+   */
+  async fetchCustomerGroups() {
+    try {
+      this.groupIdMap = await resolveCustomerGroupIds(this.api, this.groupIdMap);
+    } catch (error) {
+      this.logger.warn(`Failed to fetch customer groups: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Website and store view IDs for a customer (throws on unknown codes)
+   */
+  resolveScope(accsData) {
+    const scope = { websiteId: accsData.website_id || (this.websiteIds[0] || 1) };
+    
+    const [websiteCode] = parseScopeCodes(accsData._website);
+    if (websiteCode) {
+      const { ids } = resolveScopeIds([websiteCode], this.storeScopes?.websites);
+      if (ids.length === 0) throw new Error(`Unknown website "${websiteCode}"`);
+      scope.websiteId = ids[0];
+    }
+    
+    const [storeCode] = parseScopeCodes(accsData._store);
+    if (storeCode) {
+      const { ids } = resolveScopeIds([storeCode], this.storeScopes?.storeViews);
+      if (ids.length === 0) throw new Error(`Unknown store view "${storeCode}"`);
+      scope.storeId = ids[0];
+    }
+    
+    return scope;
   }
   
   async import() {
-    const customers = this.loadCustomers();
+    const customers = await this.loadCustomers();
     
     if (this.websiteIds && this.websiteIds.length > 0) {
       this.logger.info(`Website scope: ${this.websiteIds.join(', ')}`);
@@ -45,10 +108,34 @@ class CustomerImporter extends BaseImporter {
       this.logger.warn(`No website IDs provided - customers may be assigned to wrong website`);
     }
     
+    await this.fetchStoreScopes();
+    await this.fetchCustomerGroups();
+    
+    const personas = loadPersonaMapping();
+    const unknownPriceBooks = findUnknownPriceBooks(personas, await loadPriceBookIds());
+    for (const { persona, priceBookId } of unknownPriceBooks) {
+      this.logger.warn(`Persona "${persona}" maps to price book "${priceBookId}", which price-books.json doesn't define`);
+    }
+    
+    // Unresolvable website / store view codes and personas fail that customer only
+    const scoped = [];
+    for (const customer of customers) {
+      try {
+        scoped.push({
+          ...customer,
+          _scope: this.resolveScope(customer),
+          _personaAttributes: personaAttributes(customer.persona, personas, unknownPriceBooks)
+        });
+      } catch (error) {
+        this.results.addFailed({ email: customer.email }, error);
+        this.logger.error(`Failed to process customer ${customer.email}: ${error.message}`);
+      }
+    }
+    
     await this.optimizedImport({
-      loadItems: () => customers,
+      loadItems: () => scoped,
       fetchExisting: async () => {
-        const emails = customers.map(c => c.email);
+        const emails = scoped.map(c => c.email);
         if (!emails || emails.length === 0) return [];
         
         try {
@@ -59,11 +146,10 @@ class CustomerImporter extends BaseImporter {
             'searchCriteria[filterGroups][0][filters][0][value]': emails.join(',')
           });
 
-          if (this.websiteIds && this.websiteIds.length > 0) {
-            params.append('searchCriteria[filterGroups][1][filters][0][field]', 'website_id');
-            params.append('searchCriteria[filterGroups][1][filters][0][value]', this.websiteIds[0]);
-            params.append('searchCriteria[filterGroups][1][filters][0][conditionType]', 'eq');
-          }
+          const websiteIds = [...new Set(scoped.map(c => c._scope.websiteId))];
+          params.append('searchCriteria[filterGroups][1][filters][0][field]', 'website_id');
+          params.append('searchCriteria[filterGroups][1][filters][0][value]', websiteIds.join(','));
+          params.append('searchCriteria[filterGroups][1][filters][0][conditionType]', 'in');
 
           const response = await this.api.get(`/rest/V1/customers/search?${params.toString()}`);
           return response.items || [];
@@ -72,8 +158,14 @@ class CustomerImporter extends BaseImporter {
           return [];
         }
       },
-      getItemKey: (customer) => customer.email.toLowerCase(),
+      getItemKey: (customer) => `${customer.email.toLowerCase()}:${customer._scope.websiteId}`,
+      getExistingKey: (existing) => `${existing.email.toLowerCase()}:${existing.website_id}`,
       onExisting: (customerData, existing) => {
+        const changed = changedPersonaAttributes(customerData._personaAttributes, existing);
+        if (changed.length > 0) {
+          this.personaUpdates.push({ customerData, existing, changed });
+          return;
+        }
         this.results.addExisting({ 
           email: customerData.email, 
           name: `${customerData.firstname} ${customerData.lastname}`,
@@ -97,15 +189,19 @@ class CustomerImporter extends BaseImporter {
       itemLabel: 'customers'
     });
     
+    await this.updatePersonaAttributes();
+    
     // Output credentials summary
-    this.logCredentialsSummary();
+    const credentialsReport = this.logCredentialsSummary(scoped);
     
     return {
       total: customers.length,
       created: this.results.created.length,
       existing: this.results.existing.length,
+      updated: this.results.updated.length,
       failed: this.results.failed.length,
-      results: this.results
+      results: this.results,
+      credentialsReport
     };
   }
   
@@ -115,9 +211,11 @@ class CustomerImporter extends BaseImporter {
       email: accsData.email,
       firstname: accsData.firstname,
       lastname: accsData.lastname,
-      website_id: accsData.website_id || (this.websiteIds[0] || 1),
+      website_id: accsData._scope.websiteId,
       group_id: accsData.group_id || 1
     };
+    if (accsData._scope.storeId !== undefined) customer.store_id = accsData._scope.storeId;
+    if (accsData._personaAttributes.length > 0) customer.custom_attributes = accsData._personaAttributes;
     
     // Add optional fields if present
     if (accsData.middlename) customer.middlename = accsData.middlename;
@@ -148,7 +246,7 @@ class CustomerImporter extends BaseImporter {
     
     return {
       customer,
-      password: accsData.password,
+      password: this.customerPassword(accsData),
       addresses
     };
   }
@@ -169,9 +267,70 @@ class CustomerImporter extends BaseImporter {
     return response;
   }
   
-  logCredentialsSummary() {
-    // Note: In a locked demo, credentials are pre-defined in the datapack
-    this.logger.info('\\nDemo customer credentials are defined in the datapack.');
+  /**
+   * Write changed persona attributes to existing customers
+   * (PUT needs the account's core fields alongside the attributes)
+   */
+  async updatePersonaAttributes() {
+    await parallelProcess(this.personaUpdates, async ({ customerData, existing, changed }) => {
+      const item = {
+        email: customerData.email,
+        name: `${customerData.firstname} ${customerData.lastname}`,
+        fields: changed.map(attr => attr.attribute_code)
+      };
+      try {
+        await this.api.updateCustomer(existing.id, {
+          id: existing.id,
+          email: existing.email,
+          firstname: existing.firstname,
+          lastname: existing.lastname,
+          website_id: existing.website_id,
+          group_id: existing.group_id,
+          custom_attributes: changed
+        });
+        this.results.addUpdated(item);
+      } catch (error) {
+        this.results.addFailed({ email: customerData.email }, error);
+        this.logger.error(`Failed to update persona attributes for ${customerData.email}: ${error.message}`);
+      }
+    });
+  }
+  
+  /**
+   * Datapack password, else the generated one
+   */
+  customerPassword(accsData) {
+    return accsData.password || generatePassword(accsData.email);
+  }
+  
+  /**
+   * Write the credentials report for every customer that exists now
+   * Returns the report paths (null in dry run or when no customer made it)
+   */
+  logCredentialsSummary(customers) {
+    const failed = new Set(this.results.failed.map(item => String(item.email).toLowerCase()));
+    const groupCodes = Object.fromEntries(Object.entries(this.groupIdMap).map(([code, id]) => [String(id), code]));
+    const websiteCodes = Object.fromEntries(Object.entries(this.storeScopes?.websites || {}).map(([code, id]) => [String(id), code]));
+    
+    const rows = customers
+      .filter(customer => !failed.has(customer.email.toLowerCase()))
+      .map(customer => ({
+        email: customer.email,
+        password: this.customerPassword(customer),
+        group: groupCodes[String(customer.group_id || 1)] || customer.group_id || 1,
+        persona: customer.persona || '',
+        website: websiteCodes[String(customer._scope.websiteId)] || customer._scope.websiteId
+      }));
+    
+    if (rows.length === 0) return null;
+    if (this.isDryRun) {
+      this.logger.info(`[DRY RUN] Would write credentials for ${rows.length} demo customers`);
+      return null;
+    }
+    
+    const report = writeCredentialsReport(rows);
+    this.logger.info(`Demo customer credentials written to ${report.markdown} and ${report.csv}`);
+    return report;
   }
 }
 
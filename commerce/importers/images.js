@@ -4,14 +4,35 @@
  * Import Product Images to Commerce
  * Reads images from generated datapack and uploads via REST API
  * 
+ * Images come inline (base64), from a file "path", or from images/<sku>/ in the data repo
+ * (see lib/image-sources.js); file sources are read and encoded at upload time.
+ * With IMAGE_PREPROCESS=true they are resized/converted first (lib/image-preprocessor.js).
+ * 
+ * Image files carry base64 data inline, so they are streamed (shared/datapack-reader.js):
+ * a first pass hashes every entry, a second reconciles a few products at a time.
+ * Only the products being synced are held in memory.
+ * 
+ * Reconciliation (per product):
+ * - Gallery entries are matched to datapack entries by content hash (from state),
+ *   then by file name (Commerce may add a "_1" suffix)
+ * - New images are uploaded; images whose content changed are replaced
+ * - Label, position, disabled and roles are corrected on matched entries
+ * - Entries no longer in the datapack are removed
+ * - The synced hashes are kept in the state file, so products whose datapack
+ *   images haven't changed since the last sync are skipped without an API call
+ * 
  * Uses BaseImporter for standardized patterns
  */
 
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
-import { readFileSync, readdirSync, existsSync } from 'fs';
-import { BaseImporter } from '../../shared/base-importer.js';
-import { DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readdirSync, existsSync } from 'fs';
+import { BaseImporter, ProgressTracker, parallelProcess } from '../../shared/base-importer.js';
+import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { streamDatapackItems } from '../../shared/datapack-reader.js';
+import { getStateTracker } from '../lib/state-tracker.js';
+import { assertImageSize, describeImageSource, imageName, prepareImageContent, loadImageDirectories } from '../lib/image-sources.js';
+import { ImagePreprocessor } from '../lib/image-preprocessor.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -19,79 +40,102 @@ const __dirname = dirname(__filename);
 // Path to generated datapack
 const DATAPACK_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs');
 
+// Products synced in parallel (and held in memory) at a time
+const SYNC_CONCURRENCY = 5;
+
+// Roles given to the first image when no entry lists any
+const DEFAULT_ROLES = ['image', 'small_image', 'thumbnail'];
+
+/**
+ * Comparable file name: Commerce sanitizes and lowercases uploads
+ * ("/l/b/lbr-001.png" and "LBR-001.png" both become "lbr-001.png")
+ */
+function normalizeFileName(file) {
+  return String(file).split('/').pop().toLowerCase().replace(/[^a-z0-9_.-]+/g, '_');
+}
+
+/**
+ * Drop the "_1" Commerce appends to a duplicate upload ("lbr-001_1.png" → "lbr-001.png")
+ * Only a fallback: datapack names like "shelf_1.png" and "shelf_2.png" must match exactly
+ */
+function withoutDuplicateSuffix(name) {
+  return name.replace(/_\d+(\.[a-z0-9]+)$/, '$1');
+}
+
+const sameTypes = (a = [], b = []) => [...a].sort().join(',') === [...b].sort().join(',');
+
 class ImageImporter extends BaseImporter {
   constructor(options = {}) {
     super('Images', options);
-    this.productImages = []; // Will hold all product-image data from datapack
+    this.imageFiles = [];
+    this.productImages = new Map(); // SKU → datapack entry signatures (no image data)
+    this.removed = [];
+    this.stateTracker = getStateTracker();
+    this.preprocessor = COMMERCE_CONFIG.images.preprocess ? new ImagePreprocessor() : null;
   }
   
   async import() {
-    this.loadProductImages();
+    this.imageFiles = this.findImageFiles();
+    await this.indexProductImages();
     
-    if (this.productImages.length === 0) {
+    if (this.productImages.size === 0) {
       this.logger.warn('No product images found in datapack');
       return {};
     }
     
-    this.logger.info(`Product images to process: ${this.productImages.length}`);
+    this.logger.info(`Product images to process: ${this.productImages.size}`);
     
-    this.logger.info('Pre-fetching existing images...');
-    const existingMap = await this.fetchExistingImages();
-    const productsNeedingImages = [];
-    for (const productData of this.productImages) {
-      if (existingMap.has(productData.sku)) {
-        productData.entries.forEach(() => this.results.addExisting({ sku: productData.sku }));
+    // Products whose datapack images match the last sync need no API calls
+    const skusToSync = new Set();
+    for (const [sku, entries] of this.productImages) {
+      if (this.matchesLastSync(sku, entries)) {
+        entries.forEach(entry => this.results.addUnchanged({ sku, code: `${sku} (${entry.name})` }));
       } else {
-        productsNeedingImages.push(productData);
+        skusToSync.add(sku);
       }
     }
     
-    this.logger.info(`Existing: ${this.productImages.length - productsNeedingImages.length}, New to upload: ${productsNeedingImages.length}\n`);
+    this.logger.info(`Unchanged since last sync: ${this.productImages.size - skusToSync.size}, To sync: ${skusToSync.size}\n`);
     
-    if (productsNeedingImages.length === 0) {
-      this.logger.info('No new images to upload');
-      return {};
+    if (skusToSync.size > 0) {
+      await this.syncFromDatapack(skusToSync);
+      if (!this.isDryRun) this.stateTracker.saveState();
     }
-    await this.processWithProgress(
-      productsNeedingImages,
-      async (productData) => {
-        await this.uploadProductImagesWithoutCheck(productData);
-      },
-      {
-        concurrency: 5,
-        label: 'images'
-      }
-    );
     
-    return {};
+    return { removed: this.removed, preprocessed: this.preprocessor?.stats };
   }
   
   /**
-   * Fetch existing images for all products in batches
+   * Stream the datapack again and reconcile the given products
    */
-  async fetchExistingImages() {
-    const existingMap = new Map();
-    const checkBatchSize = 10;
+  async syncFromDatapack(skus) {
+    const progress = new ProgressTracker(skus.size, 'images');
+    const sync = async (productData) => {
+      await this.syncProductImages(productData);
+      progress.increment();
+    };
     
-    for (let i = 0; i < this.productImages.length; i += checkBatchSize) {
-      const batch = this.productImages.slice(i, i + checkBatchSize);
-      const results = await Promise.all(
-        batch.map(async (productData) => {
-          const images = await this.getExistingImages(productData.sku);
-          return { sku: productData.sku, hasImages: images.length > 0 };
-        })
-      );
-      results.filter(r => r.hasImages).forEach(r => existingMap.set(r.sku, true));
+    let window = [];
+    for await (const productData of this.streamProductImages()) {
+      if (!skus.has(productData.sku)) continue;
+      skus.delete(productData.sku); // Later records for the same SKU were ignored when indexing
+      window.push({ sku: productData.sku, entries: this.normalizeEntries(productData.entries) });
+      if (window.length >= SYNC_CONCURRENCY) {
+        await parallelProcess(window, sync, SYNC_CONCURRENCY);
+        window = [];
+      }
+    }
+    if (window.length > 0) {
+      await parallelProcess(window, sync, SYNC_CONCURRENCY);
     }
     
-    this.logger.info(`Found ${existingMap.size} products with existing images\n`);
-    return existingMap;
+    progress.finish();
   }
   
-  loadProductImages() {
+  findImageFiles() {
     if (!existsSync(DATAPACK_PATH)) {
       this.logger.warn(`Datapack path not found: ${DATAPACK_PATH}`);
-      return;
+      return [];
     }
     
     const files = readdirSync(DATAPACK_PATH)
@@ -100,77 +144,253 @@ class ImageImporter extends BaseImporter {
     
     if (files.length === 0) {
       this.logger.warn('No accs_product_images_*.json files found in datapack');
-      return;
+      return [];
     }
     
     this.logger.debug(`Found ${files.length} image JSON files`);
-    
-    for (const file of files) {
+    return files;
+  }
+  
+  /**
+   * Yield { sku, entries } for every product-image record, one file at a time,
+   * then for images/<sku>/ directories of products without a record
+   */
+  async *streamProductImages() {
+    const seen = new Set();
+    for (const file of this.imageFiles) {
       try {
-        const filePath = resolve(DATAPACK_PATH, file);
-        const data = JSON.parse(readFileSync(filePath, 'utf-8'));
-        if (Array.isArray(data)) {
-          data.forEach(item => {
-            if (item.product && item.product.sku && item.product.media_gallery_entries) {
-              this.productImages.push({
-                sku: item.product.sku,
-                entries: item.product.media_gallery_entries
-              });
-            }
-          });
+        for await (const item of streamDatapackItems(resolve(DATAPACK_PATH, file))) {
+          if (item.product && item.product.sku && item.product.media_gallery_entries) {
+            seen.add(item.product.sku);
+            yield {
+              sku: item.product.sku,
+              entries: item.product.media_gallery_entries
+            };
+          }
         }
       } catch (error) {
         this.logger.warn(`Failed to load ${file}: ${error.message}`);
       }
     }
     
-    this.logger.info(`Loaded ${this.productImages.length} product-image mappings from datapack`);
+    for (const [sku, entries] of loadImageDirectories()) {
+      if (seen.has(sku)) continue;
+      yield { sku, entries };
+    }
   }
   
-  async uploadProductImagesWithoutCheck(productData) {
-    const { sku, entries } = productData;
+  /**
+   * Fill in hash, name, position and roles (reads file sources to hash them)
+   */
+  normalizeEntries(entries) {
+    const anyRoles = entries.some(entry => entry.types?.length > 0);
+    const claimed = new Set();
     
-    try {
-      for (const entry of entries) {
-        await this.uploadImageEntry(sku, entry);
-        this.results.addCreated({ sku });
+    return entries.map((entry, index) => {
+      // A role belongs to one image; the first entry listing it keeps it
+      const requested = anyRoles ? entry.types || [] : (index === 0 ? DEFAULT_ROLES : []);
+      const types = requested.filter(role => !claimed.has(role));
+      types.forEach(role => claimed.add(role));
+      
+      const { hash, error } = describeImageSource(entry);
+      const name = imageName(entry, `image-${index + 1}`);
+      return {
+        ...entry,
+        // Preprocessing settings are part of the hash, so changing them re-uploads
+        name: this.preprocessor ? this.preprocessor.outputName(name) : name,
+        hash: this.preprocessor && hash ? this.preprocessor.outputHash(hash) : hash,
+        error,
+        label: entry.label || '',
+        position: entry.position || index + 1,
+        disabled: Boolean(entry.disabled),
+        types
+      };
+    });
+  }
+  
+  /**
+   * First pass: keep each product's entry signatures, drop the image data
+   */
+  async indexProductImages() {
+    for await (const { sku, entries } of this.streamProductImages()) {
+      if (this.productImages.has(sku)) {
+        this.logger.warn(`Images for ${sku} are listed more than once; using the first record`);
+        continue;
       }
-    } catch (error) {
-      this.results.addFailed({ sku }, error);
-      this.logger.error(`\nFailed to upload images for ${sku}: ${error.message}`);
+      this.productImages.set(sku, this.normalizeEntries(entries).map(({ content, ...signature }) => signature));
     }
+    
+    this.logger.info(`Loaded ${this.productImages.size} product-image mappings from datapack`);
+  }
+  
+  /**
+   * True when the state file shows this exact set of images was synced last time
+   */
+  matchesLastSync(sku, entries) {
+    const synced = this.stateTracker.getProductImages(sku);
+    if (!synced || synced.length !== entries.length) return false;
+    return entries.every((entry, index) => {
+      const last = synced[index];
+      return last.hash === entry.hash &&
+             last.label === entry.label &&
+             last.position === entry.position &&
+             last.disabled === entry.disabled &&
+             sameTypes(last.types, entry.types);
+    });
   }
   
-  async getExistingImages(sku) {
+  /**
+   * Reconcile one product's gallery with its datapack entries
+   */
+  async syncProductImages({ sku, entries }) {
+    let gallery;
     try {
-      // Query at global scope to see all images
-      const product = await this.api.get(`/rest/all/V1/products/${encodeURIComponent(sku)}`);
-      return product.media_gallery_entries || [];
+      gallery = await this.api.getProductMedia(sku) || [];
     } catch (error) {
-      this.logger.debug(`Could not check existing images for ${sku}: ${error.message}`);
-      return [];
+      entries.forEach(entry => this.results.addFailed({ sku, code: `${sku} (${entry.name})` }, error));
+      this.logger.error(`\nFailed to read images for ${sku}: ${error.message}`);
+      return;
+    }
+    
+    const syncedHashes = new Map((this.stateTracker.getProductImages(sku) || []).map(item => [item.file, item.hash]));
+    const unmatched = new Set(gallery);
+    const synced = [];
+    
+    for (const entry of entries) {
+      const label = { sku, code: `${sku} (${entry.name})` };
+      
+      // Same content first, then same file name, then a renamed duplicate upload
+      const name = normalizeFileName(entry.name);
+      let current = [...unmatched].find(item => entry.hash && syncedHashes.get(item.file) === entry.hash);
+      if (!current) {
+        current = [...unmatched].find(item => normalizeFileName(item.file) === name);
+      }
+      if (!current) {
+        current = [...unmatched].find(item => withoutDuplicateSuffix(normalizeFileName(item.file)) === name);
+      }
+      if (current) unmatched.delete(current);
+      
+      // Unreadable source: keep whatever is in the gallery and retry next run
+      if (entry.error) {
+        this.results.addFailed(label, entry.error);
+        this.logger.error(`\nSkipped image ${entry.name} for ${sku}: ${entry.error}`);
+        continue;
+      }
+      
+      try {
+        // A known hash that differs means the file was replaced in the datapack
+        const knownHash = current ? syncedHashes.get(current.file) : undefined;
+        if (current && knownHash && entry.hash && knownHash !== entry.hash) {
+          const file = await this.uploadImageEntry(sku, entry);
+          await this.api.deleteProductMedia(sku, current.id);
+          synced.push({ ...this.signature(entry), file });
+          this.results.addUpdated(label);
+          continue;
+        }
+        
+        if (!current) {
+          const file = await this.uploadImageEntry(sku, entry);
+          synced.push({ ...this.signature(entry), file });
+          this.results.addCreated(label);
+          continue;
+        }
+        
+        const changed = (current.label || '') !== entry.label ||
+                        Number(current.position) !== entry.position ||
+                        Boolean(current.disabled) !== entry.disabled ||
+                        !sameTypes(current.types, entry.types);
+        if (changed) {
+          await this.api.updateProductMedia(sku, current.id, {
+            media_type: current.media_type || 'image',
+            label: entry.label,
+            position: entry.position,
+            disabled: entry.disabled,
+            types: entry.types,
+            file: current.file
+          });
+          this.results.addUpdated(label);
+        } else {
+          this.results.addUnchanged(label);
+        }
+        synced.push({ ...this.signature(entry), file: current.file });
+      } catch (error) {
+        this.results.addFailed(label, error);
+        this.logger.error(`\nFailed to sync image ${entry.name} for ${sku}: ${error.message}`);
+      }
+    }
+    
+    // Whatever is left isn't in the datapack anymore
+    for (const item of unmatched) {
+      try {
+        await this.api.deleteProductMedia(sku, item.id);
+        this.removed.push({ sku, file: item.file });
+      } catch (error) {
+        this.results.addFailed({ sku, code: `${sku} (${item.file})` }, error);
+        this.logger.error(`\nFailed to remove image ${item.file} from ${sku}: ${error.message}`);
+      }
+    }
+    
+    if (this.isDryRun) return;
+    
+    await this.syncRoles(sku, synced);
+    
+    // Only record a complete sync, so failed entries are retried next run
+    if (synced.length === entries.length) {
+      this.stateTracker.setProductImages(sku, synced);
     }
   }
   
-  async uploadImageEntry(sku, entry) {
-    const { content, media_type, label, position, disabled, types } = entry;
+  signature(entry) {
+    return {
+      hash: entry.hash,
+      label: entry.label,
+      position: entry.position,
+      disabled: entry.disabled,
+      types: entry.types
+    };
+  }
+  
+  /**
+   * Point image roles at the right files (global and store-view values)
+   */
+  async syncRoles(sku, synced) {
+    const product = await this.api.get(`/rest/all/V1/products/${encodeURIComponent(sku)}`);
+    const current = (role) => product.custom_attributes?.find(attr => attr.attribute_code === role)?.value;
     
-    if (!content || !content.base64_encoded_data) {
-      throw new Error('Missing image content');
+    const rolesByFile = new Map();
+    for (const { file, types } of synced) {
+      const stale = types.filter(role => current(role) !== file);
+      if (file && stale.length > 0) rolesByFile.set(file, stale);
+    }
+    
+    const websiteIds = product.extension_attributes?.website_ids || [];
+    for (const [file, types] of rolesByFile) {
+      await this.assignImageRoles(sku, file, types, websiteIds);
+    }
+  }
+  
+  /**
+   * Upload one entry; returns the stored file path
+   */
+  async uploadImageEntry(sku, entry) {
+    const { media_type, label, position, disabled, types } = entry;
+    let content = prepareImageContent(entry);
+    if (this.preprocessor) {
+      content = await this.preprocessor.process(content);
     }
+    assertImageSize(content);
     
     if (this.isDryRun) {
-      this.logger.debug(`[DRY RUN] Would upload image ${content.name} for ${sku} with types: ${types ? types.join(', ') : 'default'}`);
-      return;
+      this.logger.debug(`[DRY RUN] Would upload image ${content.name} for ${sku} with types: ${types.join(', ') || 'none'}`);
+      return null;
     }
-    const imageTypes = types || ['image', 'small_image', 'thumbnail'];
     const payload = {
       entry: {
         media_type: media_type || 'image',
-        label: label || '',
-        position: position || 1,
-        disabled: disabled || false,
-        types: imageTypes,
+        label,
+        position,
+        disabled,
+        types,
         content: {
           base64_encoded_data: content.base64_encoded_data,
           type: content.type,
@@ -179,8 +399,7 @@ class ImageImporter extends BaseImporter {
       }
     };
     
-    this.logger.debug(`Uploading ${content.name} for ${sku} with roles: ${imageTypes.join(', ')}`);
-    this.logger.debug(`Upload payload types: ${JSON.stringify(imageTypes)}`);
+    this.logger.debug(`Uploading ${content.name} for ${sku} with roles: ${types.join(', ')}`);
     
     try {
       // Use global scope endpoint to ensure media is created at store_id=0
@@ -190,23 +409,19 @@ class ImageImporter extends BaseImporter {
       
       if (result && result.id) {
         this.logger.debug(`Successfully uploaded image for ${sku} (ID: ${result.id}, file: ${result.file})`);
-        await this.assignImageRoles(sku, result.file, imageTypes);
-      } else if (typeof result === 'number') {
-        // API sometimes returns just the ID as a number
-        this.logger.debug(`Image uploaded for ${sku} with ID: ${result}`);
-        // Need to fetch the image details to get the file path
-        const product = await this.api.get(`/rest/all/V1/products/${encodeURIComponent(sku)}`);
-        const uploadedImage = product.media_gallery_entries?.find(img => img.id === result);
-        if (uploadedImage) {
-          await this.assignImageRoles(sku, uploadedImage.file, imageTypes);
-        } else {
-          this.logger.warn(`Could not find uploaded image with ID ${result} for ${sku}`);
-        }
-      } else {
-        this.logger.warn(`Image uploaded for ${sku} but unexpected response: ${JSON.stringify(result)}`);
+        return result.file;
       }
       
-      return result;
+      // API usually returns just the entry ID; look up the stored file path
+      const entryId = Number(result);
+      const gallery = await this.api.getProductMedia(sku);
+      const uploadedImage = gallery?.find(img => img.id === entryId);
+      if (!uploadedImage) {
+        this.logger.warn(`Could not find uploaded image with ID ${result} for ${sku}`);
+        return null;
+      }
+      this.logger.debug(`Image uploaded for ${sku} with ID: ${entryId} (file: ${uploadedImage.file})`);
+      return uploadedImage.file;
     } catch (error) {
       this.logger.error(`\nImage upload API error for ${sku}: ${error.message}`);
       if (error.response && error.response.data) {
@@ -216,7 +431,22 @@ class ImageImporter extends BaseImporter {
     }
   }
   
-  async assignImageRoles(sku, imageFile, types) {
+  /**
+   * Store views (without admin), fetched once per run
+   */
+  async loadStoreViews() {
+    if (!this.storeViews) {
+      const storeViews = await this.api.getStoreViews();
+      this.storeViews = (storeViews || []).filter(view => view.code !== 'admin');
+    }
+    return this.storeViews;
+  }
+  
+  /**
+   * Assign roles globally and in the store views of the product's websites
+   * (every store view when the product's websites are unknown)
+   */
+  async assignImageRoles(sku, imageFile, types, websiteIds = []) {
     try {
       const custom_attributes = [];
       
@@ -252,14 +482,14 @@ class ImageImporter extends BaseImporter {
       });
       this.logger.debug(`✓ Global scope assignment successful for ${sku}`);
       
-      // 2. Get all store views and assign at each store view level
+      // 2. Assign at each store view level of the product's websites
       // This ensures store-level overrides don't block images in ACO
       try {
-        const storeViews = await this.api.get('/rest/V1/store/storeViews');
+        const websites = new Set(websiteIds.map(Number));
+        const storeViews = (await this.loadStoreViews())
+          .filter(view => websites.size === 0 || websites.has(Number(view.website_id)));
         
         for (const storeView of storeViews) {
-          if (storeView.code === 'admin') continue; // Skip admin store view
-          
           try {
             await this.api.put(`/rest/${storeView.code}/V1/products/${encodeURIComponent(sku)}`, { 
               product: { 
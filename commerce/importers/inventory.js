@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * Import Multi-Source Inventory to Commerce
+ * Reads from committed datapack: accs_inventory.json
+ *
+ * Datapack format:
+ *   {
+ *     "sources": [{ "source_code": "br_warehouse_east", "name": "East Warehouse",
+ *                   "country_id": "US", "postcode": "10001", "is_pickup_location_active": true }],
+ *     "stocks": [{ "name": "BuildRight Stock", "websites": ["buildright"],
+ *                  "sources": [{ "source_code": "br_warehouse_east", "priority": 1 }] }],
+ *     "source_items": [{ "sku": "LBR-001", "source_code": "br_warehouse_east", "quantity": 40, "status": 1 }]
+ *   }
+ *
+ * Stocks without "websites" are linked to the project website. A website can only
+ * sell from one stock, so linking moves it off the Default Stock.
+ *
+ * Without accs_inventory.json nothing is written, and products keep the 'default'
+ * source item the products step assigned them.
+ */
+
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { BaseImporter } from '../../shared/base-importer.js';
+import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+
+// Path to committed datapack inventory file
+export const DATAPACK_INVENTORY_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_inventory.json');
+
+// Source items per request (matches bulkAssignSourceItems)
+const SOURCE_ITEM_BATCH_SIZE = 500;
+
+/**
+ * Load the inventory definition (null when the project defines none)
+ */
+export function loadInventoryDefinition() {
+  if (!existsSync(DATAPACK_INVENTORY_PATH)) return null;
+  return JSON.parse(readFileSync(DATAPACK_INVENTORY_PATH, 'utf-8'));
+}
+
+class InventoryImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Inventory', options);
+    this.stockIdMap = {};
+    this.linksCreated = 0;
+    this.sourceItemsAssigned = 0;
+  }
+
+  async import() {
+    const definition = loadInventoryDefinition();
+    if (!definition) {
+      this.logger.info('No inventory definition in datapack; products keep the default source');
+      return {};
+    }
+
+    this.logger.info(`Loading inventory from datapack: ${DATAPACK_INVENTORY_PATH}`);
+
+    await this.importSources(definition.sources || []);
+    await this.importStocks(definition.stocks || []);
+    await this.importSourceItems(definition.source_items || []);
+
+    this.logger.info(`✔ Linked ${this.linksCreated} sources to stocks, assigned ${this.sourceItemsAssigned} source items`);
+
+    return {
+      stockIdMap: this.stockIdMap,
+      linksCreated: this.linksCreated,
+      sourceItemsAssigned: this.sourceItemsAssigned
+    };
+  }
+
+  async importSources(sources) {
+    await this.optimizedImport({
+      loadItems: () => sources,
+      fetchExisting: async () => {
+        const response = await this.api.getSources();
+        return response.items || [];
+      },
+      getItemKey: (source) => source.source_code,
+      onExisting: (source) => {
+        this.results.addExisting({ code: source.source_code });
+      },
+      processNewItem: async (source) => {
+        try {
+          await this.api.createSource({ enabled: true, ...source });
+          this.results.addCreated({ code: source.source_code });
+        } catch (error) {
+          this.logger.error(`Failed to create source ${source.source_code}: ${error.message}`);
+          this.results.addFailed({ code: source.source_code }, error);
+        }
+      },
+      itemLabel: 'sources'
+    });
+  }
+
+  /**
+   * Sales channels for a stock definition (project website by default)
+   */
+  salesChannelsFor(stock) {
+    const websites = stock.websites || [COMMERCE_CONFIG.websiteCode];
+    return websites.map(code => ({ type: 'website', code }));
+  }
+
+  async importStocks(stocks) {
+    const response = await this.api.getStocks();
+    const existingStocks = new Map((response.items || []).map(stock => [stock.name, stock]));
+
+    for (const stock of stocks) {
+      const salesChannels = this.salesChannelsFor(stock);
+      const existing = existingStocks.get(stock.name);
+
+      try {
+        if (!existing) {
+          const stockId = await this.api.createStock({
+            name: stock.name,
+            extension_attributes: { sales_channels: salesChannels }
+          });
+          if (!COMMERCE_CONFIG.dryRun) this.stockIdMap[stock.name] = Number(stockId);
+          this.results.addCreated({ code: stock.name });
+        } else {
+          this.stockIdMap[stock.name] = existing.stock_id;
+
+          // Keep channels the stock already has, add any the datapack names
+          const currentChannels = existing.extension_attributes?.sales_channels || [];
+          const missing = salesChannels.filter(channel =>
+            !currentChannels.some(current => current.type === channel.type && current.code === channel.code)
+          );
+          if (missing.length > 0) {
+            await this.api.updateStock(existing.stock_id, {
+              stock_id: existing.stock_id,
+              name: existing.name,
+              extension_attributes: { sales_channels: [...currentChannels, ...missing] }
+            });
+            this.results.addUpdated({ code: stock.name });
+          } else {
+            this.results.addExisting({ code: stock.name });
+          }
+        }
+      } catch (error) {
+        this.logger.error(`Failed to import stock ${stock.name}: ${error.message}`);
+        this.results.addFailed({ code: stock.name }, error);
+      }
+    }
+
+    await this.linkSources(stocks);
+  }
+
+  async linkSources(stocks) {
+    const response = await this.api.getStockSourceLinks();
+    const existingLinks = new Set((response.items || []).map(link => `${link.stock_id}|${link.source_code}`));
+
+    const links = [];
+    for (const stock of stocks) {
+      const stockId = this.stockIdMap[stock.name];
+      if (!stockId) continue; // Failed, or dry-run create
+
+      (stock.sources || []).forEach((source, index) => {
+        if (existingLinks.has(`${stockId}|${source.source_code}`)) return;
+        links.push({ stock_id: stockId, source_code: source.source_code, priority: source.priority ?? index + 1 });
+      });
+    }
+
+    if (links.length === 0) return;
+
+    try {
+      await this.api.addStockSourceLinks(links);
+      this.linksCreated = links.length;
+    } catch (error) {
+      this.logger.error(`Failed to link sources to stocks: ${error.message}`);
+      this.results.addFailed({ code: 'stock-source-links' }, error);
+    }
+  }
+
+  async importSourceItems(sourceItems) {
+    if (sourceItems.length === 0) return;
+
+    const items = sourceItems.map(item => ({
+      sku: item.sku,
+      source_code: item.source_code,
+      quantity: Number(item.quantity ?? 0),
+      status: item.status !== undefined ? Number(item.status) : (Number(item.quantity ?? 0) > 0 ? 1 : 0)
+    }));
+
+    for (let i = 0; i < items.length; i += SOURCE_ITEM_BATCH_SIZE) {
+      const batch = items.slice(i, i + SOURCE_ITEM_BATCH_SIZE);
+      try {
+        await this.api.assignSourceItems(batch);
+        this.sourceItemsAssigned += batch.length;
+      } catch (error) {
+        this.logger.error(`Failed to assign source items ${i + 1}-${i + batch.length}: ${error.message}`);
+        batch.forEach(item => this.results.addFailed({ sku: item.sku, code: item.source_code }, error));
+      }
+    }
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importInventory(options = {}) {
+  const importer = new InventoryImporter(options);
+  return await importer.run();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importInventory()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
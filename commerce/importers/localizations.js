@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Import Localized Content to Commerce
+ * Reads from committed datapack: generated/localizations.json (see shared/localizations.js)
+ *
+ * Writes translated product names/descriptions/meta fields, category names and
+ * attribute/option labels at the store-view scope of each locale's storeViewCode.
+ * Global values stay in the default locale.
+ *
+ * Store views cannot be created via REST; locales whose store view is missing
+ * are skipped with a warning. Each scoped value is compared with what the store
+ * view already shows, so re-running only writes new or edited translations.
+ */
+
+import { fileURLToPath } from 'url';
+import { BaseImporter } from '../../shared/base-importer.js';
+import { DATAPACK_LOCALIZATIONS_PATH, loadLocalizations, getStoreViewLocales } from '../../shared/localizations.js';
+
+function getCustomAttribute(entity, code) {
+  return entity?.custom_attributes?.find(attr => attr.attribute_code === code)?.value;
+}
+
+/**
+ * Split translated fields into a store-view payload
+ * name is a top-level field; everything else is an EAV custom attribute
+ */
+function toScopedPayload(fields) {
+  const payload = {};
+  const customAttributes = [];
+  for (const [code, value] of Object.entries(fields)) {
+    if (code === 'name') {
+      payload.name = value;
+    } else {
+      customAttributes.push({ attribute_code: code, value: Array.isArray(value) ? value.join(',') : String(value) });
+    }
+  }
+  if (customAttributes.length > 0) payload.custom_attributes = customAttributes;
+  return payload;
+}
+
+/**
+ * Whether the scoped entity already holds every translated value
+ */
+function matchesScoped(entity, payload) {
+  if (!entity) return false;
+  if (payload.name !== undefined && entity.name !== payload.name) return false;
+  return (payload.custom_attributes || []).every(attr =>
+    String(getCustomAttribute(entity, attr.attribute_code) ?? '') === attr.value
+  );
+}
+
+class LocalizationImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Localizations', options);
+    this.storeViews = [];
+    this.allStoreViews = [];
+  }
+
+  async import() {
+    const locales = getStoreViewLocales();
+    if (locales.length === 0) {
+      this.logger.info('No store-view locales in datapack; content stays in the default locale');
+      return {};
+    }
+
+    this.logger.info(`Loading localizations from datapack: ${DATAPACK_LOCALIZATIONS_PATH}`);
+    await this.resolveStoreViews(locales);
+
+    if (this.storeViews.length > 0) {
+      const { products, categories, attributes } = loadLocalizations();
+      await this.importProducts(products);
+      await this.importCategories(categories);
+      await this.importAttributeLabels(attributes);
+    }
+
+    return {};
+  }
+
+  async resolveStoreViews(locales) {
+    const views = await this.api.getStoreViews();
+    this.allStoreViews = (views || []).filter(view => view.id !== 0);
+    for (const entry of locales) {
+      const view = (views || []).find(v => v.code === entry.storeViewCode);
+      if (!view) {
+        this.logger.warn(`Store view '${entry.storeViewCode}' for ${entry.locale} not found; create it in Commerce Admin to import this locale`);
+        this.results.addSkipped({ code: entry.storeViewCode }, `Store view not found for ${entry.locale}`);
+        continue;
+      }
+      this.storeViews.push({ locale: entry.locale, code: view.code, id: view.id });
+    }
+  }
+
+  async importProducts(products) {
+    for (const [sku, translations] of Object.entries(products)) {
+      for (const view of this.storeViews) {
+        const fields = translations[view.locale];
+        if (!fields) continue;
+
+        const payload = toScopedPayload(fields);
+        try {
+          const current = await this.api.getProduct(sku, view.code);
+          if (!current) {
+            this.results.addFailed({ sku, code: view.locale }, 'Product not found');
+            continue;
+          }
+          if (matchesScoped(current, payload)) {
+            this.results.addUnchanged({ sku, code: view.locale });
+            continue;
+          }
+          await this.api.updateProduct(sku, { sku, ...payload }, view.code);
+          this.results.addUpdated({ sku, code: view.locale });
+        } catch (error) {
+          this.logger.error(`Failed to localize product ${sku} (${view.locale}): ${error.message}`);
+          this.results.addFailed({ sku, code: view.locale }, error);
+        }
+      }
+    }
+  }
+
+  async importCategories(categories) {
+    const urlKeys = Object.keys(categories);
+    if (urlKeys.length === 0) return;
+
+    const response = await this.api.getCategoryList();
+    const categoryIds = {};
+    for (const category of response?.items || []) {
+      const urlKey = getCustomAttribute(category, 'url_key');
+      if (urlKey) categoryIds[urlKey] = category.id;
+    }
+
+    for (const urlKey of urlKeys) {
+      const categoryId = categoryIds[urlKey];
+      if (!categoryId) {
+        this.results.addFailed({ code: urlKey }, 'Category not found');
+        continue;
+      }
+
+      for (const view of this.storeViews) {
+        const fields = categories[urlKey][view.locale];
+        if (!fields) continue;
+
+        const payload = toScopedPayload(fields);
+        try {
+          const current = await this.api.getCategory(categoryId, view.code);
+          if (matchesScoped(current, payload)) {
+            this.results.addUnchanged({ code: `${urlKey} (${view.locale})` });
+            continue;
+          }
+          await this.api.updateCategory(categoryId, { id: categoryId, ...payload }, view.code);
+          this.results.addUpdated({ code: `${urlKey} (${view.locale})` });
+        } catch (error) {
+          this.logger.error(`Failed to localize category ${urlKey} (${view.locale}): ${error.message}`);
+          this.results.addFailed({ code: `${urlKey} (${view.locale})` }, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Attribute labels are per store view: frontend_labels on the attribute and
+   * store_labels on each option. Only the options with a new translation are sent.
+   */
+  async importAttributeLabels(attributes) {
+    for (const [code, translations] of Object.entries(attributes)) {
+      try {
+        const attribute = await this.api.getProductAttribute(code);
+        if (!attribute) {
+          this.results.addFailed({ code }, 'Attribute not found');
+          continue;
+        }
+
+        let labelsChanged = false;
+        const labelsByStore = new Map((attribute.frontend_labels || []).map(label => [Number(label.store_id), label.label]));
+        for (const view of this.storeViews) {
+          const label = translations[view.locale]?.label;
+          if (label && labelsByStore.get(view.id) !== label) {
+            labelsByStore.set(view.id, label);
+            labelsChanged = true;
+          }
+        }
+
+        const options = await this.localizeOptions(code, translations);
+        if (!labelsChanged && options.length === 0) {
+          this.results.addUnchanged({ code });
+          continue;
+        }
+
+        const payload = {
+          attribute_id: attribute.attribute_id,
+          attribute_code: code,
+          default_frontend_label: attribute.default_frontend_label,
+          frontend_labels: Array.from(labelsByStore, ([storeId, label]) => ({ store_id: storeId, label }))
+        };
+        if (options.length > 0) payload.options = options;
+
+        await this.api.updateProductAttribute(code, payload);
+        this.results.addUpdated({ code });
+      } catch (error) {
+        this.logger.error(`Failed to localize attribute ${code}: ${error.message}`);
+        this.results.addFailed({ code }, error);
+      }
+    }
+  }
+
+  /**
+   * Options whose store labels need writing
+   * Commerce returns option labels one store view at a time, so every view is read:
+   * a saved option replaces all of its store labels, including untranslated views'.
+   */
+  async localizeOptions(code, translations) {
+    const views = this.storeViews.filter(view => translations[view.locale]?.options);
+    if (views.length === 0) return [];
+
+    const adminOptions = ((await this.api.getAttributeOptions(code, 'all')) || []).filter(option => option.value !== '');
+    const adminLabels = new Map(adminOptions.map(option => [option.value, option.label]));
+    const storeLabels = new Map(adminOptions.map(option => [option.value, new Map()]));
+
+    // A store view without its own label shows the admin label
+    for (const view of this.allStoreViews) {
+      for (const option of (await this.api.getAttributeOptions(code, view.code)) || []) {
+        if (adminLabels.has(option.value) && option.label !== adminLabels.get(option.value)) {
+          storeLabels.get(option.value).set(Number(view.id), option.label);
+        }
+      }
+    }
+
+    const changed = [];
+    for (const option of adminOptions) {
+      const labels = storeLabels.get(option.value);
+      let optionChanged = false;
+      for (const view of views) {
+        const label = translations[view.locale].options[option.label];
+        if (label && (labels.get(view.id) ?? option.label) !== label) {
+          labels.set(view.id, label);
+          optionChanged = true;
+        }
+      }
+      if (optionChanged) {
+        changed.push({
+          value: option.value,
+          label: option.label,
+          store_labels: Array.from(labels, ([storeId, label]) => ({ store_id: storeId, label }))
+        });
+      }
+    }
+    return changed;
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importLocalizations(options = {}) {
+  const importer = new LocalizationImporter(options);
+  return await importer.run();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importLocalizations()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
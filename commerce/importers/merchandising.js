@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Import Category Merchandising to Commerce
+ * Orders the products on category pages from accs_category_merchandising.json:
+ *
+ *   [
+ *     { "category": "lumber", "products": ["LBR-003", "LBR-001"], "sortBy": "price", "direction": "desc" },
+ *     { "category": "all-products", "sortBy": "br_brand" }
+ *   ]
+ *
+ * - category: url_key or name of a project category
+ * - products: explicit order; listed SKUs come first, in list order
+ * - sortBy: how the remaining products are ordered - price, name, sku or any
+ *   attribute in the product record (direction asc or desc, default asc)
+ *
+ * Products without a sort value (or without a datapack record) follow, in their
+ * current order. Positions are written via /V1/categories/{id}/products, and
+ * only for products that aren't already in place.
+ */
+
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { BaseImporter, parallelProcess } from '../../shared/base-importer.js';
+import { DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readDatapackItems } from '../../shared/datapack-reader.js';
+import { loadCategoryIds } from '../lib/category-lookup.js';
+
+const DATAPACK_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs');
+const DATAPACK_MERCHANDISING_PATH = resolve(DATAPACK_PATH, 'accs_category_merchandising.json');
+const DATAPACK_PRODUCTS_PATH = resolve(DATAPACK_PATH, 'accs_products.json');
+
+// Position writes in flight per category
+const POSITION_CONCURRENCY = 5;
+
+/**
+ * Comparable sort value of a datapack product (null when it has none)
+ */
+function sortValue(record, sortBy) {
+  const value = record?.[sortBy];
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : String(value);
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Desired SKU order for a category
+ *
+ * @param {Object} rule - Merchandising entry
+ * @param {Array} members - Products in the category ({ sku, position })
+ * @param {Map} records - SKU → datapack product record
+ * @returns {{order: Array<string>, missing: Array<string>}}
+ *   missing: listed SKUs that aren't in the category
+ */
+export function orderCategoryProducts(rule, members, records) {
+  const current = [...members].sort((a, b) => Number(a.position) - Number(b.position) || a.sku.localeCompare(b.sku));
+  const inCategory = new Set(current.map(member => member.sku));
+
+  const listed = [...new Set(rule.products || [])];
+  const pinned = listed.filter(sku => inCategory.has(sku));
+  const missing = listed.filter(sku => !inCategory.has(sku));
+
+  let rest = current.map(member => member.sku).filter(sku => !pinned.includes(sku));
+  if (rule.sortBy) {
+    const direction = rule.direction === 'desc' ? -1 : 1;
+    const withValue = rest.filter(sku => sortValue(records.get(sku), rule.sortBy) !== null);
+    const withoutValue = rest.filter(sku => sortValue(records.get(sku), rule.sortBy) === null);
+    // Array#sort is stable, so ties keep their current order
+    withValue.sort((a, b) => direction * compareValues(sortValue(records.get(a), rule.sortBy), sortValue(records.get(b), rule.sortBy)));
+    rest = [...withValue, ...withoutValue];
+  }
+
+  return { order: [...pinned, ...rest], missing };
+}
+
+class MerchandisingImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Merchandising', options);
+    this.categoryMap = options.categoryMap || null;
+    this.missing = [];
+  }
+
+  async import() {
+    if (!existsSync(DATAPACK_MERCHANDISING_PATH)) {
+      this.logger.info('No category merchandising in datapack');
+      return {};
+    }
+
+    const rules = await readDatapackItems(DATAPACK_MERCHANDISING_PATH);
+    if (rules.length === 0) {
+      this.logger.info('No category merchandising in datapack');
+      return {};
+    }
+
+    const records = new Map();
+    if (rules.some(rule => rule.sortBy) && existsSync(DATAPACK_PRODUCTS_PATH)) {
+      for (const record of await readDatapackItems(DATAPACK_PRODUCTS_PATH, ['source', 'items'])) {
+        records.set(record.sku, record);
+      }
+    }
+
+    // From the categories step, or the live catalog when run alone
+    const categoryIds = this.categoryMap || await loadCategoryIds(this.api);
+    this.logger.info(`Categories to merchandise: ${rules.length}`);
+
+    for (const rule of rules) {
+      await this.merchandiseCategory(rule, categoryIds, records);
+    }
+
+    return { missing: this.missing };
+  }
+
+  async merchandiseCategory(rule, categoryIds, records) {
+    const label = { code: rule.category };
+    const categoryId = categoryIds[rule.category];
+    if (!categoryId) {
+      this.results.addFailed(label, `Category "${rule.category}" not found`);
+      return;
+    }
+    if (String(categoryId).startsWith('dry-run')) {
+      // Created by this dry run, so it has no products to order yet
+      this.results.addSkipped(label, 'Category not created yet (dry run)');
+      return;
+    }
+
+    let members;
+    try {
+      members = await this.api.getCategoryProducts(categoryId) || [];
+    } catch (error) {
+      this.results.addFailed(label, error);
+      return;
+    }
+
+    const { order, missing } = orderCategoryProducts(rule, members, records);
+    for (const sku of missing) {
+      this.logger.warn(`${sku} is listed for ${rule.category} but isn't in that category`);
+      this.missing.push({ category: rule.category, sku });
+    }
+
+    const positions = new Map(members.map(member => [member.sku, Number(member.position)]));
+    const changes = [];
+    order.forEach((sku, index) => {
+      const productLabel = { sku, code: `${rule.category}: ${sku}` };
+      if (positions.get(sku) === index + 1) {
+        this.results.addUnchanged(productLabel);
+      } else {
+        changes.push({ sku, position: index + 1, label: productLabel });
+      }
+    });
+
+    await parallelProcess(changes, async ({ sku, position, label: productLabel }) => {
+      try {
+        await this.api.setCategoryProductPosition(categoryId, sku, position);
+        this.results.addUpdated(productLabel);
+      } catch (error) {
+        this.logger.error(`Failed to position ${sku} in ${rule.category}: ${error.message}`);
+        this.results.addFailed(productLabel, error);
+      }
+    }, POSITION_CONCURRENCY);
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importMerchandising(options = {}) {
+  const importer = new MerchandisingImporter(options);
+  return importer.run();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importMerchandising()
+    .then(result => process.exit(result.success ? 0 : 1))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
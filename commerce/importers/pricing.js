@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Import Advanced Pricing to Commerce
+ * Reads tier/customer-group prices from accs_advanced_pricing.json and
+ * special prices from accs_products.json (special_price, special_price_from_date,
+ * special_price_to_date)
+ *
+ * Tier price rows use the ACCS advanced pricing columns:
+ *   sku, tier_price_website ("All Websites [USD]" or website code),
+ *   tier_price_customer_group ("ALL GROUPS" or group code), tier_price_qty,
+ *   tier_price, tier_price_value_type ("Fixed" or "Discount")
+ * A customer-group price is a tier price with qty 1 for a specific group.
+ *
+ * Current prices are fetched per SKU batch, so a re-run only writes the rows
+ * whose price or type changed.
+ */
+
+import { fileURLToPath } from 'url';
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { BaseImporter } from '../../shared/base-importer.js';
+import { DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { streamDatapackItems, readDatapackItems, DatapackFormatError } from '../../shared/datapack-reader.js';
+import { resolveCustomerGroupIds } from '../lib/commerce-api.js';
+import { chunkArray } from '../lib/bulk-commerce-api.js';
+
+const DATAPACK_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs');
+const DATAPACK_PRICING_PATH = resolve(DATAPACK_PATH, 'accs_advanced_pricing.json');
+const DATAPACK_PRODUCTS_PATH = resolve(DATAPACK_PATH, 'accs_products.json');
+
+// SKUs per tier/special price request
+const PRICE_BATCH_SIZE = 100;
+
+const ALL_GROUPS = 'ALL GROUPS';
+
+/**
+ * Normalize a datapack date to Commerce's "Y-m-d H:i:s" format
+ */
+function toCommerceDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return `${str} 00:00:00`;
+  const date = new Date(str);
+  if (isNaN(date.getTime())) return str;
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+class PricingImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Pricing', options);
+    this.groupIdMap = options.groupIdMap || {};
+    this.websiteIdMap = {};
+  }
+
+  /**
+   * Tier price rows: a top-level array or ACCS { source: { items } }
+   */
+  async loadTierPriceRows() {
+    if (!existsSync(DATAPACK_PRICING_PATH)) return [];
+    this.logger.info(`Loading tier prices from datapack: ${DATAPACK_PRICING_PATH}`);
+    return readDatapackItems(DATAPACK_PRICING_PATH).catch(error => {
+      if (!(error instanceof DatapackFormatError)) throw error;
+      return readDatapackItems(DATAPACK_PRICING_PATH, ['source', 'items']);
+    });
+  }
+
+  /**
+   * Special price columns of the products that have one (products are streamed)
+   */
+  async loadSpecialPriceRows() {
+    if (!existsSync(DATAPACK_PRODUCTS_PATH)) return [];
+    const rows = [];
+    for await (const product of streamDatapackItems(DATAPACK_PRODUCTS_PATH, ['source', 'items'])) {
+      if (product.special_price === undefined || product.special_price === null || product.special_price === '') continue;
+      const { sku, special_price, special_price_from_date, special_price_to_date } = product;
+      rows.push({ sku, special_price, special_price_from_date, special_price_to_date });
+    }
+    return rows;
+  }
+
+  async import() {
+    const tierRows = await this.loadTierPriceRows();
+    const specialRows = await this.loadSpecialPriceRows();
+
+    if (tierRows.length === 0 && specialRows.length === 0) {
+      this.logger.info('No tier, group or special prices in datapack');
+      return {};
+    }
+
+    this.logger.info(`Tier/group prices to process: ${tierRows.length}, special prices: ${specialRows.length}`);
+
+    if (tierRows.length > 0) {
+      await this.loadLookups();
+      await this.importTierPrices(tierRows);
+    }
+    if (specialRows.length > 0) {
+      await this.importSpecialPrices(specialRows);
+    }
+
+    return {};
+  }
+
+  /**
+   * Resolve website codes and customer group codes
+   */
+  async loadLookups() {
+    const websites = await this.api.getWebsites();
+    for (const website of websites || []) {
+      this.websiteIdMap[website.code] = website.id;
+    }
+
+    this.groupIdMap = await resolveCustomerGroupIds(this.api, this.groupIdMap);
+  }
+
+  /**
+   * Convert a datapack row to a /V1/products/tier-prices entry
+   * Throws when the website or customer group can't be resolved
+   */
+  toTierPrice(row) {
+    const websiteCode = row.tier_price_website;
+    let websiteId = 0;
+    if (websiteCode && !/^all websites/i.test(websiteCode) && websiteCode !== 'all') {
+      websiteId = this.websiteIdMap[websiteCode];
+      if (websiteId === undefined) throw new Error(`Unknown website "${websiteCode}"`);
+    }
+
+    const group = row.tier_price_customer_group || ALL_GROUPS;
+    if (group.toUpperCase() !== ALL_GROUPS && this.groupIdMap[group] === undefined) {
+      throw new Error(`Unknown customer group "${group}"`);
+    }
+
+    return {
+      sku: row.sku,
+      price: Number(row.tier_price),
+      price_type: String(row.tier_price_value_type || 'fixed').toLowerCase() === 'discount' ? 'discount' : 'fixed',
+      website_id: websiteId,
+      customer_group: group.toUpperCase() === ALL_GROUPS ? ALL_GROUPS : group,
+      quantity: Number(row.tier_price_qty || 1)
+    };
+  }
+
+  tierPriceKey(price) {
+    return `${price.sku}|${price.website_id}|${String(price.customer_group).toLowerCase()}|${Number(price.quantity)}`;
+  }
+
+  async importTierPrices(rows) {
+    const desired = [];
+    for (const row of rows) {
+      try {
+        desired.push(this.toTierPrice(row));
+      } catch (error) {
+        this.results.addFailed({ sku: row.sku, type: 'tier' }, error);
+      }
+    }
+
+    const skus = [...new Set(desired.map(price => price.sku))];
+    const existing = new Map();
+    for (const batch of chunkArray(skus, PRICE_BATCH_SIZE)) {
+      for (const price of await this.api.getTierPrices(batch)) {
+        existing.set(this.tierPriceKey(price), price);
+      }
+    }
+
+    const changes = [];
+    for (const price of desired) {
+      const current = existing.get(this.tierPriceKey(price));
+      if (current && Number(current.price) === price.price && current.price_type === price.price_type) {
+        this.results.addUnchanged({ sku: price.sku, type: 'tier' });
+      } else {
+        changes.push({ price, isUpdate: Boolean(current) });
+      }
+    }
+
+    this.logger.info(`Tier prices: ${changes.length} to write, ${desired.length - changes.length} unchanged`);
+    await this.writePrices(changes, 'tier', (prices) => this.api.updateTierPrices(prices));
+  }
+
+  async importSpecialPrices(products) {
+    // Without an explicit start date, any existing start date is accepted
+    const explicitFrom = new Set(products.filter(product => product.special_price_from_date).map(product => product.sku));
+    const desired = products.map(product => {
+      const price = {
+        sku: product.sku,
+        store_id: 0,
+        price: Number(product.special_price),
+        price_from: toCommerceDate(product.special_price_from_date) || toCommerceDate(new Date().toISOString().slice(0, 10))
+      };
+      const priceTo = toCommerceDate(product.special_price_to_date);
+      if (priceTo) price.price_to = priceTo;
+      return price;
+    });
+
+    const existing = new Map();
+    for (const batch of chunkArray(desired.map(price => price.sku), PRICE_BATCH_SIZE)) {
+      for (const price of await this.api.getSpecialPrices(batch)) {
+        existing.set(`${price.sku}|${price.store_id}`, price);
+      }
+    }
+
+    const changes = [];
+    for (const price of desired) {
+      const current = existing.get(`${price.sku}|${price.store_id}`);
+      const unchanged = current &&
+        Number(current.price) === price.price &&
+        (!explicitFrom.has(price.sku) || current.price_from === price.price_from) &&
+        (current.price_to || null) === (price.price_to || null);
+      if (unchanged) {
+        this.results.addUnchanged({ sku: price.sku, type: 'special' });
+      } else {
+        changes.push({ price, isUpdate: Boolean(current) });
+      }
+    }
+
+    this.logger.info(`Special prices: ${changes.length} to write, ${desired.length - changes.length} unchanged`);
+    await this.writePrices(changes, 'special', (prices) => this.api.updateSpecialPrices(prices));
+  }
+
+  /**
+   * Write price changes in batches and attribute per-item errors back to SKUs
+   * Commerce returns an array of { message, parameters } for rejected items
+   */
+  async writePrices(changes, type, send) {
+    for (const batch of chunkArray(changes, PRICE_BATCH_SIZE)) {
+      let errors = [];
+      try {
+        const response = await send(batch.map(change => change.price));
+        errors = Array.isArray(response) ? response : [];
+      } catch (error) {
+        batch.forEach(({ price }) => this.results.addFailed({ sku: price.sku, type }, error));
+        continue;
+      }
+
+      const failedSkus = new Map();
+      for (const error of errors) {
+        const message = this.formatPriceError(error);
+        const sku = batch.find(({ price }) => (error.parameters || []).includes(price.sku))?.price.sku;
+        if (sku) {
+          failedSkus.set(sku, message);
+        } else {
+          this.logger.warn(`${type} price error: ${message}`);
+        }
+      }
+
+      for (const { price, isUpdate } of batch) {
+        if (failedSkus.has(price.sku)) {
+          this.results.addFailed({ sku: price.sku, type }, failedSkus.get(price.sku));
+        } else if (isUpdate) {
+          this.results.addUpdated({ sku: price.sku, type });
+        } else {
+          this.results.addCreated({ sku: price.sku, type });
+        }
+      }
+    }
+  }
+
+  /**
+   * Fill %placeholders in a Commerce price error message, in parameter order
+   */
+  formatPriceError(error) {
+    const parameters = [...(error.parameters || [])];
+    return (error.message || 'Unknown error').replace(/%\w+/g, (placeholder) =>
+      parameters.length > 0 ? parameters.shift() : placeholder
+    );
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importPricing(options = {}) {
+  const importer = new PricingImporter(options);
+  return await importer.run();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importPricing()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Import Product Links to Commerce
+ * Reads related, up-sell and cross-sell links from accs_products.json
+ * (related_skus/related_position, upsell_skus/upsell_position, crosssell_skus/crosssell_position)
+ *
+ * Runs after products exist, since both ends of a link must be in the catalog.
+ * Idempotent: links already on the product are skipped, changed positions are updated.
+ * Links that exist in Commerce but not in the datapack are left alone.
+ */
+
+import { fileURLToPath } from 'url';
+import { BaseImporter } from '../../shared/base-importer.js';
+import { DATAPACK_PRODUCTS_PATH, loadProductLinks } from '../../shared/product-links.js';
+
+class ProductLinkImporter extends BaseImporter {
+  constructor(options = {}) {
+    super('Product Links', options);
+  }
+
+  async import() {
+    const links = await loadProductLinks();
+    if (links.length === 0) {
+      this.logger.info('No related, up-sell or cross-sell links in datapack');
+      return {};
+    }
+
+    this.logger.info(`Loading product links from datapack: ${DATAPACK_PRODUCTS_PATH}`);
+
+    const linksBySku = new Map();
+    for (const link of links) {
+      if (!linksBySku.has(link.sku)) linksBySku.set(link.sku, []);
+      linksBySku.get(link.sku).push(link);
+    }
+
+    this.logger.info(`Links to process: ${links.length} across ${linksBySku.size} products`);
+
+    for (const [sku, productLinks] of linksBySku) {
+      await this.syncProductLinks(sku, productLinks);
+    }
+
+    return {};
+  }
+
+  linkLabel(link) {
+    return { code: `${link.sku} → ${link.linkedSku} (${link.type})` };
+  }
+
+  async syncProductLinks(sku, links) {
+    let product;
+    try {
+      product = await this.api.getProduct(sku);
+    } catch (error) {
+      links.forEach(link => this.results.addFailed(this.linkLabel(link), error));
+      return;
+    }
+    if (!product) {
+      links.forEach(link => this.results.addFailed(this.linkLabel(link), 'Product not found'));
+      return;
+    }
+
+    const existing = new Map((product.product_links || []).map(link =>
+      [`${link.link_type}|${link.linked_product_sku}`, link]
+    ));
+
+    const changes = [];
+    for (const link of links) {
+      const current = existing.get(`${link.type}|${link.linkedSku}`);
+      if (current && Number(current.position) === link.position) {
+        this.results.addUnchanged(this.linkLabel(link));
+      } else {
+        changes.push({ link, isUpdate: Boolean(current) });
+      }
+    }
+
+    if (changes.length === 0) return;
+
+    try {
+      await this.api.saveProductLinks(sku, changes.map(({ link }) => ({
+        sku,
+        link_type: link.type,
+        linked_product_sku: link.linkedSku,
+        position: link.position
+      })));
+      for (const { link, isUpdate } of changes) {
+        if (isUpdate) {
+          this.results.addUpdated(this.linkLabel(link));
+        } else {
+          this.results.addCreated(this.linkLabel(link));
+        }
+      }
+    } catch (error) {
+      this.logger.error(`Failed to link products to ${sku}: ${error.message}`);
+      changes.forEach(({ link }) => this.results.addFailed(this.linkLabel(link), error));
+    }
+  }
+}
+
+/**
+ * Main import function
+ */
+export async function importProductLinks(options = {}) {
+  const importer = new ProductLinkImporter(options);
+  return await importer.run();
+}
+
+// CLI execution
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  importProductLinks()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Import failed:', error);
+      process.exit(1);
+    });
+}
@@ -4,7 +4,29 @@
  * Import Products to Commerce
  * Reads products from generated datapack JSON files (already transformed from ACO)
  * 
- * Note: Tier pricing is handled by ACO, not stored in Commerce
+ * Note: Tier, group and special prices are written by the pricing step (importers/pricing.js)
+ * Bundle and grouped products are created by importers/bundles.js once their children exist
+ * 
+ * Configurable products:
+ * - Parents (product_type 'configurable') are created alongside simple products
+ * - Variants reference their parent via parent_sku + configurable_variations
+ *   ("br_length=8ft,br_material=Treated Pine"), or the parent lists them in ACCS
+ *   form ("sku=X,br_length=8ft|sku=Y,...")
+ * - After creation, super attributes and child links are added to each parent
+ *   (idempotent: existing options and links are left alone)
+ * 
+ * Websites:
+ * - Products go to the websites from import-all (every stores-datapack website),
+ *   or to the websites a record lists in product_websites (lib/store-scopes.js)
+ * 
+ * URL keys:
+ * - url_key comes from the datapack, or name + SKU when it has none
+ * - Keys that clash with another product or a top-level category are suffixed
+ *   by the URL key pre-flight (lib/url-keys.js)
+ * 
+ * Update mode (--update):
+ * - Existing products are diffed against transformToCommerceApi() output
+ * - Only changed fields are PUT (at 'all' scope); results report updated/unchanged
  * 
  * Optimizations:
  * - Pre-fetches all existing SKUs in a single query (O(1) lookup vs N queries)
@@ -14,12 +36,17 @@
 
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
-import { existsSync, readFileSync } from 'fs';
+import { existsSync } from 'fs';
 import { BaseImporter } from '../../shared/base-importer.js';
 import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readDatapackItems } from '../../shared/datapack-reader.js';
 import { createBulkApi } from '../lib/bulk-commerce-api.js';
 import { getStateTracker } from '../lib/state-tracker.js';
 import { withRetry } from '../../shared/retry-util.js';
+import { getMappableAttributes, isMappableField, isProjectAttribute, findUnmappedFields } from '../lib/attribute-definitions.js';
+import { fetchAttributeSetMap, DEFAULT_ATTRIBUTE_SET_ID } from './attribute-sets.js';
+import { productUrlKey, preflightUrlKeys, describeUrlKeyRename } from '../lib/url-keys.js';
+import { parseScopeCodes, fetchStoreScopes, resolveScopeIds } from '../lib/store-scopes.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -33,15 +60,35 @@ const DATAPACK_PRODUCTS_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/
 const DEFAULT_CONCURRENCY = 10;
 const BULK_API_THRESHOLD = 99999;
 
-class ProductImporter extends BaseImporter {
-  constructor(options = {}) {
-    super('Products', options);
+// Composite types built from other products (see importers/bundles.js)
+export const COMPOSITE_TYPES = ['bundle', 'grouped'];
+
+// Types whose stock comes from their children, so they get no source item
+const STOCKLESS_TYPES = ['configurable', ...COMPOSITE_TYPES];
+
+export class ProductImporter extends BaseImporter {
+  constructor(options = {}, name = 'Products') {
+    super(name, options);
     this.categoryMap = options.categoryMap || {};
     this.websiteIds = options.websiteIds || [];
+    this.storeScopes = options.storeScopes || null;
+    this.unknownWebsites = new Set();
     this.productSkuMap = {};
     this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
     this.existingSkus = new Set();
+    this.existingProducts = new Map();
+    this.updateMode = options.update || false;
     this.attributeOptionsMap = options.attributeOptionMap || {};
+    this.attributeIdMap = options.attributeIdMap || {};
+    this.attributeSetMap = options.attributeSetMap || {};
+    this.missingAttributeSets = new Set();
+    this.configurables = new Map();
+    this.variantSkus = new Set();
+    this.configurableStats = { parents: 0, optionsCreated: 0, childrenLinked: 0, failed: [] };
+    this.mappableAttributes = getMappableAttributes();
+    this.unmappedFields = {};
+    this.createdOptions = [];
+    this.urlKeys = options.urlKeys || null;
     this.stateTracker = getStateTracker();
   }
   
@@ -67,7 +114,7 @@ class ProductImporter extends BaseImporter {
       
       for (const attr of attributes) {
         // Only process attributes with options (select/multiselect)
-        if (attr.options && attr.options.length > 0 && attr.attribute_code.startsWith('br_')) {
+        if (attr.options && attr.options.length > 0 && isProjectAttribute(attr.attribute_code, this.mappableAttributes)) {
           this.attributeOptionsMap[attr.attribute_code] = {};
           
           for (const option of attr.options) {
@@ -88,13 +135,85 @@ class ProductImporter extends BaseImporter {
     }
   }
   
+  /**
+   * Fetch attribute set name → ID map when products name a set
+   * Only runs if attributeSetMap is empty (not provided by import-all)
+   */
+  async fetchAttributeSets(products) {
+    if (Object.keys(this.attributeSetMap).length > 0) return;
+    if (!products.some(product => product.attribute_set_code)) return;
+    
+    try {
+      this.attributeSetMap = await fetchAttributeSetMap(this.api);
+    } catch (error) {
+      this.logger.warn(`Failed to fetch attribute sets: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Resolve a product's attribute set name to its ID (Default set when unnamed or unknown)
+   */
+  resolveAttributeSetId(product) {
+    const name = product.attribute_set_code;
+    if (!name) return DEFAULT_ATTRIBUTE_SET_ID;
+    
+    const attributeSetId = this.attributeSetMap[name];
+    if (!attributeSetId) {
+      if (!this.missingAttributeSets.has(name)) {
+        this.missingAttributeSets.add(name);
+        this.logger.warn(`Attribute set "${name}" not found in Commerce; products using it get the Default set`);
+      }
+      return DEFAULT_ATTRIBUTE_SET_ID;
+    }
+    return attributeSetId;
+  }
+  
+  /**
+   * Fetch website code → ID map when products list their own websites
+   * Only runs if storeScopes is not provided by import-all
+   */
+  async fetchStoreScopes(products) {
+    if (this.storeScopes) return;
+    if (!products.some(product => parseScopeCodes(product.product_websites).length > 0)) return;
+    
+    try {
+      this.storeScopes = await fetchStoreScopes(this.api);
+    } catch (error) {
+      this.logger.warn(`Failed to fetch websites: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Website IDs for a product: its product_websites, else the default websites
+   */
+  resolveWebsiteIds(product) {
+    const defaults = this.websiteIds.length > 0 ? this.websiteIds : [1];
+    const codes = parseScopeCodes(product.product_websites);
+    if (codes.length === 0) return defaults;
+    
+    const { ids, unknown } = resolveScopeIds(codes, this.storeScopes?.websites);
+    for (const code of unknown) {
+      if (!this.unknownWebsites.has(code)) {
+        this.unknownWebsites.add(code);
+        this.logger.warn(`Website "${code}" not found in Commerce; products listing it skip that website`);
+      }
+    }
+    return ids.length > 0 ? ids : defaults;
+  }
+  
   async import() {
     // Load products from generated datapack JSON
     const products = await this.loadProductsFromDatapack();
     this.logger.info(`Loaded ${products.length} products from datapack (${this.countByType(products)})`);
     
+    this.buildConfigurableStructure(products);
+    this.reportUnmappedFields(products);
+    
     await this.fetchAttributeOptions();
+    await this.fetchAttributeSets(products);
+    await this.fetchStoreScopes(products);
     await this.prefetchExistingSkus();
+    await this.ensureUrlKeys();
     
     // Separate new vs existing products
     const newProducts = [];
@@ -103,6 +222,7 @@ class ProductImporter extends BaseImporter {
     for (const product of products) {
       if (this.existingSkus.has(product.sku)) {
         existingProducts.push(product);
+        if (this.updateMode) continue; // Classified as updated/unchanged by syncExistingProducts
         this.results.addExisting({ sku: product.sku, name: product.name });
         this.addToSkuMap(product);
         this.stateTracker.addProduct(product.sku);
@@ -113,49 +233,140 @@ class ProductImporter extends BaseImporter {
     
     this.logger.info(`Existing: ${existingProducts.length}, New to create: ${newProducts.length}`);
     
+    // Options must exist before products reference them, otherwise the values are dropped
+    await this.ensureAttributeOptions(this.updateMode ? [...newProducts, ...existingProducts] : newProducts);
+    
     if (newProducts.length === 0) {
       this.logger.info('No new products to create');
-      return { 
-        results: this.results, 
-        productSkuMap: this.productSkuMap, 
-        totalProducts: products.length 
-      };
-    }
-    
-    if (newProducts.length >= BULK_API_THRESHOLD) {
+    } else if (newProducts.length >= BULK_API_THRESHOLD) {
       await this.processProductsBulk(newProducts);
     } else {
       await this.processProductsParallel(newProducts);
     }
     
+    if (this.updateMode && existingProducts.length > 0) {
+      await this.syncExistingProducts(existingProducts);
+    }
+    
+    // Children must exist before they can be linked, so parents are wired up last
+    await this.linkConfigurableProducts();
+    
     return { 
       results: this.results, 
       productSkuMap: this.productSkuMap, 
-      totalProducts: products.length 
+      totalProducts: products.length,
+      configurables: this.configurableStats,
+      unmappedFields: this.unmappedFields,
+      createdOptions: this.createdOptions
     };
   }
   
+  /**
+   * Whether an attribute takes option IDs rather than free text
+   */
+  isOptionAttribute(code) {
+    const input = this.mappableAttributes.get(code);
+    return input === 'select' || input === 'multiselect' || Boolean(this.attributeOptionsMap[code]);
+  }
+  
+  /**
+   * Split a datapack value into option labels (multiselect accepts arrays or comma lists)
+   */
+  getOptionLabels(code, value) {
+    if (this.mappableAttributes.get(code) !== 'multiselect') return [String(value)];
+    const labels = Array.isArray(value) ? value : String(value).split(',');
+    return labels.map(label => String(label).trim()).filter(Boolean);
+  }
+  
+  /**
+   * Create select/multiselect options referenced by the datapack but missing in Commerce
+   * Collects every missing label per attribute first, then refreshes that attribute's option map
+   */
+  async ensureAttributeOptions(products) {
+    const missing = new Map(); // code → Set of labels
+    
+    for (const product of products) {
+      for (const [code, value] of Object.entries(product)) {
+        if (value === undefined || value === null || value === '') continue;
+        if (!isMappableField(code, this.mappableAttributes) || !this.isOptionAttribute(code)) continue;
+        
+        for (const label of this.getOptionLabels(code, value)) {
+          if (this.attributeOptionsMap[code]?.[label]) continue;
+          if (!missing.has(code)) missing.set(code, new Set());
+          missing.get(code).add(label);
+        }
+      }
+    }
+    
+    if (missing.size === 0) return;
+    
+    const total = [...missing.values()].reduce((sum, labels) => sum + labels.size, 0);
+    
+    if (COMMERCE_CONFIG.dryRun) {
+      this.logger.info(`[DRY RUN] Would create ${total} missing options across ${missing.size} attributes`);
+      return;
+    }
+    
+    this.logger.info(`Creating ${total} missing options across ${missing.size} attributes...`);
+    
+    for (const [code, labels] of missing) {
+      try {
+        for (const label of labels) {
+          await this.api.addAttributeOption(code, { label, sort_order: 0 });
+          this.createdOptions.push({ attribute: code, label });
+        }
+        
+        // Refresh from Commerce so new labels resolve to their real option IDs
+        const options = await this.api.getAttributeOptions(code);
+        this.attributeOptionsMap[code] = {};
+        for (const option of options || []) {
+          if (option.label && option.value) {
+            this.attributeOptionsMap[code][option.label] = option.value;
+          }
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to create options for attribute "${code}": ${error.message}`);
+      }
+    }
+    
+    this.logger.info(`✔ Created ${this.createdOptions.length} attribute options`);
+  }
+  
+  /**
+   * Warn about datapack fields that match no attribute definition
+   * These are dropped from the payload rather than failing the product
+   */
+  reportUnmappedFields(products) {
+    this.unmappedFields = findUnmappedFields(products, this.mappableAttributes);
+    const fields = Object.keys(this.unmappedFields);
+    if (fields.length === 0) return;
+    
+    this.logger.warn(`${fields.length} datapack field(s) match no attribute definition and will be skipped:`);
+    for (const field of fields) {
+      this.logger.warn(`  ${field} (${this.unmappedFields[field]} products)`);
+    }
+  }
+  
   /**
    * Load products from generated datapack JSON file
+   * Composite products are left to the bundles step
    */
   async loadProductsFromDatapack() {
+    const items = await this.loadDatapackItems();
+    return items.filter(item => !COMPOSITE_TYPES.includes(item.product_type));
+  }
+  
+  /**
+   * Load every product record from the datapack (streamed, see shared/datapack-reader.js)
+   */
+  async loadDatapackItems() {
     if (!existsSync(DATAPACK_PRODUCTS_PATH)) {
       throw new Error(`Datapack products file not found at: ${DATAPACK_PRODUCTS_PATH}\nPlease run 'npm run generate' first to create the datapack.`);
     }
     
     try {
-      const fileContent = readFileSync(DATAPACK_PRODUCTS_PATH, 'utf8');
-      const datapack = JSON.parse(fileContent);
-      
       // The datapack has the structure: { source: { items: [...] } }
-      if (!datapack.source || !datapack.source.items) {
-        throw new Error('Invalid datapack format: missing source.items');
-      }
-      
-      // IMPORTANT: Exclude bundle products - they're handled by import-bundles.js
-      const products = datapack.source.items.filter(item => item.product_type !== 'bundle');
-      
-      return products;
+      return await readDatapackItems(DATAPACK_PRODUCTS_PATH, ['source', 'items']);
     } catch (error) {
       throw new Error(`Failed to load products from datapack: ${error.message}`);
     }
@@ -185,11 +396,27 @@ class ProductImporter extends BaseImporter {
       return;
     }
     
-    const allSkus = await this.api.getAllProductSkus();
-    this.existingSkus = allSkus;
+    // Update mode needs full product data for diffing; otherwise SKUs are enough
+    if (this.updateMode) {
+      this.existingProducts = await this.api.getAllProducts();
+      this.existingSkus = new Set(this.existingProducts.keys());
+    } else {
+      this.existingSkus = await this.api.getAllProductSkus();
+    }
     
     const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    this.logger.info(`✔ Pre-fetched ${allSkus.size} existing SKUs in ${duration}s`);
+    this.logger.info(`✔ Pre-fetched ${this.existingSkus.size} existing SKUs in ${duration}s`);
+  }
+  
+  /**
+   * Standalone runs do their own URL key pre-flight (import-all passes one in)
+   */
+  async ensureUrlKeys() {
+    if (this.urlKeys) return;
+    this.urlKeys = await preflightUrlKeys({ api: this.api });
+    for (const rename of this.urlKeys.renames.filter(r => r.type === 'product')) {
+      this.logger.warn(`Renamed URL key for ${describeUrlKeyRename(rename)}`);
+    }
   }
   
   /**
@@ -205,7 +432,7 @@ class ProductImporter extends BaseImporter {
     }
     
     try {
-      const bulkApi = createBulkApi();
+      const bulkApi = createBulkApi({ attributeSetMap: this.attributeSetMap });
       const result = await bulkApi.bulkCreateProducts(products);
       
       // Count successes and failures
@@ -284,17 +511,20 @@ class ProductImporter extends BaseImporter {
       
       // Assign to inventory source (MSI) after product creation
       // This prevents "Could not save Source Item Configuration" errors
-      try {
-        await this.api.assignProductToSource(
-          sku, 
-          'default',  // Default source code
-          product.qty || 100,
-          1  // In stock
-        );
-        this.logger.debug(`Assigned inventory source for: ${sku}`);
-      } catch (msiError) {
-        // Log but don't fail - MSI might not be enabled or already assigned
-        this.logger.debug(`MSI assignment warning for ${sku}: ${msiError.message}`);
+      // Configurable, bundle and grouped parents carry no stock of their own
+      if (!STOCKLESS_TYPES.includes(commerceProduct.type_id)) {
+        try {
+          await this.api.assignProductToSource(
+            sku, 
+            'default',  // Default source code
+            product.qty || 100,
+            1  // In stock
+          );
+          this.logger.debug(`Assigned inventory source for: ${sku}`);
+        } catch (msiError) {
+          // Log but don't fail - MSI might not be enabled or already assigned
+          this.logger.debug(`MSI assignment warning for ${sku}: ${msiError.message}`);
+        }
       }
       
       this.results.addCreated({ sku, name });
@@ -310,27 +540,143 @@ class ProductImporter extends BaseImporter {
     }
   }
   
+  /**
+   * Update existing products whose mapped fields differ from the datapack
+   */
+  async syncExistingProducts(products) {
+    this.logger.info(`Checking ${products.length} existing products for changes...`);
+    
+    await this.processWithProgress(
+      products,
+      async (product) => {
+        await this.syncProduct(product);
+      },
+      {
+        concurrency: this.concurrency,
+        label: 'existing products',
+        batchSize: 25,
+        batchDelayMs: 200
+      }
+    );
+    
+    this.logger.info(`✔ ${this.results.updated.length} updated, ${this.results.unchanged.length} unchanged`);
+  }
+  
+  async syncProduct(product) {
+    const { sku, name } = product;
+    this.addToSkuMap(product);
+    this.stateTracker.addProduct(sku);
+    
+    const existing = this.existingProducts.get(sku);
+    const { changes, fields } = this.diffProduct(this.transformToCommerceApi(product), existing);
+    
+    if (fields.length === 0) {
+      this.results.addUnchanged({ sku, name });
+      return;
+    }
+    
+    try {
+      await withRetry(
+        async () => await this.api.updateProduct(sku, { sku, ...changes }, 'all'),
+        { name: `Update product ${sku}` }
+      );
+      this.results.addUpdated({ sku, name, fields });
+      this.logger.debug(`Updated product ${sku}: ${fields.join(', ')}`);
+    } catch (error) {
+      this.logger.error(`Failed to update product ${sku} (${name}): ${error.message}`);
+      this.results.addFailed({ sku, name, error: error.message });
+    }
+  }
+  
+  /**
+   * Diff a mapped Commerce payload against the product Commerce holds
+   * Returns a partial payload with only the differing fields
+   * (type_id is not compared - Commerce can't change a product's type via PUT)
+   */
+  diffProduct(desired, existing) {
+    const changes = {};
+    const fields = [];
+    
+    for (const field of ['name', 'price', 'status', 'visibility', 'weight', 'attribute_set_id']) {
+      if (!this.valuesEqual(desired[field], existing[field])) {
+        changes[field] = desired[field];
+        fields.push(field);
+      }
+    }
+    
+    const desiredExtension = desired.extension_attributes;
+    const existingExtension = existing.extension_attributes || {};
+    const extensionChanges = {};
+    
+    const websiteKey = (ids) => (ids || []).map(String).sort().join(',');
+    if (websiteKey(desiredExtension.website_ids) !== websiteKey(existingExtension.website_ids)) {
+      extensionChanges.website_ids = desiredExtension.website_ids;
+      fields.push('website_ids');
+    }
+    
+    // Membership only: positions belong to the merchandising step, so links that
+    // stay keep their current position
+    const linkKey = (links) => (links || []).map(link => String(link.category_id)).sort().join(',');
+    if (linkKey(desiredExtension.category_links) !== linkKey(existingExtension.category_links)) {
+      const positions = new Map((existingExtension.category_links || []).map(link => [String(link.category_id), link.position]));
+      extensionChanges.category_links = desiredExtension.category_links.map(link =>
+        positions.has(String(link.category_id)) ? { ...link, position: positions.get(String(link.category_id)) } : link
+      );
+      fields.push('category_links');
+    }
+    
+    if (Object.keys(extensionChanges).length > 0) {
+      changes.extension_attributes = extensionChanges;
+    }
+    
+    const existingAttributes = new Map((existing.custom_attributes || []).map(attr => [attr.attribute_code, attr.value]));
+    const changedAttributes = desired.custom_attributes.filter(attr =>
+      !this.valuesEqual(attr.value, existingAttributes.get(attr.attribute_code))
+    );
+    if (changedAttributes.length > 0) {
+      changes.custom_attributes = changedAttributes;
+      fields.push(...changedAttributes.map(attr => attr.attribute_code));
+    }
+    
+    return { changes, fields };
+  }
+  
+  /**
+   * Loose equality for Commerce values: numbers vs numeric strings,
+   * multiselect option lists in any order, null vs empty
+   */
+  valuesEqual(a, b) {
+    const normalize = (value) => {
+      if (value === undefined || value === null) return '';
+      if (Array.isArray(value)) return value.map(String).sort().join(',');
+      const str = String(value);
+      if (str !== '' && !isNaN(Number(str))) return String(Number(str));
+      if (str.includes(',')) return str.split(',').map(v => v.trim()).sort().join(',');
+      return str;
+    };
+    return normalize(a) === normalize(b);
+  }
+  
   /**
    * Transform datapack product format to Commerce API format
    * The datapack uses ACCS flat format, but the API expects nested structure
    */
   transformToCommerceApi(product) {
-    // Generate unique URL key by appending SKU hash
-    const urlKey = product.url_key || 
-                   `${product.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${product.sku.toLowerCase()}`;
+    // Pre-flight rename, else the datapack key (or name + SKU)
+    const urlKey = this.urlKeys?.products?.[product.sku] || productUrlKey(product);
     
     return {
       sku: product.sku,
       name: product.name,
-      attribute_set_id: 4, // Default attribute set
+      attribute_set_id: this.resolveAttributeSetId(product),
       price: product.price || 0,
       status: 1,
-      visibility: 4, // Catalog, Search
+      visibility: this.variantSkus.has(product.sku) ? 1 : 4, // Variants: Not Visible Individually; others: Catalog, Search
       type_id: product.product_type || 'simple',
       weight: product.weight || 1,
       extension_attributes: {
         category_links: this.getCategoryLinks(product.categories),
-        website_ids: this.websiteIds.length > 0 ? this.websiteIds : [1]
+        website_ids: this.resolveWebsiteIds(product)
         // stock_item removed - inventory is managed via MSI source_items API
         // This prevents "Could not save Source Item Configuration" errors
       },
@@ -346,6 +692,9 @@ class ProductImporter extends BaseImporter {
    *
    * ALL products are assigned to the "All Products" category in addition to
    * their specific category. This enables browsing all products via /catalog?category=all-products
+   *
+   * Positions here are defaults only; curated category ordering comes from the
+   * merchandising step (accs_category_merchandising.json)
    */
   getCategoryLinks(categoryPath) {
     const links = [];
@@ -383,63 +732,228 @@ class ProductImporter extends BaseImporter {
   extractCustomAttributes(product) {
     const customAttributes = [];
     
-    // List of custom attribute codes (all with br_ prefix now)
-    const attributeCodes = [
-      // Core attributes
-      'br_persona', 'br_category', 'br_brand',
-      // Product characteristics
-      'br_product_category', 'br_product_class', 'br_uom',
-      // Construction & Building
-      'br_construction_phase', 'br_quality_tier', 'br_lumber_grade',
-      'br_lumber_treatment', 'br_lumber_species', 'br_drywall_type',
-      'br_drywall_thickness', 'br_window_type', 'br_window_glazing',
-      'br_window_energy_rating', 'br_door_type', 'br_door_material',
-      'br_nail_type', 'br_nail_size', 'br_roof_material',
-      'br_roof_color', 'br_roof_warranty', 'br_paint_type',
-      'br_paint_finish', 'br_paint_coverage', 'br_concrete_type',
-      'br_concrete_psi', 'br_concrete_slump',
-      // Electrical & Plumbing
-      'br_wire_gauge', 'br_wire_type', 'br_breaker_amps',
-      'br_fixture_voltage', 'br_pipe_material', 'br_pipe_diameter',
-      'br_pipe_pressure_rating', 'br_fitting_type', 'br_hvac_tonnage',
-      'br_hvac_seer_rating', 'br_hvac_fuel_type', 'br_appliance_type',
-      'br_appliance_brand', 'br_energy_star_certified',
-      // PPE & Safety
-      'br_ppe_ansi_standard', 'br_ppe_hard_hat_type', 'br_ppe_hard_hat_class',
-      'br_ppe_nrr_rating', 'br_ppe_cut_resistance', 'br_ppe_niosh_rating',
-      'br_ppe_hi_vis_class', 'br_ppe_size',
-      // Building Components
-      'br_sheathing_location', 'br_underlayment_type', 'br_insulation_type',
-      'br_insulation_r_value', 'br_light_type', 'br_light_technology',
-      'br_fixture_type', 'br_fixture_location'
-    ];
-    
-    for (const code of attributeCodes) {
-      if (product[code] !== undefined && product[code] !== null && product[code] !== '') {
-        let value = product[code];
+    for (const [code, rawValue] of Object.entries(product)) {
+      if (rawValue === undefined || rawValue === null || rawValue === '') continue;
+      if (!isMappableField(code, this.mappableAttributes)) continue;
+      
+      let value = rawValue;
+      
+      // If this is a select/multiselect attribute, resolve the option ID(s)
+      if (this.attributeOptionsMap[code]) {
+        const optionIds = [];
         
-        // If this is a select/multiselect attribute, resolve the option ID
-        if (this.attributeOptionsMap[code]) {
-          const optionId = this.attributeOptionsMap[code][value];
+        for (const label of this.getOptionLabels(code, rawValue)) {
+          const optionId = this.attributeOptionsMap[code][label];
           if (optionId) {
-            value = optionId; // Use the integer option ID
+            optionIds.push(optionId); // Use the integer option ID
           } else {
-            // Option not found - log warning and skip this attribute
-            this.logger.debug(`Warning: Option "${value}" not found for attribute "${code}" on product ${product.sku}`);
-            continue; // Skip this attribute rather than sending invalid data
+            this.logger.debug(`Warning: Option "${label}" not found for attribute "${code}" on product ${product.sku}`);
           }
         }
         
-        customAttributes.push({
-          attribute_code: code,
-          value: String(value) // Convert to string (Commerce expects string even for option IDs)
-        });
+        // Skip this attribute rather than sending invalid data
+        if (optionIds.length === 0) continue;
+        value = optionIds.join(',');
+      } else if (Array.isArray(value)) {
+        value = value.join(',');
       }
+      
+      customAttributes.push({
+        attribute_code: code,
+        value: String(value) // Convert to string (Commerce expects string even for option IDs)
+      });
     }
     
     return customAttributes;
   }
   
+  /**
+   * Parse "code=value,code=value" selection strings from the datapack
+   */
+  parseVariationString(value) {
+    const pairs = {};
+    if (!value) return pairs;
+    
+    for (const part of String(value).split(',')) {
+      const index = part.indexOf('=');
+      if (index === -1) continue;
+      pairs[part.slice(0, index).trim()] = part.slice(index + 1).trim();
+    }
+    return pairs;
+  }
+  
+  /**
+   * Build parent → variants structure from the datapack
+   * Accepts children pointing at parents (parent_sku) and parents listing children (ACCS format)
+   */
+  buildConfigurableStructure(products) {
+    this.configurables.clear();
+    this.variantSkus.clear();
+    
+    for (const product of products) {
+      if (product.product_type === 'configurable') {
+        this.configurables.set(product.sku, {
+          parent: product,
+          labels: this.parseVariationString(product.configurable_variation_labels),
+          children: new Map()
+        });
+      }
+    }
+    
+    const addChild = (parentSku, childSku, selections) => {
+      const entry = this.configurables.get(parentSku);
+      if (!entry) {
+        this.logger.warn(`Variant ${childSku} references unknown configurable parent ${parentSku}`);
+        return;
+      }
+      entry.children.set(childSku, { ...entry.children.get(childSku), ...selections });
+      this.variantSkus.add(childSku);
+    };
+    
+    for (const product of products) {
+      if (product.parent_sku) {
+        addChild(product.parent_sku, product.sku, this.parseVariationString(product.configurable_variations));
+      } else if (product.product_type === 'configurable' && product.configurable_variations) {
+        for (const variation of String(product.configurable_variations).split('|')) {
+          const { sku, ...selections } = this.parseVariationString(variation);
+          if (sku) addChild(product.sku, sku, selections);
+        }
+      }
+    }
+    
+    if (this.configurables.size > 0) {
+      this.logger.info(`Found ${this.configurables.size} configurable products with ${this.variantSkus.size} variants`);
+    }
+  }
+  
+  /**
+   * Whether a SKU existed before this run or was created during it
+   */
+  isInCommerce(sku) {
+    return this.existingSkus.has(sku) || this.productSkuMap[sku] !== undefined;
+  }
+  
+  /**
+   * Resolve an attribute ID for a super attribute (cached)
+   */
+  async resolveAttributeId(code) {
+    if (!this.attributeIdMap[code]) {
+      const attribute = await this.api.getProductAttribute(code);
+      if (!attribute) {
+        throw new Error(`Super attribute "${code}" not found in Commerce`);
+      }
+      this.attributeIdMap[code] = attribute.attribute_id;
+      
+      // Fill option map for attributes the caller didn't provide
+      if (!this.attributeOptionsMap[code] && attribute.options) {
+        this.attributeOptionsMap[code] = {};
+        for (const option of attribute.options) {
+          if (option.label && option.value) {
+            this.attributeOptionsMap[code][option.label] = option.value;
+          }
+        }
+      }
+    }
+    return this.attributeIdMap[code];
+  }
+  
+  /**
+   * Add super attributes and child links to every configurable parent
+   */
+  async linkConfigurableProducts() {
+    if (this.configurables.size === 0) return;
+    
+    if (COMMERCE_CONFIG.dryRun) {
+      this.logger.info(`[DRY RUN] Would link ${this.variantSkus.size} variants to ${this.configurables.size} configurable products`);
+      return;
+    }
+    
+    this.logger.info(`Linking variants to ${this.configurables.size} configurable products...`);
+    
+    for (const [parentSku, entry] of this.configurables) {
+      if (!this.isInCommerce(parentSku)) {
+        // Parent failed to create - nothing to link to
+        continue;
+      }
+      
+      try {
+        await this.linkConfigurableProduct(parentSku, entry);
+        this.configurableStats.parents++;
+      } catch (error) {
+        this.logger.error(`Failed to link configurable product ${parentSku}: ${error.message}`);
+        this.configurableStats.failed.push({ sku: parentSku, error: error.message });
+      }
+    }
+    
+    const { parents, optionsCreated, childrenLinked, failed } = this.configurableStats;
+    this.logger.info(`✔ Configurable products: ${parents} linked (${optionsCreated} options, ${childrenLinked} children added), ${failed.length} failed`);
+  }
+  
+  /**
+   * Reconcile one configurable parent: super attribute options first, then child links
+   */
+  async linkConfigurableProduct(parentSku, entry) {
+    const childSelections = Array.from(entry.children.values());
+    const attributeCodes = [...new Set(childSelections.flatMap(selections => Object.keys(selections)))];
+    
+    if (attributeCodes.length === 0) {
+      throw new Error('No configurable attributes found in variant selections');
+    }
+    
+    const existingOptions = await this.api.getConfigurableOptions(parentSku) || [];
+    const existingAttributeIds = new Set(existingOptions.map(option => String(option.attribute_id)));
+    
+    for (const [position, code] of attributeCodes.entries()) {
+      const attributeId = await this.resolveAttributeId(code);
+      if (existingAttributeIds.has(String(attributeId))) continue;
+      
+      const labels = [...new Set(childSelections.map(selections => selections[code]).filter(Boolean))];
+      const values = [];
+      for (const label of labels) {
+        const valueIndex = this.attributeOptionsMap[code]?.[label];
+        if (valueIndex) {
+          values.push({ value_index: Number(valueIndex) });
+        } else {
+          this.logger.warn(`Option "${label}" not found for super attribute "${code}" on ${parentSku}`);
+        }
+      }
+      
+      if (values.length === 0) {
+        throw new Error(`No resolvable option values for super attribute "${code}"`);
+      }
+      
+      await withRetry(
+        async () => await this.api.addConfigurableOption(parentSku, {
+          attribute_id: String(attributeId),
+          label: entry.labels[code] || code,
+          position,
+          is_use_default: true,
+          values
+        }),
+        { name: `Add option ${code} to ${parentSku}` }
+      );
+      this.configurableStats.optionsCreated++;
+    }
+    
+    const existingChildren = await this.api.getConfigurableChildren(parentSku) || [];
+    const linkedSkus = new Set(existingChildren.map(child => child.sku));
+    
+    for (const childSku of entry.children.keys()) {
+      if (linkedSkus.has(childSku)) continue;
+      
+      if (!this.isInCommerce(childSku)) {
+        this.logger.warn(`Variant ${childSku} was not created; skipping link to ${parentSku}`);
+        continue;
+      }
+      
+      await withRetry(
+        async () => await this.api.addConfigurableChild(parentSku, childSku),
+        { name: `Link ${childSku} to ${parentSku}` }
+      );
+      this.configurableStats.childrenLinked++;
+    }
+  }
+  
   /**
    * Add product to SKU map for bundle reference
    */
@@ -464,6 +978,7 @@ export async function importProducts(options = {}) {
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
   const isDryRun = args.includes('--dry-run');
+  const update = args.includes('--update');
   const verbose = args.includes('--verbose') || args.includes('-v');
   
   if (isDryRun) {
@@ -474,13 +989,17 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     COMMERCE_CONFIG.verbose = true;
   }
   
-  importProducts()
+  importProducts({ update })
     .then(result => {
       // Save state after successful import
       const stateTracker = getStateTracker();
       stateTracker.saveState();
       
       console.log(`\n✔ Import complete: ${result.totalProducts} products processed`);
+      if (result.createdOptions.length > 0) {
+        console.log(`Created ${result.createdOptions.length} attribute options:`);
+        result.createdOptions.forEach(({ attribute, label }) => console.log(`  - ${attribute}: ${label}`));
+      }
       console.log(`State saved to: ${stateTracker.getStateFilePath()}`);
       process.exit(0);
     })
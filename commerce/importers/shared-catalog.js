@@ -12,6 +12,7 @@
  * - Custom Catalog (type=0): Assigned to specific B2B companies
  *
  * This importer assigns ALL categories to the public catalog so they're indexed by ACO.
+ * Custom catalogs from the datapack are imported by custom-shared-catalogs.js.
  */
 
 import { BaseImporter } from '../../shared/base-importer.js';
@@ -2,8 +2,24 @@
 
 /**
  * Import Stores to Commerce
- * Reads from committed datapack: accs_stores.json
- * 
+ * Reads from committed datapack: accs_stores.json (one row per store view)
+ *
+ *   { "site_code": "buildright", "site_name": "BuildRight",
+ *     "store_code": "buildright_store", "store_name": "BuildRight Store",
+ *     "store_root_category": "BuildRight",
+ *     "store_view_code": "buildright_us", "view_name": "BuildRight US", "view_is_active": "Y" }
+ *
+ * Rows may share a website or store group, so one file can describe several websites,
+ * each with several store groups and store views. Each is reconciled on its own:
+ * - Websites must already exist (REST can't create them); a missing website gets
+ *   its root categories and setup instructions. Only a missing primary website (the
+ *   project's COMMERCE_CONFIG.websiteCode, else the first row's) aborts the import;
+ *   other websites fail on their own
+ * - Store groups and store views are created when missing
+ *
+ * Returns websiteIds (every datapack website) and storeIds: the primary website,
+ * store group and store view IDs plus code → ID maps for all websites, groups and views
+ *
  * Uses BaseImporter for standardized patterns
  */
 
@@ -19,51 +35,75 @@ const __dirname = dirname(__filename);
 // Path to committed datapack stores file
 const DATAPACK_STORES_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_stores.json');
 
+/**
+ * Group store rows into websites → store groups → store views (first row of a code wins)
+ */
+export function buildStoreTopology(rows) {
+  const websites = new Map();
+  for (const row of rows) {
+    if (!websites.has(row.site_code)) {
+      websites.set(row.site_code, { code: row.site_code, name: row.site_name, groups: new Map() });
+    }
+    const website = websites.get(row.site_code);
+    if (!row.store_code) continue;
+
+    if (!website.groups.has(row.store_code)) {
+      website.groups.set(row.store_code, { code: row.store_code, name: row.store_name, rootCategory: row.store_root_category, views: new Map() });
+    }
+    const group = website.groups.get(row.store_code);
+    if (row.store_view_code && !group.views.has(row.store_view_code)) {
+      group.views.set(row.store_view_code, { code: row.store_view_code, name: row.view_name, isActive: row.view_is_active !== 'N' });
+    }
+  }
+  return [...websites.values()];
+}
+
+/**
+ * Load store rows from the datapack (one per store view)
+ */
+export function loadStores() {
+  return JSON.parse(readFileSync(DATAPACK_STORES_PATH, 'utf-8'));
+}
+
 class StoreImporter extends BaseImporter {
   constructor(options = {}) {
     super('Stores', options);
     this.websiteIds = [];
-    this.storeIds = [];
+    this.websiteCodes = {};   // code → ID (every Commerce website)
+    this.groupCodes = {};     // code → ID (every Commerce store group)
+    this.viewCodes = {};      // code → ID (every Commerce store view)
+    this.storeGroups = [];    // Commerce store groups, fetched once and kept current
+    this.storeViews = [];     // Commerce store views, fetched once and kept current
   }
-  
+
   /**
    * Load stores from datapack
    */
   loadStores() {
     this.logger.info(`Loading stores from datapack: ${DATAPACK_STORES_PATH}`);
-    const data = JSON.parse(readFileSync(DATAPACK_STORES_PATH, 'utf-8'));
-    return data; // Array of store objects
+    return loadStores(); // Array of store objects
   }
-  
+
   async import() {
     // Load stores from datapack
     const stores = this.loadStores();
-    
-    this.logger.info(`Stores to process: ${stores.length}`);
-    
+    const topology = buildStoreTopology(stores);
+
+    // The project website is primary; otherwise the first in the datapack
+    this.primaryCode = (topology.find(website => website.code === COMMERCE_CONFIG.websiteCode) || topology[0])?.code;
+
+    this.logger.info(`Stores to process: ${stores.length} (${topology.length} websites)`);
+
     // For locked demo, test if store API is accessible
     // If not, skip store import (stores should already exist)
+    let websites;
     try {
-      const websites = await this.api.get('/rest/V1/store/websites');
-    
+      websites = await this.api.get('/rest/V1/store/websites');
+
       // Validate response is actually an array
       if (!Array.isArray(websites)) {
         throw new Error('Store API returned invalid response (not an array)');
       }
-      
-      this.logger.info(`Store API accessible. Found ${websites.length} existing websites.`);
-    
-      // Check if the required store already exists
-      const existingStore = websites.find(w => w.code === stores[0].site_code);
-      if (existingStore) {
-        this.logger.info(`Store '${stores[0].site_code}' already exists. Skipping store creation.`);
-        this.results.addExisting({ type: 'store', code: stores[0].site_code });
-      } else {
-        // Process each store configuration
-        for (const storeData of stores) {
-          await this.processStore(storeData);
-  }
-      }
     } catch (error) {
       // If API access fails, assume stores already exist (expected for locked demo)
       const errorMsg = error.message || '';
@@ -71,22 +111,85 @@ class StoreImporter extends BaseImporter {
         this.logger.info(`Store management API not accessible (normal for locked demos).`);
         this.logger.info(`Assuming store structure already exists in Commerce.`);
         this.results.addSkipped({ store: 'all' }, 'Store API not accessible - assuming stores already configured');
-      } else {
-        throw error;
+        return this.buildResult(stores, topology);
+      }
+      throw error;
     }
+
+    this.logger.info(`Store API accessible. Found ${websites.length} existing websites.`);
+    websites.forEach(website => { this.websiteCodes[website.code] = website.id; });
+    this.storeGroups = await this.api.getStoreGroups();
+    this.storeViews = await this.api.getStoreViews();
+    this.storeGroups.forEach(group => { this.groupCodes[group.code] = group.id; });
+    this.storeViews.forEach(view => { this.viewCodes[view.code] = view.id; });
+
+    for (const website of topology) {
+      await this.processWebsite(website, websites);
     }
-    
+
+    return this.buildResult(stores, topology);
+  }
+
+  buildResult(stores, topology) {
+    const primary = topology.find(website => website.code === this.primaryCode);
+    const primaryGroup = primary ? [...primary.groups.values()][0] : null;
+    const primaryView = primaryGroup ? [...primaryGroup.views.values()][0] : null;
+
     return {
       total: stores.length,
       created: this.results.created.length,
       existing: this.results.existing.length,
       failed: this.results.failed.length,
       skipped: this.results.skipped.length,
+      results: this.results,
       websiteIds: this.websiteIds,
-      storeIds: this.storeIds
+      storeIds: {
+        websiteId: this.websiteCodes[primary?.code],
+        storeGroupId: this.groupCodes[primaryGroup?.code],
+        storeViewId: this.viewCodes[primaryView?.code],
+        websiteIds: this.websiteIds,
+        websites: this.websiteCodes,
+        storeGroups: this.groupCodes,
+        storeViews: this.viewCodes
+      }
     };
   }
-  
+
+  async processWebsite(website, websites) {
+    const existing = websites.find(w => w.code === website.code);
+    if (!existing) {
+      await this.reportMissingWebsite(website, websites);
+
+      // The primary website is required by every later step
+      if (website.code === this.primaryCode) {
+        throw new Error(`Website '${website.code}' not found - manual setup required (see instructions above)`);
+      }
+      this.results.addFailed({ type: 'website', code: website.code }, 'Website not found - manual setup required');
+      return;
+    }
+
+    this.logger.debug(`Website '${website.code}' already exists (ID: ${existing.id})`);
+    this.results.addExisting({ type: 'website', code: website.code });
+    this.websiteIds.push(existing.id);
+
+    for (const group of website.groups.values()) {
+      try {
+        const groupId = await this.ensureStoreGroup(group, existing.id);
+        for (const view of group.views.values()) {
+          try {
+            await this.ensureStoreView(view, existing.id, groupId);
+          } catch (error) {
+            this.results.addFailed({ type: 'store view', code: view.code }, error);
+            this.logger.error(`Failed to process store view ${view.code}: ${error.message}`);
+          }
+        }
+      } catch (error) {
+        this.results.addFailed({ type: 'store group', code: group.code }, error);
+        this.logger.error(`Failed to process store group ${group.code}: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Ensure project root category exists
    * This is called BEFORE checking for website/store/store view
@@ -106,12 +209,12 @@ class StoreImporter extends BaseImporter {
           }]
         }
       });
-      
+
       if (response.items && response.items.length > 0) {
         this.logger.info(`Root category '${categoryName}' already exists (ID: ${response.items[0].id})`);
         return response.items[0].id;
       }
-      
+
       // Category doesn't exist - create it under Default Category (ID 2)
       this.logger.info(`Creating root category '${categoryName}'...`);
       const category = await this.api.post('/categories', {
@@ -122,10 +225,10 @@ class StoreImporter extends BaseImporter {
           include_in_menu: true
         }
       });
-      
+
       this.logger.info(`Created root category '${categoryName}' (ID: ${category.id})`);
       return category.id;
-      
+
     } catch (error) {
       this.logger.warn(`Failed to ensure root category '${categoryName}': ${error.message}`);
       this.logger.warn('Users will need to create this category manually or use "Default Category"');
@@ -133,56 +236,23 @@ class StoreImporter extends BaseImporter {
       return null;
     }
   }
-  
-  async processStore(storeConfig) {
-    try {
-      // Create or get website
-      const websiteId = await this.ensureWebsite(storeConfig);
-      this.websiteIds.push(websiteId);
-      
-      // Create or get store group
-      const storeId = await this.ensureStoreGroup(storeConfig, websiteId);
-      this.storeIds.push(storeId);
-      
-      // Create or get store view
-      await this.ensureStoreView(storeConfig, websiteId, storeId);
-      
-      this.results.addCreated();
-      
-    } catch (error) {
-      // If website doesn't exist, this is a critical error - don't catch it
-      if (error.message.includes('not found - manual setup required')) {
-        throw error;
-      }
-      
-      // Other errors can be logged as failures
-      this.results.addFailed();
-      this.logger.error(`Failed to process store ${storeConfig.site_code}: ${error.message}`);
-    }
-  }
-  
-  async ensureWebsite(config) {
-    // Check if website exists using the correct REST API endpoint
-    const websites = await this.api.get('/rest/V1/store/websites');
-    const existing = websites.find(w => w.code === config.site_code);
-    
-    if (existing) {
-      this.logger.debug(`Website '${config.site_code}' already exists (ID: ${existing.id})`);
-      this.results.addExisting({ type: 'website', code: config.site_code });
-      return existing.id;
-    }
-    
-    // Website doesn't exist - create root category first, then show instructions
+
+  /**
+   * Website doesn't exist - create its root categories first, then show instructions
+   */
+  async reportMissingWebsite(website, websites) {
     const availableCodes = websites.map(w => w.code).join(', ');
-    this.logger.error(`${config.site_name || COMMERCE_CONFIG.project.displayName + ' Website'} doesn't exist yet...`);
-    this.logger.error(`Creating the ${config.store_root_category} root category...`);
-    this.logger.error('');
-    
-    // Create or ensure root category exists
-    await this.ensureRootCategory(config.store_root_category);
-    
+    const websiteName = website.name || COMMERCE_CONFIG.project.displayName + ' Website';
+    const groups = [...website.groups.values()];
+
+    this.logger.error(`${websiteName} doesn't exist yet...`);
+    for (const rootCategory of new Set(groups.map(group => group.rootCategory).filter(Boolean))) {
+      this.logger.error(`Creating the ${rootCategory} root category...`);
+      await this.ensureRootCategory(rootCategory);
+    }
+
     this.logger.error('');
-    this.logger.error(`Website '${config.site_code}' not found in Commerce.`);
+    this.logger.error(`Website '${website.code}' not found in Commerce.`);
     this.logger.error('');
     this.logger.error('Adobe Commerce does not support website creation via REST API.');
     this.logger.error('You must create the website structure manually in Commerce Admin:');
@@ -190,83 +260,80 @@ class StoreImporter extends BaseImporter {
     this.logger.error('📋 Required Setup (Commerce Admin → Stores → All Stores):');
     this.logger.error('');
     this.logger.error('1. Create Website:');
-    this.logger.error(`   - Code: ${config.site_code}`);
-    this.logger.error(`   - Name: ${config.site_name || COMMERCE_CONFIG.project.displayName + ' Website'}`);
-    this.logger.error('');
-    this.logger.error('2. Create Store (Store Group):');
-    this.logger.error(`   - Website: ${config.site_name || COMMERCE_CONFIG.project.displayName + ' Website'}`);
-    this.logger.error(`   - Code: ${config.store_code}`);
-    this.logger.error(`   - Name: ${config.store_name || COMMERCE_CONFIG.project.displayName + ' Store'}`);
-    this.logger.error(`   - Root Category: ${config.store_root_category} (already created for you)`);
+    this.logger.error(`   - Code: ${website.code}`);
+    this.logger.error(`   - Name: ${websiteName}`);
     this.logger.error('');
-    this.logger.error('3. Create Store View:');
-    this.logger.error(`   - Code: ${config.store_view_code}`);
-    this.logger.error(`   - Name: ${config.view_name || COMMERCE_CONFIG.project.displayName + ' US'}`);
-    this.logger.error('   - Status: Enabled');
+    this.logger.error('2. Re-run the import; store groups and store views are then created:');
+    for (const group of groups) {
+      this.logger.error(`   - Store ${group.code} (root category: ${group.rootCategory || 'Default Category'})`);
+      for (const view of group.views.values()) {
+        this.logger.error(`     - Store view ${view.code}`);
+      }
+    }
     this.logger.error('');
     this.logger.error(`Available websites: ${availableCodes}`);
     this.logger.error('');
-    
-    throw new Error(`Website '${config.site_code}' not found - manual setup required (see instructions above)`);
   }
-  
-  async ensureStoreGroup(config, websiteId) {
-    try {
-      // Check if store group exists
-      const groups = await this.api.get('/store/storeGroups');
-      const existing = groups.find(g => g.code === config.store_code);
-      
+
+  async ensureStoreGroup(group, websiteId) {
+    const existing = this.storeGroups.find(g => g.code === group.code);
+
     if (existing) {
+      if (Number(existing.website_id) !== Number(websiteId)) {
+        throw new Error(`Store group '${group.code}' belongs to another website (ID: ${existing.website_id})`);
+      }
+      this.results.addExisting({ type: 'store group', code: group.code });
       return existing.id;
     }
-    
-      // Need to get root category ID
-      const rootCategoryId = await this.findRootCategory(config.store_root_category);
-      
-      // Create store group
-      const group = await this.api.post('/store/storeGroups', {
-        group: {
-          website_id: websiteId,
-          code: config.store_code,
-      name: config.store_name,
-          root_category_id: rootCategoryId,
-          default_store_id: 0
-        }
-      });
-      
-      return group.id;
-    } catch (error) {
-      throw new Error(`Failed to ensure store group: ${error.message}`);
-    }
+
+    // Need to get root category ID
+    const rootCategoryId = await this.findRootCategory(group.rootCategory);
+
+    // Create store group
+    const created = await this.api.createStoreGroup({
+      website_id: websiteId,
+      code: group.code,
+      name: group.name || group.code,
+      root_category_id: rootCategoryId,
+      default_store_id: 0
+    });
+
+    const groupId = this.isDryRun ? `dry-run-${group.code}` : created.id;
+    this.groupCodes[group.code] = groupId;
+    this.storeGroups.push({ id: groupId, code: group.code, website_id: websiteId });
+    this.results.addCreated({ type: 'store group', code: group.code, id: groupId });
+    this.logger.info(`Created store group '${group.code}'`);
+    return groupId;
   }
-  
-  async ensureStoreView(config, websiteId, storeId) {
-    try {
-      // Check if store view exists
-      const views = await this.api.get('/store/storeViews');
-      const existing = views.find(v => v.code === config.store_view_code);
-      
+
+  async ensureStoreView(view, websiteId, groupId) {
+    const existing = this.storeViews.find(v => v.code === view.code);
+
     if (existing) {
+      if (String(existing.store_group_id) !== String(groupId)) {
+        throw new Error(`Store view '${view.code}' belongs to another store group (ID: ${existing.store_group_id})`);
+      }
+      this.results.addExisting({ type: 'store view', code: view.code });
       return existing.id;
     }
-    
-      // Create store view
-      const view = await this.api.post('/store/storeViews', {
-        storeView: {
-          code: config.view_name,
-      name: config.view_name,
-          website_id: websiteId,
-          store_group_id: storeId,
-          is_active: config.view_is_active === 'Y' ? 1 : 0
-        }
-      });
-      
-      return view.id;
-    } catch (error) {
-      throw new Error(`Failed to ensure store view: ${error.message}`);
-    }
+
+    // Create store view
+    const created = await this.api.createStoreView({
+      code: view.code,
+      name: view.name || view.code,
+      website_id: websiteId,
+      store_group_id: groupId,
+      is_active: view.isActive ? 1 : 0
+    });
+
+    const viewId = this.isDryRun ? `dry-run-${view.code}` : created.id;
+    this.viewCodes[view.code] = viewId;
+    this.storeViews.push({ id: viewId, code: view.code, website_id: websiteId, store_group_id: groupId });
+    this.results.addCreated({ type: 'store view', code: view.code, id: viewId });
+    this.logger.info(`Created store view '${view.code}'`);
+    return viewId;
   }
-  
+
   async findRootCategory(categoryName) {
     try {
       const response = await this.api.get('/categories', {
@@ -280,11 +347,11 @@ class StoreImporter extends BaseImporter {
           }]
         }
       });
-      
+
       if (response.items && response.items.length > 0) {
         return response.items[0].id;
       }
-      
+
       // Default to root category ID 1 if not found
       return 1;
     } catch (error) {
@@ -0,0 +1,120 @@
+/**
+ * Product Attribute Definitions
+ * Reads the attribute datapack so product importers can map fields generically
+ * instead of relying on a project-specific list of attribute codes
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { LINK_FIELDS } from '../../shared/product-links.js';
+import { logger } from './commerce-api.js';
+
+export const DATAPACK_ATTRIBUTES_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_product_attributes.json');
+
+/**
+ * Commerce system attributes that are mapped whenever a product carries them
+ */
+export const STANDARD_PRODUCT_ATTRIBUTES = [
+  'description',
+  'short_description',
+  'meta_title',
+  'meta_keyword',
+  'meta_description'
+];
+
+/**
+ * Datapack fields consumed directly by the importers (not custom attributes)
+ */
+export const CORE_PRODUCT_FIELDS = [
+  'sku',
+  'name',
+  'price',
+  'weight',
+  'qty',
+  'product_type',
+  'attribute_set_code',
+  'categories',
+  'url_key',
+  'parent_sku',
+  'configurable_variations',
+  'configurable_variation_labels',
+  'special_price',
+  'special_price_from_date',
+  'special_price_to_date',
+  'bundle_price_type',
+  'bundle_sku_type',
+  'bundle_price_view',
+  'bundle_weight_type',
+  'bundle_shipment_type',
+  'bundle_values',
+  'associated_skus',
+  ...LINK_FIELDS
+];
+
+let cachedDefinitions = null;
+
+/**
+ * Load attribute definitions from accs_product_attributes.json
+ * Returns [] (with a warning) when the file is missing so imports can still run
+ */
+export function loadAttributeDefinitions() {
+  if (cachedDefinitions) return cachedDefinitions;
+
+  if (!existsSync(DATAPACK_ATTRIBUTES_PATH)) {
+    logger.warn(`Attribute datapack not found at ${DATAPACK_ATTRIBUTES_PATH}; only prefixed attributes will be mapped`);
+    cachedDefinitions = [];
+    return cachedDefinitions;
+  }
+
+  const data = JSON.parse(readFileSync(DATAPACK_ATTRIBUTES_PATH, 'utf-8'));
+  cachedDefinitions = data.map(item => item.attribute || item);
+  return cachedDefinitions;
+}
+
+/**
+ * Map of attribute code → frontend_input for every mappable product attribute
+ */
+export function getMappableAttributes() {
+  const attributes = new Map(STANDARD_PRODUCT_ATTRIBUTES.map(code => [code, 'textarea']));
+  for (const definition of loadAttributeDefinitions()) {
+    attributes.set(definition.attribute_code, definition.frontend_input || 'text');
+  }
+  return attributes;
+}
+
+/**
+ * Whether an attribute code belongs to the project (datapack-defined or prefixed)
+ */
+export function isProjectAttribute(code, mappableAttributes = getMappableAttributes()) {
+  const prefix = COMMERCE_CONFIG.attributePrefix;
+  return (mappableAttributes.has(code) && !STANDARD_PRODUCT_ATTRIBUTES.includes(code)) ||
+    (Boolean(prefix) && code.startsWith(prefix));
+}
+
+/**
+ * Whether a datapack field should be sent as a custom attribute
+ */
+export function isMappableField(field, mappableAttributes = getMappableAttributes()) {
+  if (CORE_PRODUCT_FIELDS.includes(field)) return false;
+  return mappableAttributes.has(field) || isProjectAttribute(field, mappableAttributes);
+}
+
+/**
+ * Find datapack fields that are neither core fields nor mappable attributes
+ *
+ * @param {Array<Object>} products - Datapack products
+ * @param {Map} mappableAttributes - Result of getMappableAttributes()
+ * @returns {Object} field → number of products carrying it
+ */
+export function findUnmappedFields(products, mappableAttributes = getMappableAttributes()) {
+  const unmapped = {};
+  for (const product of products) {
+    for (const [field, value] of Object.entries(product)) {
+      if (value === undefined || value === null || value === '') continue;
+      if (CORE_PRODUCT_FIELDS.includes(field) || isMappableField(field, mappableAttributes)) continue;
+      unmapped[field] = (unmapped[field] || 0) + 1;
+    }
+  }
+  return unmapped;
+}
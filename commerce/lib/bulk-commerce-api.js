@@ -10,6 +10,7 @@
  */
 
 import { commerceApi, logger } from './commerce-api.js';
+import { getMappableAttributes, isMappableField } from './attribute-definitions.js';
 
 /**
  * Bulk operation status values
@@ -35,7 +36,7 @@ const DEFAULT_CONFIG = {
 /**
  * Split array into chunks
  */
-function chunkArray(array, size) {
+export function chunkArray(array, size) {
   const chunks = [];
   for (let i = 0; i < array.length; i += size) {
     chunks.push(array.slice(i, i + size));
@@ -140,7 +141,7 @@ export class BulkCommerceApi {
     const bulkProduct = {
       sku: product.sku,
       name: product.name,
-      attribute_set_id: 4, // Default
+      attribute_set_id: this.config.attributeSetMap?.[product.attribute_set_code] || 4, // Named set, else Default
       price: product.price || 0,
       status: product.status || 1,
       visibility: product.visibility || 4,
@@ -154,13 +155,13 @@ export class BulkCommerceApi {
       custom_attributes: []
     };
     
-    // Add custom attributes
-    const customAttrFields = ['br_brand', 'uom', 'br_construction_phase', 'br_quality_tier'];
-    for (const field of customAttrFields) {
-      if (product[field]) {
+    // Add custom attributes defined by the attribute datapack
+    const mappableAttributes = getMappableAttributes();
+    for (const [field, value] of Object.entries(product)) {
+      if (value !== undefined && value !== null && value !== '' && isMappableField(field, mappableAttributes)) {
         bulkProduct.custom_attributes.push({
           attribute_code: field,
-          value: product[field]
+          value: Array.isArray(value) ? value.join(',') : value
         });
       }
     }
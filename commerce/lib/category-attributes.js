@@ -0,0 +1,122 @@
+/**
+ * Category Attributes
+ * Maps the landing-page fields of a category-tree.json definition to Commerce category fields
+ *
+ *   { "name": "Lumber", "urlKey": "lumber",
+ *     "description": "<p>Dimensional lumber and boards</p>",
+ *     "metaTitle": "Lumber", "metaDescription": "...", "metaKeywords": "...",
+ *     "includeInMenu": true, "isAnchor": true, "displayMode": "PRODUCTS_AND_PAGE",
+ *     "landingPage": "lumber-landing", "image": "lumber.jpg" }
+ *
+ * landingPage is a CMS block ID or identifier (identifiers are resolved to IDs first).
+ * image names a file already in pub/media/catalog/category/ (REST can't upload category images).
+ * Fields a definition leaves out are not written, so Commerce defaults and admin edits stay.
+ */
+
+// Definition field → category custom attribute
+const CUSTOM_ATTRIBUTES = {
+  description: 'description',
+  metaTitle: 'meta_title',
+  metaDescription: 'meta_description',
+  metaKeywords: 'meta_keywords',
+  isAnchor: 'is_anchor',
+  displayMode: 'display_mode',
+  landingPage: 'landing_page',
+  image: 'image'
+};
+
+export const DISPLAY_MODES = ['PRODUCTS', 'PAGE', 'PRODUCTS_AND_PAGE'];
+
+/**
+ * CMS block identifiers referenced by landingPage (numeric IDs need no lookup)
+ */
+function landingPageIdentifiers(tree) {
+  const identifiers = new Set();
+  const collect = (node) => {
+    if (node.landingPage !== undefined && !/^\d+$/.test(String(node.landingPage))) {
+      identifiers.add(String(node.landingPage));
+    }
+    (node.children || []).forEach(collect);
+  };
+  if (tree?.name) collect(tree);
+  return [...identifiers];
+}
+
+/**
+ * Resolve the tree's landingPage identifiers to CMS block IDs (identifier → ID)
+ */
+export async function loadLandingPageIds(api, tree) {
+  const identifiers = landingPageIdentifiers(tree);
+  if (identifiers.length === 0) return {};
+  const blocks = await api.getCmsBlocksByIdentifier(identifiers);
+  return Object.fromEntries(blocks.map(block => [block.identifier, block.id]));
+}
+
+/**
+ * Commerce fields for a definition
+ *
+ * @param {Object} definition - Category tree node
+ * @param {Object} landingPageIds - CMS block identifier → block ID
+ * @returns {{include_in_menu?: boolean, custom_attributes: Array}}
+ */
+export function categoryFields(definition, landingPageIds = {}) {
+  const fields = { custom_attributes: [] };
+
+  if (definition.includeInMenu !== undefined) {
+    fields.include_in_menu = Boolean(definition.includeInMenu);
+  }
+
+  for (const [field, code] of Object.entries(CUSTOM_ATTRIBUTES)) {
+    let value = definition[field];
+    if (value === undefined || value === null) continue;
+
+    if (field === 'isAnchor') {
+      value = value ? '1' : '0';
+    } else if (field === 'displayMode') {
+      value = String(value).toUpperCase();
+      if (!DISPLAY_MODES.includes(value)) {
+        throw new Error(`Invalid displayMode "${definition.displayMode}" for category "${definition.name}" (use ${DISPLAY_MODES.join(', ')})`);
+      }
+    } else if (field === 'landingPage' && !/^\d+$/.test(String(value))) {
+      const blockId = landingPageIds[value];
+      if (!blockId) {
+        throw new Error(`CMS block "${value}" for category "${definition.name}" not found`);
+      }
+      value = blockId;
+    }
+
+    fields.custom_attributes.push({ attribute_code: code, value: String(value) });
+  }
+
+  return fields;
+}
+
+/**
+ * Fields of a definition that differ from an existing category (empty when in sync)
+ */
+export function changedCategoryFields(definition, category, landingPageIds = {}) {
+  const wanted = categoryFields(definition, landingPageIds);
+  const changes = { custom_attributes: [] };
+
+  if (wanted.include_in_menu !== undefined && Boolean(category.include_in_menu) !== wanted.include_in_menu) {
+    changes.include_in_menu = wanted.include_in_menu;
+  }
+  for (const attribute of wanted.custom_attributes) {
+    const current = category.custom_attributes?.find(attr => attr.attribute_code === attribute.attribute_code)?.value;
+    if (String(current ?? '') !== attribute.value) {
+      changes.custom_attributes.push(attribute);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Attribute codes (and include_in_menu) an update would write, for reports
+ */
+export function describeFieldChanges(changes) {
+  return [
+    ...(changes.include_in_menu !== undefined ? ['include_in_menu'] : []),
+    ...changes.custom_attributes.map(attr => attr.attribute_code)
+  ];
+}
@@ -0,0 +1,22 @@
+/**
+ * Category Lookup
+ * Resolves datapack category references (url_key or name) when a step runs
+ * without the categoryMap from the categories step
+ */
+
+import { commerceApi } from './commerce-api.js';
+
+/**
+ * url_key / name → category ID from the live catalog
+ * The first category wins when several share a url_key or name
+ */
+export async function loadCategoryIds(api = commerceApi) {
+  const categoryList = await api.getCategoryList();
+  const ids = {};
+  for (const category of categoryList?.items || []) {
+    const urlKey = category.custom_attributes?.find(attr => attr.attribute_code === 'url_key')?.value;
+    if (urlKey && !(urlKey in ids)) ids[urlKey] = category.id;
+    if (!(category.name in ids)) ids[category.name] = category.id;
+  }
+  return ids;
+}
@@ -0,0 +1,264 @@
+/**
+ * Category Tree Sync Plan
+ * Diffs the category-tree.json definition against Commerce's category list
+ *
+ * Each definition is tracked by a stable key: its "key", else its urlKey, else its name path.
+ * Imports record key → category ID in the state file, so a category keeps its identity
+ * when its name or parent changes. Definitions are matched to Commerce categories by:
+ * 1. The ID recorded for their key
+ * 2. The same name under the expected parent (how plain imports match)
+ * 3. The same url_key anywhere in the project tree (moved before keys were recorded)
+ *
+ * The plan lists, in the order they must be applied:
+ * - create:   definitions with no matching category
+ * - rename:   matched categories whose name changed
+ * - attributes: matched categories whose landing-page fields differ (lib/category-attributes.js)
+ * - move:     matched categories under another parent (/V1/categories/{id}/move)
+ * - position: categories out of order among their siblings (children order, or "position")
+ * - remove:   project categories no longer defined (deleted only when pruning)
+ */
+
+import { CATEGORY_TREE } from '../../shared/config-loader.js';
+import { commerceApi } from './commerce-api.js';
+import { getStateTracker } from './state-tracker.js';
+import { categoryUrlKey, categoryPathKey } from './url-keys.js';
+import { changedCategoryFields, describeFieldChanges, loadLandingPageIds } from './category-attributes.js';
+
+// Magento's catalog root; the project root category is created beneath it
+const CATALOG_ROOT_ID = 1;
+
+/**
+ * Stable key of every definition in the tree: its "key", else its urlKey, else its name path
+ * (a urlKey shared by several definitions isn't stable, so those fall back to the path)
+ * @returns {Map<Object, string>} definition → key
+ */
+export function assignCategoryKeys(tree) {
+  const definitions = [];
+  const collect = (node, names) => {
+    definitions.push({ node, names });
+    for (const child of node.children || []) collect(child, [...names, child.name]);
+  };
+  if (tree?.name) collect(tree, [tree.name]);
+
+  // The project root is created with a url_key derived from its name
+  const urlKeyOf = (node) => (node === tree ? node.urlKey || categoryUrlKey(node.name) : node.urlKey);
+  const urlKeyCounts = new Map();
+  for (const { node } of definitions) {
+    const urlKey = urlKeyOf(node);
+    if (urlKey) urlKeyCounts.set(urlKey, (urlKeyCounts.get(urlKey) || 0) + 1);
+  }
+
+  const keys = new Map();
+  const used = new Set();
+  for (const { node, names } of definitions) {
+    const urlKey = urlKeyOf(node);
+    const key = node.key || (urlKey && urlKeyCounts.get(urlKey) <= 1 ? urlKey : categoryPathKey(names));
+    if (used.has(key)) {
+      throw new Error(`Duplicate category key "${key}" in category-tree.json`);
+    }
+    used.add(key);
+    keys.set(node, key);
+  }
+  return keys;
+}
+
+function getUrlKey(category) {
+  return category.custom_attributes?.find(attr => attr.attribute_code === 'url_key')?.value;
+}
+
+/**
+ * Definitions in their intended sibling order ("position" first, then file order)
+ */
+function orderedChildren(node) {
+  return (node.children || [])
+    .map((child, index) => ({ child, order: child.position ?? index + 1, index }))
+    .sort((a, b) => a.order - b.order || a.index - b.index)
+    .map(({ child }) => child);
+}
+
+/**
+ * Compute the changes that bring Commerce's project tree in line with the definition
+ *
+ * @param {Object} input
+ * @param {Object} input.tree - Category tree definition (CATEGORY_TREE)
+ * @param {Array} input.existingCategories - Commerce categories (list items)
+ * @param {Object} input.knownIds - Stable key → category ID from earlier imports
+ * @param {Object} input.landingPageIds - CMS block identifier → block ID
+ * @returns {{nodes: Array, changes: Array, removed: Array, landingPageIds: Object}}
+ *   nodes: every definition in tree order ({ key, names, node, parentKey, id })
+ *   changes: create / rename / move / position entries
+ *   removed: topmost project categories that are no longer defined
+ */
+export function planCategorySync({ tree, existingCategories = [], knownIds = {}, landingPageIds = {} }) {
+  const plan = { nodes: [], changes: [], removed: [], landingPageIds };
+  if (!tree?.name) return plan;
+
+  const keys = assignCategoryKeys(tree);
+  const byId = new Map(existingCategories.map(category => [Number(category.id), category]));
+  const claimed = new Set();
+
+  const namePath = (category) => {
+    const names = [];
+    for (let c = category; c && c.id !== CATALOG_ROOT_ID; c = byId.get(Number(c.parent_id))) {
+      names.unshift(c.name);
+    }
+    return categoryPathKey(names);
+  };
+
+  // Landing-page fields of a matched category that differ from its definition
+  const diffFields = (key, node, category) => {
+    try {
+      const fields = changedCategoryFields(node, category, landingPageIds);
+      const codes = describeFieldChanges(fields);
+      if (codes.length > 0) {
+        plan.changes.push({ type: 'attributes', key, id: Number(category.id), path: namePath(category), fields, codes });
+      }
+    } catch (error) {
+      plan.changes.push({ type: 'attributes', key, id: Number(category.id), path: namePath(category), error: error.message });
+    }
+  };
+
+  const claim = (category) => {
+    if (!category || claimed.has(Number(category.id))) return null;
+    claimed.add(Number(category.id));
+    return category;
+  };
+
+  // Project root: recorded ID, or its name at the catalog root (it is never moved)
+  const rootKey = keys.get(tree);
+  const root = claim(byId.get(Number(knownIds[rootKey]))) ||
+               claim(existingCategories.find(c => c.name === tree.name && Number(c.parent_id) === CATALOG_ROOT_ID));
+  const inProject = (category) => root && (category.path || '').startsWith(`${root.path}/`);
+
+  const walk = (node, names, parentKey, parentId) => {
+    const key = keys.get(node);
+    const entry = { key, names, node, parentKey, id: null };
+    plan.nodes.push(entry);
+
+    const known = byId.get(Number(knownIds[key]));
+    const current = (known && inProject(known) ? claim(known) : null) ||
+      (parentId ? claim(existingCategories.find(c => c.name === node.name && Number(c.parent_id) === parentId && !claimed.has(Number(c.id)))) : null) ||
+      (key === node.urlKey ? claim(existingCategories.find(c => inProject(c) && getUrlKey(c) === node.urlKey && !claimed.has(Number(c.id)))) : null);
+
+    if (!current) {
+      plan.changes.push({ type: 'create', key, path: categoryPathKey(names) });
+    } else {
+      entry.id = Number(current.id);
+      if (current.name !== node.name) {
+        plan.changes.push({ type: 'rename', key, id: entry.id, from: current.name, to: node.name });
+      }
+      diffFields(key, node, current);
+      if (parentId !== Number(current.parent_id)) {
+        // afterKey is filled in when the new parent's children are ordered
+        plan.changes.push({ type: 'move', key, id: entry.id, from: namePath(current), to: categoryPathKey(names) });
+      }
+    }
+    return entry;
+  };
+
+  const syncChildren = (parent, parentEntry) => {
+    const children = orderedChildren(parent);
+    const entries = children.map(child => walk(child, [...parentEntry.names, child.name], parentEntry.key, parentEntry.id));
+
+    // Current sibling order of the definitions already under this parent
+    const order = entries
+      .filter(entry => entry.id && Number(byId.get(entry.id).parent_id) === parentEntry.id)
+      .sort((a, b) => byId.get(a.id).position - byId.get(b.id).position)
+      .map(entry => entry.key);
+
+    entries.forEach((entry, index) => {
+      const afterKey = index > 0 ? entries[index - 1].key : null;
+      const move = plan.changes.find(change => change.type === 'move' && change.key === entry.key);
+
+      if (move) {
+        // Moves place the category directly
+        move.afterKey = afterKey;
+        order.splice(index, 0, entry.key);
+        return;
+      }
+      if (!entry.id) order.push(entry.key); // Created categories are appended
+
+      if (order[index] !== entry.key) {
+        plan.changes.push({ type: 'position', key: entry.key, id: entry.id, path: categoryPathKey(entry.names), afterKey });
+        order.splice(order.indexOf(entry.key), 1);
+        order.splice(index, 0, entry.key);
+      }
+    });
+
+    children.forEach((child, index) => {
+      if (child.children?.length > 0) syncChildren(child, entries[index]);
+    });
+  };
+
+  const rootEntry = { key: rootKey, names: [tree.name], node: tree, parentKey: null, id: root ? Number(root.id) : null };
+  plan.nodes.push(rootEntry);
+  if (!root) {
+    plan.changes.push({ type: 'create', key: rootKey, path: tree.name });
+  } else {
+    if (root.name !== tree.name) {
+      plan.changes.push({ type: 'rename', key: rootKey, id: rootEntry.id, from: root.name, to: tree.name });
+    }
+    diffFields(rootKey, tree, root);
+  }
+  syncChildren(tree, rootEntry);
+
+  // Plan changes are listed per node in tree order; keep them grouped that way
+  const rank = new Map(plan.nodes.map((entry, index) => [entry.key, index]));
+  plan.changes.sort((a, b) => rank.get(a.key) - rank.get(b.key));
+
+  // Undefined project categories, topmost only (deleting a category removes its subtree)
+  if (root) {
+    for (const category of existingCategories) {
+      if (!inProject(category) || claimed.has(Number(category.id))) continue;
+      const parent = byId.get(Number(category.parent_id));
+      if (parent && claimed.has(Number(parent.id))) {
+        plan.removed.push({ type: 'remove', id: Number(category.id), path: namePath(category) });
+      }
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Build the plan against the live catalog and the keys recorded in state
+ */
+export async function loadCategorySyncPlan({ api = commerceApi, tree = CATEGORY_TREE } = {}) {
+  const [categoryList, landingPageIds] = await Promise.all([
+    api.get('/rest/V1/categories/list?searchCriteria[pageSize]=1000'),
+    loadLandingPageIds(api, tree)
+  ]);
+  return planCategorySync({
+    tree,
+    existingCategories: categoryList?.items || [],
+    knownIds: getStateTracker().getCategoryKeys(),
+    landingPageIds
+  });
+}
+
+/**
+ * One-line description of a planned change for reports
+ */
+export function describeCategoryChange(change, plan) {
+  const pathOf = (key) => categoryPathKey(plan.nodes.find(entry => entry.key === key)?.names || [key]);
+  const placement = change.afterKey ? `after "${pathOf(change.afterKey)}"` : 'first';
+
+  switch (change.type) {
+    case 'create':
+      return `Create "${change.path}"`;
+    case 'rename':
+      return `Rename "${change.from}" → "${change.to}"`;
+    case 'attributes':
+      return change.error
+        ? `Update "${change.path}" (${change.error})`
+        : `Update "${change.path}" (${change.codes.join(', ')})`;
+    case 'move':
+      return `Move "${change.from}" → "${change.to}" (${placement})`;
+    case 'position':
+      return `Reorder "${change.path}" (${placement})`;
+    case 'remove':
+      return `Remove "${change.path}"`;
+    default:
+      return `${change.type} ${change.key}`;
+  }
+}
@@ -230,10 +230,55 @@ export const commerceApi = {
     return apiRequest('POST', '/rest/V1/products/attributes', { attribute });
   },
   
+  async getAttributeOptions(attributeCode, storeScope = null) {
+    // A store scope returns that store view's option labels
+    const prefix = storeScope ? `/rest/${storeScope}` : '/rest';
+    return apiRequest('GET', `${prefix}/V1/products/attributes/${attributeCode}/options`);
+  },
+  
   async addAttributeOption(attributeCode, option) {
     return apiRequest('POST', `/rest/V1/products/attributes/${attributeCode}/options`, { option });
   },
   
+  async updateProductAttribute(attributeCode, attribute) {
+    return apiRequest('PUT', `/rest/V1/products/attributes/${attributeCode}`, { attribute });
+  },
+
+  // ==================== Attribute Sets ====================
+
+  async getAttributeSets() {
+    return apiRequest('GET', '/rest/V1/products/attribute-sets/sets/list?searchCriteria[pageSize]=500');
+  },
+
+  async createAttributeSet(attributeSet, skeletonId = 4) {
+    return apiRequest('POST', '/rest/V1/products/attribute-sets', { attributeSet, skeletonId });
+  },
+
+  async deleteAttributeSet(attributeSetId) {
+    return apiRequest('DELETE', `/rest/V1/products/attribute-sets/${attributeSetId}`);
+  },
+
+  async getAttributeGroups(attributeSetId) {
+    return apiRequest('GET', `/rest/V1/products/attribute-sets/groups/list?searchCriteria[filterGroups][0][filters][0][field]=attribute_set_id&searchCriteria[filterGroups][0][filters][0][value]=${attributeSetId}`);
+  },
+
+  async createAttributeGroup(group) {
+    return apiRequest('POST', '/rest/V1/products/attribute-sets/groups', { group });
+  },
+
+  async getAttributeSetAttributes(attributeSetId) {
+    return apiRequest('GET', `/rest/V1/products/attribute-sets/${attributeSetId}/attributes`);
+  },
+
+  async assignAttributeToSet(attributeSetId, attributeGroupId, attributeCode, sortOrder = 0) {
+    return apiRequest('POST', '/rest/V1/products/attribute-sets/attributes', {
+      attributeSetId,
+      attributeGroupId,
+      attributeCode,
+      sortOrder
+    });
+  },
+
   // ==================== Categories ====================
   
   async getCategories() {
@@ -247,13 +292,56 @@ export const commerceApi = {
     );
   },
   
+  async getCategoryList() {
+    return apiRequest('GET', '/rest/V1/categories/list?searchCriteria[pageSize]=500');
+  },
+  
+  async getCategory(categoryId, storeScope = null) {
+    const prefix = storeScope ? `/rest/${storeScope}` : '/rest';
+    return apiRequest('GET', `${prefix}/V1/categories/${categoryId}`);
+  },
+  
   async createCategory(category) {
     return apiRequest('POST', '/rest/V1/categories', { category });
   },
   
+  async updateCategory(categoryId, category, storeScope = null) {
+    // Same scope rules as updateProduct: a store view code writes that view only
+    const prefix = storeScope ? `/rest/${storeScope}` : '/rest';
+    return apiRequest('PUT', `${prefix}/V1/categories/${categoryId}`, { category });
+  },
+  
   async deleteCategory(categoryId) {
     return apiRequest('DELETE', `/rest/V1/categories/${categoryId}`);
   },
+
+  async getCategoryProducts(categoryId) {
+    return apiRequest('GET', `/rest/V1/categories/${categoryId}/products`);
+  },
+  
+  async setCategoryProductPosition(categoryId, sku, position) {
+    return apiRequest('PUT', `/rest/V1/categories/${categoryId}/products`, {
+      productLink: { sku, position, category_id: String(categoryId) }
+    });
+  },
+  
+  async moveCategory(categoryId, parentId, afterId = null) {
+    // afterId 0 places the category first; omitted, Commerce appends it after the last child
+    const body = afterId === null ? { parentId } : { parentId, afterId };
+    return apiRequest('PUT', `/rest/V1/categories/${categoryId}/move`, body);
+  },
+
+  // ==================== CMS Blocks ====================
+  
+  async getCmsBlocksByIdentifier(identifiers) {
+    const params = new URLSearchParams({
+      'searchCriteria[filter_groups][0][filters][0][field]': 'identifier',
+      'searchCriteria[filter_groups][0][filters][0][value]': identifiers.join(','),
+      'searchCriteria[filter_groups][0][filters][0][condition_type]': 'in'
+    });
+    const result = await apiRequest('GET', `/rest/V1/cmsBlock/search?${params.toString()}`);
+    return result.items || [];
+  },
   
   // ==================== Products ====================
   
@@ -271,7 +359,16 @@ export const commerceApi = {
    * Returns a Set of SKUs for O(1) lookup
    */
   async getAllProductSkus() {
-    const skus = new Set();
+    const products = await this.getAllProducts();
+    return new Set(products.keys());
+  },
+  
+  /**
+   * Get all existing products with their full data (for diffing in update mode)
+   * Returns a Map of SKU → product
+   */
+  async getAllProducts() {
+    const products = new Map();
     let currentPage = 1;
     const pageSize = 300;
     let hasMore = true;
@@ -280,7 +377,7 @@ export const commerceApi = {
       const result = await this.searchProducts({ pageSize, currentPage });
       if (result?.items) {
         for (const product of result.items) {
-          skus.add(product.sku);
+          products.set(product.sku, product);
         }
         hasMore = result.items.length === pageSize;
         currentPage++;
@@ -289,12 +386,13 @@ export const commerceApi = {
       }
     }
     
-    return skus;
+    return products;
   },
   
-  async getProduct(sku) {
+  async getProduct(sku, storeScope = null) {
+    const prefix = storeScope ? `/rest/${storeScope}` : '/rest';
     try {
-      return await apiRequest('GET', `/rest/V1/products/${encodeURIComponent(sku)}`);
+      return await apiRequest('GET', `${prefix}/V1/products/${encodeURIComponent(sku)}`);
     } catch (error) {
       if (error.status === 404) {
         return null;
@@ -307,8 +405,10 @@ export const commerceApi = {
     return apiRequest('POST', '/rest/V1/products', { product });
   },
   
-  async updateProduct(sku, product) {
-    return apiRequest('PUT', `/rest/V1/products/${encodeURIComponent(sku)}`, { product });
+  async updateProduct(sku, product, storeScope = null) {
+    // storeScope 'all' writes global values; omitting it writes to the default store view
+    const prefix = storeScope ? `/rest/${storeScope}` : '/rest';
+    return apiRequest('PUT', `${prefix}/V1/products/${encodeURIComponent(sku)}`, { product });
   },
   
   async deleteProduct(sku) {
@@ -321,6 +421,25 @@ export const commerceApi = {
     return apiRequest('POST', endpoint, { entry: media });
   },
   
+  async getProductMedia(sku) {
+    return apiRequest('GET', `/rest/all/V1/products/${encodeURIComponent(sku)}/media`);
+  },
+  
+  async updateProductMedia(sku, entryId, media) {
+    return apiRequest('PUT', `/rest/all/V1/products/${encodeURIComponent(sku)}/media/${entryId}`, { entry: { ...media, id: entryId } });
+  },
+  
+  async deleteProductMedia(sku, entryId) {
+    return apiRequest('DELETE', `/rest/all/V1/products/${encodeURIComponent(sku)}/media/${entryId}`);
+  },
+  
+  // ==================== Product Links ====================
+  
+  async saveProductLinks(sku, items) {
+    // Adds new links and updates positions of existing ones; other links are kept
+    return apiRequest('POST', `/rest/V1/products/${encodeURIComponent(sku)}/links`, { items });
+  },
+  
   // ==================== Multi-Source Inventory (MSI) ====================
   
   /**
@@ -342,19 +461,105 @@ export const commerceApi = {
       status
     }]);
   },
+
+  async getSources() {
+    return apiRequest('GET', '/rest/V1/inventory/sources?searchCriteria[pageSize]=500');
+  },
+
+  async createSource(source) {
+    return apiRequest('POST', '/rest/V1/inventory/sources', { source });
+  },
+
+  async getStocks() {
+    return apiRequest('GET', '/rest/V1/inventory/stocks?searchCriteria[pageSize]=500');
+  },
+
+  /**
+   * Create a stock; returns the new stock_id
+   */
+  async createStock(stock) {
+    return apiRequest('POST', '/rest/V1/inventory/stocks', { stock });
+  },
+
+  async updateStock(stockId, stock) {
+    return apiRequest('PUT', `/rest/V1/inventory/stocks/${stockId}`, { stock });
+  },
+
+  async getStockSourceLinks() {
+    return apiRequest('GET', '/rest/V1/inventory/stock-source-links?searchCriteria[pageSize]=1000');
+  },
+
+  async addStockSourceLinks(links) {
+    return apiRequest('POST', '/rest/V1/inventory/stock-source-links', { links });
+  },
   
+  // ==================== Advanced Pricing ====================
+
+  /**
+   * Read tier prices for SKUs (POST is a read here; returns [] in dry-run)
+   */
+  async getTierPrices(skus) {
+    const result = await apiRequest('POST', '/rest/V1/products/tier-prices-information', { skus });
+    return Array.isArray(result) ? result : [];
+  },
+
+  /**
+   * Add or update tier prices; returns per-item errors (empty array on success)
+   */
+  async updateTierPrices(prices) {
+    return apiRequest('POST', '/rest/V1/products/tier-prices', { prices });
+  },
+
+  /**
+   * Read special prices for SKUs (POST is a read here; returns [] in dry-run)
+   */
+  async getSpecialPrices(skus) {
+    const result = await apiRequest('POST', '/rest/V1/products/special-price-information', { skus });
+    return Array.isArray(result) ? result : [];
+  },
+
+  /**
+   * Add or update special prices; returns per-item errors (empty array on success)
+   */
+  async updateSpecialPrices(prices) {
+    return apiRequest('POST', '/rest/V1/products/special-price', { prices });
+  },
+
   // ==================== Bundle Products ====================
+
+  async getBundleOptions(sku) {
+    return apiRequest('GET', `/rest/V1/bundle-products/${encodeURIComponent(sku)}/options/all`);
+  },
   
   async addBundleOption(sku, option) {
-    return apiRequest('POST', `/rest/V1/bundle-products/${encodeURIComponent(sku)}/options/add`, { option });
+    // The bundle is identified by the option's sku field, not the path
+    return apiRequest('POST', '/rest/V1/bundle-products/options/add', { option: { ...option, sku } });
   },
   
   async addBundleLink(sku, optionId, link) {
     return apiRequest('POST', `/rest/V1/bundle-products/${encodeURIComponent(sku)}/links/${optionId}`, { linkedProduct: link });
   },
   
+  // ==================== Configurable Products ====================
+
+  async getConfigurableOptions(sku) {
+    return apiRequest('GET', `/rest/V1/configurable-products/${encodeURIComponent(sku)}/options/all`);
+  },
+
+  async addConfigurableOption(sku, option) {
+    return apiRequest('POST', `/rest/V1/configurable-products/${encodeURIComponent(sku)}/options`, { option });
+  },
+
+  async getConfigurableChildren(sku) {
+    return apiRequest('GET', `/rest/V1/configurable-products/${encodeURIComponent(sku)}/children`);
+  },
+
+  async addConfigurableChild(sku, childSku) {
+    return apiRequest('POST', `/rest/V1/configurable-products/${encodeURIComponent(sku)}/child`, { childSku });
+  },
+
   // ==================== Customers ====================
-  
+
   async getCustomer(email) {
     try {
       const result = await apiRequest('GET', `/rest/V1/customers/search?searchCriteria[filterGroups][0][filters][0][field]=email&searchCriteria[filterGroups][0][filters][0][value]=${encodeURIComponent(email)}`);
@@ -396,7 +601,122 @@ export const commerceApi = {
     // Customer custom attributes endpoint
     return apiRequest('POST', '/rest/V1/customerCustomAttributes', { attribute });
   },
-  
+
+  // ==================== B2B Shared Catalogs ====================
+
+  async getSharedCatalogs() {
+    const result = await apiRequest('GET', '/rest/V1/sharedCatalog?searchCriteria[pageSize]=100');
+    return result.items || [];
+  },
+
+  async getSharedCatalog(catalogId) {
+    return apiRequest('GET', `/rest/V1/sharedCatalog/${catalogId}`);
+  },
+
+  /**
+   * Create a shared catalog; returns its ID
+   */
+  async createSharedCatalog(sharedCatalog) {
+    return apiRequest('POST', '/rest/V1/sharedCatalog', { sharedCatalog });
+  },
+
+  async updateSharedCatalog(catalogId, sharedCatalog) {
+    return apiRequest('PUT', `/rest/V1/sharedCatalog/${catalogId}`, { sharedCatalog });
+  },
+
+  async deleteSharedCatalog(catalogId) {
+    return apiRequest('DELETE', `/rest/V1/sharedCatalog/${catalogId}`);
+  },
+
+  async getSharedCatalogCategories(catalogId) {
+    return await apiRequest('GET', `/rest/V1/sharedCatalog/${catalogId}/categories`) || [];
+  },
+
+  async assignSharedCatalogCategories(catalogId, categoryIds) {
+    return apiRequest('POST', `/rest/V1/sharedCatalog/${catalogId}/assignCategories`, { categories: categoryIds.map(id => ({ id })) });
+  },
+
+  async getSharedCatalogProducts(catalogId) {
+    return await apiRequest('GET', `/rest/V1/sharedCatalog/${catalogId}/products`) || [];
+  },
+
+  async assignSharedCatalogProducts(catalogId, skus) {
+    return apiRequest('POST', `/rest/V1/sharedCatalog/${catalogId}/assignProducts`, { products: skus.map(sku => ({ sku })) });
+  },
+
+  /**
+   * IDs of the companies assigned to a shared catalog (Commerce returns them JSON-encoded)
+   */
+  async getSharedCatalogCompanies(catalogId) {
+    const result = await apiRequest('GET', `/rest/V1/sharedCatalog/${catalogId}/companies`);
+    const ids = typeof result === 'string' ? JSON.parse(result || '[]') : result || [];
+    return ids.map(Number);
+  },
+
+  async assignSharedCatalogCompanies(catalogId, companyIds) {
+    return apiRequest('POST', `/rest/V1/sharedCatalog/${catalogId}/assignCompanies`, { companies: companyIds.map(id => ({ id })) });
+  },
+
+  // ==================== B2B Companies ====================
+
+  async getCompanies() {
+    const result = await apiRequest('GET', '/rest/V1/company/?searchCriteria[pageSize]=500');
+    return result.items || [];
+  },
+
+  async createCompany(company) {
+    return apiRequest('POST', '/rest/V1/company/', { company });
+  },
+
+  async updateCompany(companyId, company) {
+    return apiRequest('PUT', `/rest/V1/company/${companyId}`, { company });
+  },
+
+  async deleteCompany(companyId) {
+    return apiRequest('DELETE', `/rest/V1/company/${companyId}`);
+  },
+
+  async getCompanyRoles(companyId) {
+    const result = await apiRequest('GET', `/rest/V1/company/role?searchCriteria[filterGroups][0][filters][0][field]=company_id&searchCriteria[filterGroups][0][filters][0][value]=${companyId}&searchCriteria[pageSize]=100`);
+    return result.items || [];
+  },
+
+  async createCompanyRole(role) {
+    return apiRequest('POST', '/rest/V1/company/role', { role });
+  },
+
+  async updateCompanyRole(roleId, role) {
+    return apiRequest('PUT', `/rest/V1/company/role/${roleId}`, { role });
+  },
+
+  async getCompanyRoleUsers(roleId) {
+    return apiRequest('GET', `/rest/V1/company/role/${roleId}/users`);
+  },
+
+  async assignCompanyRole(userId, roleId) {
+    return apiRequest('PUT', '/rest/V1/company/assignRoles', { userId, roles: [{ id: roleId }] });
+  },
+
+  /**
+   * Company structure as a flat list of nodes
+   * ({ structure_id, entity_id, entity_type: 'customer'|'team', structure_parent_id })
+   */
+  async getCompanyHierarchy(companyId) {
+    return apiRequest('GET', `/rest/V1/hierarchy/${companyId}`);
+  },
+
+  async moveCompanyNode(structureId, newParentId) {
+    return apiRequest('PUT', `/rest/V1/hierarchy/move/${structureId}`, { newParentId });
+  },
+
+  async getCompanyTeam(teamId) {
+    return apiRequest('GET', `/rest/V1/team/${teamId}`);
+  },
+
+  async createCompanyTeam(companyId, team) {
+    return apiRequest('POST', `/rest/V1/team/${companyId}`, { team });
+  },
+
   // ==================== Websites & Stores ====================
   
   async getWebsites() {
@@ -547,6 +867,19 @@ export async function resolveWebsiteId(websiteCode) {
   }
 }
 
+/**
+ * Map every Commerce customer group code to its ID (General, Wholesale, ...)
+ * Entries in projectMap (from importCustomerGroups) win over the fetched ones
+ */
+export async function resolveCustomerGroupIds(api = commerceApi, projectMap = {}) {
+  const groups = await api.getCustomerGroups();
+  const groupIdMap = {};
+  for (const group of groups?.items || []) {
+    groupIdMap[group.code] = group.id;
+  }
+  return { ...groupIdMap, ...projectMap };
+}
+
 /**
  * Export token generation for manual use
  */
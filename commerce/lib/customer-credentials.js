@@ -0,0 +1,139 @@
+/**
+ * Customer Credentials
+ * Deterministic passwords for demo customers and the presenter credentials report
+ *
+ * Customers without a datapack `password` get one drawn from HMAC-SHA256(seed, email),
+ * so every run, and every machine with the same seed, arrives at the same password.
+ * The seed is CUSTOMER_PASSWORD_SEED, or a random one kept in the state directory.
+ * Passwords are 16 characters with upper, lower, digit and symbol characters
+ * (Commerce needs three classes).
+ *
+ * The report lists email, password, group, persona and website for every demo
+ * customer as Markdown and CSV in the git-ignored state directory.
+ */
+
+import { createHmac, randomBytes } from 'crypto';
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, relative } from 'path';
+import { COMMERCE_CONFIG } from '../../shared/config-loader.js';
+import { logger } from './commerce-api.js';
+import { STATE_DIR } from './state-tracker.js';
+
+export const CREDENTIALS_MARKDOWN_PATH = join(STATE_DIR, 'customer-credentials.md');
+export const CREDENTIALS_CSV_PATH = join(STATE_DIR, 'customer-credentials.csv');
+export const PASSWORD_SEED_PATH = join(STATE_DIR, 'password-seed');
+
+const PASSWORD_LENGTH = 16;
+
+// Look-alike characters (I, O, l, 0, 1) are left out so passwords can be typed from the sheet
+const CHARACTER_CLASSES = [
+  'ABCDEFGHJKLMNPQRSTUVWXYZ',
+  'abcdefghijkmnopqrstuvwxyz',
+  '23456789',
+  '!@#$%&*-_+?'
+];
+
+const COLUMNS = ['email', 'password', 'group', 'persona', 'website'];
+
+let generatedSeed = null;
+
+/**
+ * CUSTOMER_PASSWORD_SEED, or a random seed created on first use in the state directory
+ * (deleting that file changes every generated password)
+ */
+export function getPasswordSeed() {
+  if (COMMERCE_CONFIG.customers.passwordSeed) return COMMERCE_CONFIG.customers.passwordSeed;
+  if (generatedSeed) return generatedSeed;
+
+  generatedSeed = existsSync(PASSWORD_SEED_PATH) ? readFileSync(PASSWORD_SEED_PATH, 'utf-8').trim() : '';
+  if (!generatedSeed) {
+    generatedSeed = randomBytes(32).toString('hex');
+    mkdirSync(STATE_DIR, { recursive: true });
+    writeFileSync(PASSWORD_SEED_PATH, `${generatedSeed}\n`);
+  }
+  logger.warn(`CUSTOMER_PASSWORD_SEED is not set; using the seed in ${relative(process.cwd(), PASSWORD_SEED_PATH)} (other machines generate different passwords)`);
+  return generatedSeed;
+}
+
+/**
+ * Byte source for one email: HMAC-SHA256 blocks, extended with a counter when used up
+ */
+function passwordBytes(seed, email) {
+  let block = 0;
+  let bytes = [];
+  return () => {
+    if (bytes.length === 0) {
+      bytes = [...createHmac('sha256', seed).update(`${email}:${block++}`).digest()];
+    }
+    return bytes.shift();
+  };
+}
+
+/**
+ * Uniform index in [0, n): bytes from the uneven top of the range are rejected
+ */
+function uniformIndex(nextByte, n) {
+  const limit = 256 - (256 % n);
+  let byte;
+  do {
+    byte = nextByte();
+  } while (byte >= limit);
+  return byte % n;
+}
+
+/**
+ * Password for a customer without one in the datapack
+ */
+export function generatePassword(email, seed = getPasswordSeed()) {
+  const nextByte = passwordBytes(seed, String(email).toLowerCase());
+  const pick = (chars) => chars[uniformIndex(nextByte, chars.length)];
+
+  // One character from every class, the rest from all of them
+  const characters = CHARACTER_CLASSES.map(chars => pick(chars));
+  const all = CHARACTER_CLASSES.join('');
+  while (characters.length < PASSWORD_LENGTH) {
+    characters.push(pick(all));
+  }
+
+  // Shuffle so the class order isn't fixed
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = uniformIndex(nextByte, i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
+  }
+  return characters.join('');
+}
+
+const markdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|');
+
+const csvCell = (value) => {
+  const str = String(value ?? '');
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Write the credentials report (Markdown and CSV)
+ *
+ * @param {Array} rows - { email, password, group, persona, website }
+ * @returns {{markdown: string, csv: string}} Paths relative to the working directory
+ */
+export function writeCredentialsReport(rows) {
+  mkdirSync(STATE_DIR, { recursive: true });
+
+  const markdown = [
+    `# Demo Customer Credentials (${COMMERCE_CONFIG.project.displayName || COMMERCE_CONFIG.project.name})`,
+    '',
+    `| ${COLUMNS.map(column => column[0].toUpperCase() + column.slice(1)).join(' | ')} |`,
+    `|${COLUMNS.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${COLUMNS.map(column => markdownCell(row[column])).join(' | ')} |`),
+    ''
+  ].join('\n');
+  writeFileSync(CREDENTIALS_MARKDOWN_PATH, markdown);
+
+  const csv = [COLUMNS.join(','), ...rows.map(row => COLUMNS.map(column => csvCell(row[column])).join(','))].join('\n') + '\n';
+  writeFileSync(CREDENTIALS_CSV_PATH, csv);
+
+  return {
+    markdown: relative(process.cwd(), CREDENTIALS_MARKDOWN_PATH),
+    csv: relative(process.cwd(), CREDENTIALS_CSV_PATH)
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * Customer Personas
+ * Maps a demo customer's persona to the ACO catalog view and price book the
+ * storefront should use for it (customer attributes from importers/customer-attributes.js)
+ *
+ * definitions/customers/personas.json:
+ *   { "contractor": { "catalogViewId": "b2b-view", "priceBookId": "contractor-pricing" },
+ *     "homeowner":  { "priceBookId": "retail-pricing" } }
+ *
+ * Customers name their persona in accs_customers.json ("persona"). A persona without
+ * catalogViewId gets ACO_CATALOG_VIEW_ID. Price book IDs must exist in the ACO
+ * generated/aco/price-books.json (not checked when the data repo has no ACO data).
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readDatapackItems } from '../../shared/datapack-reader.js';
+
+const PERSONAS_PATH = resolve(DATA_REPO_PATH, 'definitions/customers/personas.json');
+const PRICE_BOOKS_PATH = resolve(DATA_REPO_PATH, 'generated/aco/price-books.json');
+
+export const CATALOG_VIEW_ATTRIBUTE = 'aco_catalog_view_id';
+export const PRICE_BOOK_ATTRIBUTE = 'aco_price_book_id';
+
+/**
+ * Persona name (lowercase) → { catalogViewId, priceBookId } ({} without a mapping file)
+ */
+export function loadPersonaMapping() {
+  if (!existsSync(PERSONAS_PATH)) return {};
+  const mapping = JSON.parse(readFileSync(PERSONAS_PATH, 'utf-8'));
+  return Object.fromEntries(Object.entries(mapping).map(([persona, ids]) => [persona.toLowerCase(), ids]));
+}
+
+/**
+ * Price book IDs from the ACO data (null when there is no price-books.json)
+ */
+export async function loadPriceBookIds() {
+  if (!existsSync(PRICE_BOOKS_PATH)) return null;
+  const priceBooks = await readDatapackItems(PRICE_BOOKS_PATH);
+  return new Set(priceBooks.map(priceBook => priceBook.priceBookId));
+}
+
+/**
+ * Mapped price book IDs that price-books.json doesn't define ({ persona, priceBookId })
+ */
+export function findUnknownPriceBooks(mapping, priceBookIds) {
+  if (!priceBookIds) return [];
+  return Object.entries(mapping)
+    .filter(([, ids]) => ids.priceBookId && !priceBookIds.has(ids.priceBookId))
+    .map(([persona, ids]) => ({ persona, priceBookId: ids.priceBookId }));
+}
+
+/**
+ * Custom attributes for a customer's persona ([] without one)
+ * Throws when the persona isn't mapped or maps to an unknown price book
+ */
+export function personaAttributes(persona, mapping, unknownPriceBooks = []) {
+  if (!persona) return [];
+
+  const ids = mapping[String(persona).toLowerCase()];
+  if (!ids) throw new Error(`Persona "${persona}" not found in personas.json`);
+  if (unknownPriceBooks.some(unknown => unknown.persona === String(persona).toLowerCase())) {
+    throw new Error(`Price book "${ids.priceBookId}" for persona "${persona}" not found in price-books.json`);
+  }
+
+  const catalogViewId = ids.catalogViewId || COMMERCE_CONFIG.aco.catalogViewId;
+  return [
+    ...(catalogViewId ? [{ attribute_code: CATALOG_VIEW_ATTRIBUTE, value: String(catalogViewId) }] : []),
+    ...(ids.priceBookId ? [{ attribute_code: PRICE_BOOK_ATTRIBUTE, value: String(ids.priceBookId) }] : [])
+  ];
+}
+
+/**
+ * Attributes whose value on an existing customer differs
+ */
+export function changedPersonaAttributes(attributes, existing) {
+  return attributes.filter(attr => {
+    const current = existing.custom_attributes?.find(item => item.attribute_code === attr.attribute_code)?.value;
+    return String(current ?? '') !== attr.value;
+  });
+}
@@ -0,0 +1,149 @@
+/**
+ * Product Image Preprocessor
+ * Optional resize / format conversion before upload (IMAGE_PREPROCESS=true)
+ *
+ * - Images larger than IMAGE_MAX_DIMENSION on either side are scaled to fit
+ * - IMAGE_FORMAT converts to jpeg or png (IMAGE_QUALITY sets JPEG quality);
+ *   "original" keeps the source format and only re-encodes resized images
+ * - WebP sources pass through unchanged (the pure-JS codecs can't decode them)
+ *
+ * Output is cached in .<identifier>-state/image-cache/, keyed by the source's content
+ * hash and the settings, so repeated runs reuse earlier work.
+ * Uses jimp (pure JS), loaded only when preprocessing is enabled.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { extname, join } from 'path';
+import { createHash } from 'crypto';
+import { COMMERCE_CONFIG } from '../../shared/config-loader.js';
+import { STATE_DIR } from './state-tracker.js';
+import { hashImageBytes } from './image-sources.js';
+
+export const IMAGE_CACHE_DIR = join(STATE_DIR, 'image-cache');
+
+const FORMATS = {
+  original: null,
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif'
+};
+
+// Formats jimp can decode
+const DECODABLE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+const TYPES_BY_EXTENSION = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+let jimpModule = null;
+
+async function loadJimp() {
+  if (!jimpModule) {
+    try {
+      jimpModule = await import('jimp');
+    } catch (error) {
+      throw new Error(`Image preprocessing needs the jimp package (run npm install): ${error.message}`);
+    }
+  }
+  return jimpModule.Jimp;
+}
+
+export class ImagePreprocessor {
+  constructor(settings = COMMERCE_CONFIG.images) {
+    const { maxDimension, format, quality } = settings;
+
+    if (!(format in FORMATS)) {
+      throw new Error(`Invalid IMAGE_FORMAT "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+    if (!(maxDimension > 0)) {
+      throw new Error(`Invalid IMAGE_MAX_DIMENSION "${maxDimension}"`);
+    }
+    if (!(quality >= 1 && quality <= 100)) {
+      throw new Error(`Invalid IMAGE_QUALITY "${quality}" (use 1-100)`);
+    }
+
+    this.maxDimension = maxDimension;
+    this.format = format;
+    this.quality = quality;
+    this.stats = { processed: 0, cached: 0, unchanged: 0 };
+  }
+
+  /**
+   * Settings that change the output (part of every cache key and content hash)
+   */
+  get signature() {
+    return `${this.maxDimension}|${this.format}|${this.quality}`;
+  }
+
+  /**
+   * Hash of what will be uploaded for a source hash, so changing settings re-syncs images
+   */
+  outputHash(sourceHash) {
+    return createHash('sha256').update(`${sourceHash}|${this.signature}`).digest('hex');
+  }
+
+  outputType(sourceType) {
+    if (!DECODABLE_TYPES.includes(sourceType)) return sourceType;
+    return FORMATS[this.format] || sourceType;
+  }
+
+  /**
+   * File name with the extension of the output format
+   * (the source type defaults to the one its extension implies)
+   */
+  outputName(name, sourceType = TYPES_BY_EXTENSION[extname(name).toLowerCase()]) {
+    if (!sourceType) return name;
+    const type = this.outputType(sourceType);
+    if (type === sourceType || !EXTENSIONS[type]) return name;
+    return name.replace(/(\.[^.]+)?$/, EXTENSIONS[type]);
+  }
+
+  /**
+   * Resize / convert media API content ({ base64_encoded_data, type, name })
+   */
+  async process(content) {
+    if (!DECODABLE_TYPES.includes(content.type)) {
+      this.stats.unchanged++;
+      return content;
+    }
+
+    const bytes = Buffer.from(content.base64_encoded_data, 'base64');
+    const type = this.outputType(content.type);
+    const name = this.outputName(content.name, content.type);
+    const cachePath = join(IMAGE_CACHE_DIR, `${this.outputHash(hashImageBytes(bytes))}${EXTENSIONS[type]}`);
+
+    if (existsSync(cachePath)) {
+      this.stats.cached++;
+      return { base64_encoded_data: readFileSync(cachePath).toString('base64'), type, name };
+    }
+
+    const Jimp = await loadJimp();
+    const image = await Jimp.read(bytes);
+    const oversized = image.width > this.maxDimension || image.height > this.maxDimension;
+
+    // Nothing to do: keep the original bytes rather than re-encoding them
+    if (!oversized && type === content.type && this.format === 'original') {
+      this.stats.unchanged++;
+      return content;
+    }
+
+    if (oversized) {
+      image.scaleToFit({ w: this.maxDimension, h: this.maxDimension });
+    }
+    const output = await image.getBuffer(type, type === 'image/jpeg' ? { quality: this.quality } : undefined);
+
+    mkdirSync(IMAGE_CACHE_DIR, { recursive: true });
+    writeFileSync(cachePath, output);
+    this.stats.processed++;
+
+    return { base64_encoded_data: output.toString('base64'), type, name };
+  }
+}
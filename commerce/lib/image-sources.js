@@ -0,0 +1,149 @@
+/**
+ * Product Image Sources
+ * Resolves where a datapack image entry's bytes come from and prepares them for upload
+ *
+ * An entry can carry its image in one of three ways:
+ * - Inline: content.base64_encoded_data (the ACCS format)
+ * - File path: "path": "images/LBR-001/front.jpg" (relative to the data repo, or absolute)
+ * - Directory convention: every image in <data repo>/images/<sku>/ (sorted by file name),
+ *   for products without a record in accs_product_images_*.json
+ *
+ * File contents are read when hashing and again at upload time, never kept around.
+ * The MIME type is detected from the file's leading bytes, and images over
+ * COMMERCE_CONFIG.images.maxSizeMb are rejected before upload (after preprocessing,
+ * when enabled, so large sources can be scaled down to fit).
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { basename, extname, isAbsolute, relative, resolve } from 'path';
+import { createHash } from 'crypto';
+import { COMMERCE_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+
+export const IMAGE_DIRECTORY = resolve(DATA_REPO_PATH, 'images');
+
+// Leading bytes of the formats Commerce accepts
+const SIGNATURES = [
+  { type: 'image/png', matches: (bytes) => bytes.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47])) },
+  { type: 'image/jpeg', matches: (bytes) => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { type: 'image/gif', matches: (bytes) => bytes.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { type: 'image/webp', matches: (bytes) => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+
+/**
+ * MIME type from the image's leading bytes (null when it isn't a supported format)
+ */
+export function detectMimeType(bytes) {
+  return SIGNATURES.find(signature => signature.matches(bytes))?.type || null;
+}
+
+/**
+ * Content hash of the image bytes (same for inline and file sources)
+ */
+export function hashImageBytes(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * Absolute path for an entry's "path" (relative paths are resolved against the data repo)
+ */
+export function resolveImagePath(path) {
+  return isAbsolute(path) ? path : resolve(DATA_REPO_PATH, path);
+}
+
+/**
+ * Image bytes for an entry, from inline base64 or its file path
+ */
+function readImageBytes(entry) {
+  if (entry.content?.base64_encoded_data) {
+    return Buffer.from(entry.content.base64_encoded_data, 'base64');
+  }
+  if (entry.path) {
+    const filePath = resolveImagePath(entry.path);
+    if (!existsSync(filePath)) {
+      throw new Error(`Image file not found: ${entry.path}`);
+    }
+    return readFileSync(filePath);
+  }
+  throw new Error('Missing image content (no base64_encoded_data or path)');
+}
+
+/**
+ * File name an entry uploads as
+ */
+export function imageName(entry, fallback) {
+  return entry.content?.name || (entry.path ? basename(entry.path) : fallback);
+}
+
+/**
+ * Hash an entry's image, or explain why it can't be read
+ * @returns {{hash: string|null, error: string|null}}
+ */
+export function describeImageSource(entry) {
+  try {
+    return { hash: hashImageBytes(readImageBytes(entry)), error: null };
+  } catch (error) {
+    return { hash: null, error: error.message };
+  }
+}
+
+/**
+ * Read and encode an entry's image for the media API, detecting its MIME type
+ * @returns {{base64_encoded_data: string, type: string, name: string}}
+ */
+export function prepareImageContent(entry) {
+  const bytes = readImageBytes(entry);
+  const name = imageName(entry, 'image');
+
+  if (bytes.length === 0) {
+    throw new Error(`Image ${name} is empty`);
+  }
+
+  const type = detectMimeType(bytes);
+  if (!type) {
+    throw new Error(`Image ${name} is not a PNG, JPEG, GIF or WebP file`);
+  }
+
+  return {
+    base64_encoded_data: entry.content?.base64_encoded_data || bytes.toString('base64'),
+    type,
+    name
+  };
+}
+
+/**
+ * Reject content over COMMERCE_CONFIG.images.maxSizeMb (checked after any preprocessing)
+ */
+export function assertImageSize(content) {
+  const size = Buffer.byteLength(content.base64_encoded_data, 'base64');
+  const maxBytes = COMMERCE_CONFIG.images.maxSizeMb * 1024 * 1024;
+  if (size > maxBytes) {
+    const sizeMb = (size / 1024 / 1024).toFixed(1);
+    throw new Error(`Image ${content.name} is ${sizeMb} MB (limit ${COMMERCE_CONFIG.images.maxSizeMb} MB, set IMAGE_MAX_SIZE_MB to change)`);
+  }
+}
+
+/**
+ * Products with an images/<sku>/ directory, and their gallery entries
+ * @returns {Map<string, Array<{path: string}>>}
+ */
+export function loadImageDirectories() {
+  const products = new Map();
+  if (!existsSync(IMAGE_DIRECTORY)) return products;
+
+  for (const sku of readdirSync(IMAGE_DIRECTORY).sort()) {
+    const directory = resolve(IMAGE_DIRECTORY, sku);
+    if (!statSync(directory).isDirectory()) continue;
+
+    const files = readdirSync(directory)
+      .filter(file => IMAGE_EXTENSIONS.includes(extname(file).toLowerCase()))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    if (files.length > 0) {
+      products.set(sku, files.map(file => ({ path: relative(DATA_REPO_PATH, resolve(directory, file)) })));
+    }
+  }
+
+  return products;
+}
@@ -0,0 +1,1748 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Commerce REST Stand-in
+ * In-memory implementation of the Commerce REST endpoints used by the importers,
+ * delete-all.js and SmartDetector, so the full import/delete pipeline and its
+ * idempotency logic can run in CI without a live instance.
+ *
+ * Start standalone:  npm run offline:commerce
+ * Point the scripts at it:  COMMERCE_OFFLINE=true npm run import:commerce
+ *
+ * Seeds the same baseline a fresh Commerce install has (Main Website, Root Catalog,
+ * Default Category, system customer groups, default source, public shared catalog)
+ * plus the project's website / store / store view from project.json and the other
+ * websites named in accs_stores.json, since websites cannot be created via REST.
+ *
+ * Like Commerce, it can't delete customer attributes over REST. For a clean slate,
+ * reset the state instead: SIGHUP to the standalone server, or reset() when embedded.
+ */
+
+import { fileURLToPath } from 'url';
+import { randomBytes } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+import { COMMERCE_CONFIG, PROJECT_CONFIG, DATA_REPO_PATH } from '../../shared/config-loader.js';
+import {
+  HttpError,
+  noSuchEntity,
+  createRouter,
+  parseSearchCriteria,
+  applySearchCriteria,
+  startServer
+} from '../../shared/offline-http.js';
+
+// Every REST route accepts an optional store scope: /rest/V1/..., /rest/all/V1/..., /rest/<store>/V1/...
+const REST = '^/rest(?:/(?<scope>[\\w-]+))?/V1';
+const route = (path) => new RegExp(`${REST}${path}$`);
+
+/**
+ * Build the seeded in-memory state
+ */
+export function createOfflineCommerceState() {
+  const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+
+  const state = {
+    sequences: { stock: 2, product: 1, category: 3, attribute: 500, option: 1000, attributeSet: 10, attributeGroup: 100, customerGroup: 4, customer: 1, media: 1, bundleOption: 1, cmsBlock: 1, website: 3, storeGroup: 3, storeView: 3, sharedCatalog: 2, company: 1, companyRole: 1, companyTeam: 1, companyStructure: 1 },
+    tokens: new Set(),
+    websites: [
+      { id: 0, code: 'admin', name: 'Admin', default_group_id: 0 },
+      { id: 1, code: 'base', name: 'Main Website', default_group_id: 1 }
+    ],
+    storeGroups: [
+      { id: 0, website_id: 0, root_category_id: 0, default_store_id: 0, name: 'Default', code: 'default' },
+      { id: 1, website_id: 1, root_category_id: 2, default_store_id: 1, name: 'Main Website Store', code: 'main_website_store' }
+    ],
+    storeViews: [
+      { id: 0, code: 'admin', name: 'Admin', website_id: 0, store_group_id: 0, is_active: 1 },
+      { id: 1, code: 'default', name: 'Default Store View', website_id: 1, store_group_id: 1, is_active: 1 }
+    ],
+    categories: new Map([
+      [1, { id: 1, parent_id: 0, name: 'Root Catalog', is_active: true, position: 0, level: 0, path: '1', include_in_menu: true, custom_attributes: [], created_at: now, updated_at: now }],
+      [2, { id: 2, parent_id: 1, name: 'Default Category', is_active: true, position: 1, level: 1, path: '1/2', include_in_menu: true, custom_attributes: [{ attribute_code: 'url_key', value: 'default-category' }], created_at: now, updated_at: now }]
+    ]),
+    categoryScopes: new Map(), // `${storeViewCode}:${id}` → store-view overlay
+    cmsBlocks: new Map(),
+    customerGroups: new Map([
+      [0, { id: 0, code: 'NOT LOGGED IN', tax_class_id: 3, tax_class_name: 'Retail Customer' }],
+      [1, { id: 1, code: 'General', tax_class_id: 3, tax_class_name: 'Retail Customer' }],
+      [2, { id: 2, code: 'Wholesale', tax_class_id: 3, tax_class_name: 'Retail Customer' }],
+      [3, { id: 3, code: 'Retailer', tax_class_id: 3, tax_class_name: 'Retail Customer' }]
+    ]),
+    attributes: new Map(),
+    attributeSets: new Map([
+      [4, { attribute_set_id: 4, attribute_set_name: 'Default', sort_order: 1, entity_type_id: 4 }]
+    ]),
+    attributeGroups: new Map([
+      [7, { attribute_group_id: 7, attribute_group_name: 'Product Details', attribute_set_id: 4 }]
+    ]),
+    setAttributes: new Map([[4, new Map()]]), // attribute_set_id → Map(attribute_code → attribute_group_id)
+    products: new Map(),
+    productScopes: new Map(),
+    sources: new Map([['default', { source_code: 'default', name: 'Default Source', enabled: true, country_id: 'US', postcode: '00000' }]]),
+    stocks: new Map([
+      [1, { stock_id: 1, name: 'Default Stock', extension_attributes: { sales_channels: [{ type: 'website', code: 'base' }] } }]
+    ]),
+    stockSourceLinks: [{ stock_id: 1, source_code: 'default', priority: 1 }],
+    sourceItems: new Map(),
+    specialPrices: new Map(), // `${sku}|${store_id}` → special price
+    customers: new Map(),
+    customerAttributes: new Map(),
+    sharedCatalogs: new Map([
+      [1, { id: 1, name: 'Default (General)', description: 'Default shared catalog', customer_group_id: 0, type: 1, tax_class_id: 3, categories: new Set(), products: new Set(), companies: new Set() }]
+    ]),
+    companies: new Map(),
+    companyRoles: new Map(),
+    companyTeams: new Map(), // team id → { id, name, description, company_id }
+    companyStructure: new Map(), // structure id → { structure_id, entity_id, entity_type, structure_parent_id, company_id }
+    companyUserRoles: new Map() // customer id → role id
+  };
+
+  // Project topology from project.json (REST cannot create websites)
+  if (PROJECT_CONFIG.websiteCode && PROJECT_CONFIG.websiteCode !== 'base') {
+    state.websites.push({ id: 2, code: PROJECT_CONFIG.websiteCode, name: PROJECT_CONFIG.displayName || PROJECT_CONFIG.name || PROJECT_CONFIG.websiteCode, default_group_id: 2 });
+    state.storeGroups.push({ id: 2, website_id: 2, root_category_id: 2, default_store_id: 2, name: `${PROJECT_CONFIG.displayName || PROJECT_CONFIG.name || 'Project'} Store`, code: PROJECT_CONFIG.storeCode || 'project_store' });
+    state.storeViews.push({ id: 2, code: PROJECT_CONFIG.storeViewCode || 'project_view', name: `${PROJECT_CONFIG.displayName || PROJECT_CONFIG.name || 'Project'} Store View`, website_id: 2, store_group_id: 2, is_active: 1 });
+  }
+
+  // Further websites from the stores datapack (their groups and views are created by the importer)
+  const storesPath = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_stores.json');
+  if (existsSync(storesPath)) {
+    for (const row of JSON.parse(readFileSync(storesPath, 'utf-8'))) {
+      if (!row.site_code || state.websites.some(website => website.code === row.site_code)) continue;
+      state.websites.push({ id: state.sequences.website++, code: row.site_code, name: row.site_name || row.site_code, default_group_id: 0 });
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Commerce-style url_key slug
+ */
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Merge custom_attributes arrays by attribute_code (later wins)
+ */
+function mergeCustomAttributes(existing = [], incoming = []) {
+  const merged = new Map(existing.map(attr => [attr.attribute_code, attr]));
+  for (const attr of incoming) {
+    merged.set(attr.attribute_code, { attribute_code: attr.attribute_code, value: attr.value });
+  }
+  return Array.from(merged.values());
+}
+
+// Product attributes that point at a gallery file
+const IMAGE_ROLES = ['image', 'small_image', 'thumbnail', 'swatch_image'];
+
+function getCustomAttribute(entity, code) {
+  return entity.custom_attributes?.find(attr => attr.attribute_code === code)?.value;
+}
+
+/**
+ * Register all Commerce routes against the state
+ */
+function registerRoutes(router, state, credentials) {
+  const storeViewByCode = (code) => state.storeViews.find(view => view.code === code);
+
+  const requireProduct = (sku) => {
+    const product = state.products.get(sku);
+    if (!product) {
+      throw new HttpError(404, "The product that was requested doesn't exist. Verify the product and try again.");
+    }
+    return product;
+  };
+
+  const requireCategory = (id) => {
+    const category = state.categories.get(Number(id));
+    if (!category) throw noSuchEntity('id', id);
+    return category;
+  };
+
+  const assertUniqueUrlKey = (entities, urlKey, ignoreId) => {
+    if (!urlKey) return;
+    for (const entity of entities) {
+      if (entity.id !== ignoreId && getCustomAttribute(entity, 'url_key') === urlKey) {
+        throw new HttpError(400, 'URL key for specified store already exists.');
+      }
+    }
+  };
+
+  const childrenOf = (parentId) =>
+    Array.from(state.categories.values())
+      .filter(category => category.parent_id === parentId)
+      .sort((a, b) => a.position - b.position);
+
+  const productCountFor = (categoryId) =>
+    Array.from(state.products.values())
+      .filter(product => product.extension_attributes.category_links?.some(link => Number(link.category_id) === categoryId))
+      .length;
+
+  const categoryListItem = (category) => ({
+    ...category,
+    children: childrenOf(category.id).map(child => child.id).join(',')
+  });
+
+  const scopedCategory = (category, scope) => {
+    const overlay = scope && scope !== 'all' ? state.categoryScopes.get(`${scope}:${category.id}`) : null;
+    if (!overlay) return category;
+    return {
+      ...category,
+      ...overlay,
+      custom_attributes: mergeCustomAttributes(category.custom_attributes, overlay.custom_attributes)
+    };
+  };
+
+  const categoryTreeNode = (category, depth) => ({
+    id: category.id,
+    parent_id: category.parent_id,
+    name: category.name,
+    is_active: category.is_active,
+    position: category.position,
+    level: category.level,
+    product_count: productCountFor(category.id),
+    children_data: depth === 0 ? [] : childrenOf(category.id).map(child => categoryTreeNode(child, depth - 1))
+  });
+
+  const scopedProduct = (product, scope) => {
+    const overlay = scope && scope !== 'all' ? state.productScopes.get(`${scope}:${product.sku}`) : null;
+    if (!overlay) return { ...product, media_gallery_entries: galleryWithRoles(product) };
+    const scoped = {
+      ...product,
+      ...overlay,
+      custom_attributes: mergeCustomAttributes(product.custom_attributes, overlay.custom_attributes)
+    };
+    return { ...scoped, media_gallery_entries: galleryWithRoles(scoped) };
+  };
+
+  // Like Commerce, an entry's types are the image roles whose attribute points at its file
+  const galleryWithRoles = (product) => (product.media_gallery_entries || []).map(entry => ({
+    ...entry,
+    types: IMAGE_ROLES.filter(role => getCustomAttribute(product, role) === entry.file)
+  }));
+
+  const assignImageRoles = (product, file, types, previousTypes = []) => {
+    const cleared = previousTypes.filter(role => !types.includes(role) && getCustomAttribute(product, role) === file);
+    product.custom_attributes = mergeCustomAttributes(product.custom_attributes, [
+      ...types.filter(role => IMAGE_ROLES.includes(role)).map(role => ({ attribute_code: role, value: file })),
+      ...cleared.map(role => ({ attribute_code: role, value: 'no_selection' }))
+    ]);
+  };
+
+  const writeProduct = (input, scope, existingSku = null) => {
+    const sku = existingSku || input.sku;
+    if (!sku) throw new HttpError(400, 'The "sku" attribute is required.');
+
+    const existing = state.products.get(sku);
+    const storeView = scope && scope !== 'all' ? storeViewByCode(scope) : null;
+
+    // Store-view scoped writes only touch the overlay for that view
+    if (existing && storeView) {
+      const overlayKey = `${scope}:${sku}`;
+      const overlay = state.productScopes.get(overlayKey) || {};
+      const { custom_attributes: customAttributes, ...fields } = input;
+      for (const key of ['name', 'status', 'visibility', 'price']) {
+        if (fields[key] !== undefined) overlay[key] = fields[key];
+      }
+      overlay.custom_attributes = mergeCustomAttributes(overlay.custom_attributes, customAttributes || []);
+      state.productScopes.set(overlayKey, overlay);
+      return scopedProduct(existing, scope);
+    }
+
+    const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    const urlKey = getCustomAttribute(input, 'url_key') || (existing ? null : `${slugify(input.name || sku)}`);
+    assertUniqueUrlKey(state.products.values(), urlKey, existing?.id);
+
+    const base = existing || {
+      id: state.sequences.product++,
+      sku,
+      attribute_set_id: 4,
+      type_id: 'simple',
+      status: 1,
+      visibility: 4,
+      created_at: now,
+      extension_attributes: { website_ids: [1], category_links: [] },
+      product_links: [],
+      options: [],
+      media_gallery_entries: [],
+      tier_prices: [],
+      custom_attributes: []
+    };
+
+    const { extension_attributes: extension = {}, custom_attributes: customAttributes = [], ...fields } = input;
+    const product = {
+      ...base,
+      ...fields,
+      sku,
+      updated_at: now,
+      extension_attributes: { ...base.extension_attributes, ...extension },
+      custom_attributes: mergeCustomAttributes(base.custom_attributes, customAttributes)
+    };
+
+    if (urlKey && !getCustomAttribute(product, 'url_key')) {
+      product.custom_attributes.push({ attribute_code: 'url_key', value: urlKey });
+    }
+
+    state.products.set(sku, product);
+    return product;
+  };
+
+  const productField = (product, field) => {
+    if (field === 'category_id') {
+      return (product.extension_attributes.category_links || []).map(link => link.category_id);
+    }
+    if (field === 'website_ids' || field === 'website_id') {
+      return product.extension_attributes.website_ids || [];
+    }
+    if (field in product) return product[field];
+    return getCustomAttribute(product, field);
+  };
+
+  // ==================== Authentication ====================
+
+  router.add('POST', route('/integration/admin/token'), ({ body }) => {
+    if (body?.username !== credentials.username || body?.password !== credentials.password) {
+      throw new HttpError(401, 'The account sign-in was incorrect or your account is disabled temporarily. Please wait and try again later.');
+    }
+    const token = randomBytes(16).toString('hex');
+    state.tokens.add(token);
+    return token;
+  });
+
+  // ==================== Websites & Stores ====================
+
+  router.add('GET', route('/store/websites'), () => state.websites);
+  router.add('GET', route('/store/storeGroups'), () => state.storeGroups);
+  router.add('GET', route('/store/storeViews'), () => state.storeViews);
+
+  router.add('POST', route('/store/storeGroups'), ({ body }) => {
+    const input = body?.storeGroup || body?.group || {};
+    if (!state.websites.some(website => website.id === Number(input.website_id))) throw noSuchEntity('website_id', input.website_id);
+    if (state.storeGroups.some(group => group.code === input.code)) throw new HttpError(400, 'Group with the same code already exists.');
+    const group = { id: state.sequences.storeGroup++, website_id: Number(input.website_id), root_category_id: Number(input.root_category_id ?? 2), default_store_id: 0, name: input.name, code: input.code };
+    state.storeGroups.push(group);
+    const website = state.websites.find(w => w.id === group.website_id);
+    if (!website.default_group_id) website.default_group_id = group.id;
+    return group;
+  });
+
+  router.add('POST', route('/store/storeViews'), ({ body }) => {
+    const input = body?.storeView || {};
+    const group = state.storeGroups.find(g => g.id === Number(input.store_group_id));
+    if (!group) throw noSuchEntity('store_group_id', input.store_group_id);
+    if (state.storeViews.some(view => view.code === input.code)) throw new HttpError(400, 'Store with the same code already exists.');
+    const view = { id: state.sequences.storeView++, code: input.code, name: input.name, website_id: group.website_id, store_group_id: group.id, is_active: input.is_active ? 1 : 0 };
+    state.storeViews.push(view);
+    if (!group.default_store_id) group.default_store_id = view.id;
+    return view;
+  });
+
+  // The admin scope and the Main Website's default store structure can't be deleted
+  const requireDeletable = (items, id, field) => {
+    const item = items.find(entry => entry.id === Number(id));
+    if (!item) throw noSuchEntity(field, id);
+    if (item.id <= 1) throw new HttpError(400, 'The default %1 cannot be deleted.', { 1: field.replace(/_id$/, '') });
+    return item;
+  };
+
+  const removeStoreViews = (predicate) => {
+    state.storeViews = state.storeViews.filter(view => !predicate(view));
+  };
+
+  router.add('DELETE', route('/store/storeViews/(?<id>\\d+)'), ({ params }) => {
+    const view = requireDeletable(state.storeViews, params.id, 'store_id');
+    removeStoreViews(item => item.id === view.id);
+    for (const group of state.storeGroups) {
+      if (group.default_store_id === view.id) group.default_store_id = 0;
+    }
+    return true;
+  });
+
+  router.add('DELETE', route('/store/storeGroups/(?<id>\\d+)'), ({ params }) => {
+    const group = requireDeletable(state.storeGroups, params.id, 'group_id');
+    removeStoreViews(view => view.store_group_id === group.id);
+    state.storeGroups = state.storeGroups.filter(item => item.id !== group.id);
+    for (const website of state.websites) {
+      if (website.default_group_id === group.id) website.default_group_id = 0;
+    }
+    return true;
+  });
+
+  router.add('DELETE', route('/store/websites/(?<id>\\d+)'), ({ params }) => {
+    const website = requireDeletable(state.websites, params.id, 'website_id');
+    removeStoreViews(view => view.website_id === website.id);
+    state.storeGroups = state.storeGroups.filter(group => group.website_id !== website.id);
+    state.websites = state.websites.filter(item => item.id !== website.id);
+    return true;
+  });
+
+  router.add('GET', route('/store/storeConfigs'), () =>
+    state.storeViews.map(view => ({
+      id: view.id,
+      code: view.code,
+      website_id: view.website_id,
+      locale: 'en_US',
+      base_currency_code: 'USD',
+      default_display_currency_code: 'USD',
+      timezone: 'America/Los_Angeles',
+      weight_unit: 'lbs',
+      base_url: `http://localhost/${view.code}/`,
+      secure_base_url: `https://localhost/${view.code}/`
+    }))
+  );
+
+  // ==================== Customer Groups ====================
+
+  router.add('GET', route('/customerGroups/search'), ({ query }) =>
+    applySearchCriteria(Array.from(state.customerGroups.values()), parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/customerGroups'), ({ body }) => {
+    const group = body?.group || {};
+    if (!group.code) throw new HttpError(400, '"code" is required. Enter and try again.');
+    if (Array.from(state.customerGroups.values()).some(existing => existing.code === group.code)) {
+      throw new HttpError(400, 'Customer Group already exists.');
+    }
+    const created = { id: state.sequences.customerGroup++, code: group.code, tax_class_id: group.tax_class_id ?? 3, tax_class_name: 'Retail Customer' };
+    state.customerGroups.set(created.id, created);
+    return created;
+  });
+
+  router.add('GET', route('/customerGroups/(?<id>\\d+)'), ({ params }) => {
+    const group = state.customerGroups.get(Number(params.id));
+    if (!group) throw noSuchEntity('id', params.id);
+    return group;
+  });
+
+  router.add('DELETE', route('/customerGroups/(?<id>\\d+)'), ({ params }) => {
+    const id = Number(params.id);
+    if (id <= 3) throw new HttpError(400, 'Cannot delete group.');
+    if (!state.customerGroups.delete(id)) throw noSuchEntity('id', params.id);
+    return true;
+  });
+
+  // ==================== Product Attributes ====================
+
+  router.add('GET', route('/products/attributes'), ({ query }) =>
+    applySearchCriteria(Array.from(state.attributes.values()), parseSearchCriteria(query))
+  );
+
+  router.add('GET', route('/products/attributes/(?<code>[\\w-]+)'), ({ params }) => {
+    const attribute = state.attributes.get(params.code);
+    if (!attribute) throw noSuchEntity('attributeCode', params.code);
+    // Like Commerce, option store labels are only readable per store view (see /options)
+    return { ...attribute, options: attribute.options.map(({ store_labels: storeLabels, ...option }) => option) };
+  });
+
+  router.add('POST', route('/products/attributes'), ({ body }) => {
+    const input = body?.attribute || {};
+    if (!input.attribute_code) throw new HttpError(400, 'The attribute code is required.');
+    if (state.attributes.has(input.attribute_code)) {
+      throw new HttpError(400, 'An attribute with this code already exists.');
+    }
+
+    const options = [{ label: ' ', value: '' }];
+    for (const option of input.options || []) {
+      options.push({ label: option.label, value: String(state.sequences.option++), sort_order: option.sort_order ?? 0, is_default: Boolean(option.is_default) });
+    }
+
+    const attribute = {
+      ...input,
+      attribute_id: state.sequences.attribute++,
+      is_user_defined: true,
+      default_frontend_label: input.default_frontend_label || input.frontend_labels?.[0]?.label || input.attribute_code,
+      options
+    };
+    state.attributes.set(attribute.attribute_code, attribute);
+    return attribute;
+  });
+
+  router.add('GET', route('/products/attributes/(?<code>[\\w-]+)/options'), ({ params }) => {
+    const attribute = state.attributes.get(params.code);
+    if (!attribute) throw noSuchEntity('attributeCode', params.code);
+
+    // A store view shows its own option label, falling back to the admin label
+    const storeView = params.scope && params.scope !== 'all' ? storeViewByCode(params.scope) : null;
+    return attribute.options.map(({ store_labels: storeLabels = [], ...option }) => {
+      const storeLabel = storeView && storeLabels.find(label => Number(label.store_id) === storeView.id)?.label;
+      return storeLabel ? { ...option, label: storeLabel } : option;
+    });
+  });
+
+  router.add('POST', route('/products/attributes/(?<code>[\\w-]+)/options'), ({ params, body }) => {
+    const attribute = state.attributes.get(params.code);
+    if (!attribute) throw noSuchEntity('attributeCode', params.code);
+
+    const option = body?.option || {};
+    if (attribute.options.some(existing => existing.label === option.label)) {
+      throw new HttpError(400, `Admin store attribute option label "${option.label}" is already exists.`);
+    }
+
+    const value = String(state.sequences.option++);
+    attribute.options.push({ label: option.label, value, sort_order: option.sort_order ?? 0, is_default: Boolean(option.is_default), store_labels: option.store_labels || [] });
+    return `id_${value}`;
+  });
+
+  router.add('PUT', route('/products/attributes/(?<code>[\\w-]+)'), ({ params, body }) => {
+    const attribute = state.attributes.get(params.code);
+    if (!attribute) throw noSuchEntity('attributeCode', params.code);
+
+    const input = body?.attribute || {};
+    if (input.frontend_labels) attribute.frontend_labels = input.frontend_labels;
+    if (input.default_frontend_label) attribute.default_frontend_label = input.default_frontend_label;
+
+    // Options are matched by value (option ID); store labels replace the existing ones
+    for (const option of input.options || []) {
+      const existing = attribute.options.find(current => current.value !== '' && current.value === String(option.value));
+      if (existing && option.store_labels) existing.store_labels = option.store_labels;
+    }
+    return attribute;
+  });
+
+  router.add('DELETE', route('/products/attributes/(?<code>[\\w-]+)'), ({ params }) => {
+    if (!state.attributes.delete(params.code)) throw noSuchEntity('attributeCode', params.code);
+    for (const assignments of state.setAttributes.values()) assignments.delete(params.code);
+    return true;
+  });
+
+  // ==================== Attribute Sets ====================
+
+  const requireAttributeSet = (id) => {
+    const set = state.attributeSets.get(Number(id));
+    if (!set) throw noSuchEntity('id', id);
+    return set;
+  };
+
+  router.add('GET', route('/products/attribute-sets/sets/list'), ({ query }) =>
+    applySearchCriteria(Array.from(state.attributeSets.values()), parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/products/attribute-sets'), ({ body }) => {
+    const input = body?.attributeSet || {};
+    if (!input.attribute_set_name) throw new HttpError(400, 'The attribute set name is empty. Enter the name and try again.');
+    if (Array.from(state.attributeSets.values()).some(set => set.attribute_set_name === input.attribute_set_name)) {
+      throw new HttpError(400, `An attribute set named "${input.attribute_set_name}" already exists.`);
+    }
+    const skeletonId = Number(body.skeletonId);
+    requireAttributeSet(skeletonId);
+
+    const set = {
+      attribute_set_id: state.sequences.attributeSet++,
+      attribute_set_name: input.attribute_set_name,
+      sort_order: input.sort_order ?? 0,
+      entity_type_id: 4
+    };
+    state.attributeSets.set(set.attribute_set_id, set);
+
+    // New sets start as a copy of the skeleton's groups and assignments
+    const groupIdMap = new Map();
+    for (const group of Array.from(state.attributeGroups.values()).filter(group => group.attribute_set_id === skeletonId)) {
+      const copy = { ...group, attribute_group_id: state.sequences.attributeGroup++, attribute_set_id: set.attribute_set_id };
+      state.attributeGroups.set(copy.attribute_group_id, copy);
+      groupIdMap.set(group.attribute_group_id, copy.attribute_group_id);
+    }
+    const assignments = new Map();
+    for (const [code, groupId] of state.setAttributes.get(skeletonId)) {
+      assignments.set(code, groupIdMap.get(groupId));
+    }
+    state.setAttributes.set(set.attribute_set_id, assignments);
+    return set;
+  });
+
+  router.add('DELETE', route('/products/attribute-sets/(?<id>\\d+)'), ({ params }) => {
+    const id = Number(params.id);
+    requireAttributeSet(id);
+    if (id === 4) throw new HttpError(400, "The default attribute set can't be deleted.");
+
+    state.attributeSets.delete(id);
+    state.setAttributes.delete(id);
+    for (const [groupId, group] of state.attributeGroups) {
+      if (group.attribute_set_id === id) state.attributeGroups.delete(groupId);
+    }
+    // Commerce moves products of a deleted set back to the default set
+    for (const product of state.products.values()) {
+      if (Number(product.attribute_set_id) === id) product.attribute_set_id = 4;
+    }
+    return true;
+  });
+
+  router.add('GET', route('/products/attribute-sets/groups/list'), ({ query }) =>
+    applySearchCriteria(Array.from(state.attributeGroups.values()), parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/products/attribute-sets/groups'), ({ body }) => {
+    const input = body?.group || {};
+    const setId = Number(input.attribute_set_id);
+    requireAttributeSet(setId);
+    if (Array.from(state.attributeGroups.values()).some(group => group.attribute_set_id === setId && group.attribute_group_name === input.attribute_group_name)) {
+      throw new HttpError(400, 'Cannot save attributeGroup');
+    }
+
+    const group = { attribute_group_id: state.sequences.attributeGroup++, attribute_group_name: input.attribute_group_name, attribute_set_id: setId };
+    state.attributeGroups.set(group.attribute_group_id, group);
+    return group;
+  });
+
+  router.add('GET', route('/products/attribute-sets/(?<id>\\d+)/attributes'), ({ params }) => {
+    requireAttributeSet(params.id);
+    return Array.from(state.setAttributes.get(Number(params.id)).keys())
+      .map(code => state.attributes.get(code))
+      .filter(Boolean);
+  });
+
+  router.add('POST', route('/products/attribute-sets/attributes'), ({ body }) => {
+    const setId = Number(body?.attributeSetId);
+    requireAttributeSet(setId);
+    const group = state.attributeGroups.get(Number(body?.attributeGroupId));
+    if (!group || group.attribute_set_id !== setId) {
+      throw new HttpError(400, 'The attribute group doesn\'t belong to the attribute set.');
+    }
+    const attribute = state.attributes.get(body?.attributeCode);
+    if (!attribute) throw noSuchEntity('attributeCode', body?.attributeCode);
+
+    state.setAttributes.get(setId).set(attribute.attribute_code, group.attribute_group_id);
+    return attribute.attribute_id;
+  });
+
+  // ==================== Categories ====================
+
+  router.add('GET', route('/categories'), ({ query }) => {
+    const rootId = Number(query.get('rootCategoryId') || 1);
+    const depth = query.has('depth') ? Number(query.get('depth')) : Infinity;
+    return categoryTreeNode(requireCategory(rootId), depth);
+  });
+
+  router.add('GET', route('/categories/list'), ({ query }) =>
+    applySearchCriteria(Array.from(state.categories.values()).map(categoryListItem), parseSearchCriteria(query), (category, field) =>
+      field in category ? category[field] : getCustomAttribute(category, field)
+    )
+  );
+
+  router.add('GET', route('/categories/(?<id>\\d+)'), ({ params }) =>
+    categoryListItem(scopedCategory(requireCategory(params.id), params.scope))
+  );
+
+  router.add('PUT', route('/categories/(?<id>\\d+)'), ({ params, body }) => {
+    const category = requireCategory(params.id);
+    const { id, custom_attributes: customAttributes = [], ...fields } = body?.category || {};
+
+    // Store-view scoped writes only touch the overlay for that view
+    if (params.scope && params.scope !== 'all' && storeViewByCode(params.scope)) {
+      const overlayKey = `${params.scope}:${category.id}`;
+      const overlay = state.categoryScopes.get(overlayKey) || {};
+      for (const key of ['name', 'is_active', 'include_in_menu']) {
+        if (fields[key] !== undefined) overlay[key] = fields[key];
+      }
+      overlay.custom_attributes = mergeCustomAttributes(overlay.custom_attributes, customAttributes);
+      state.categoryScopes.set(overlayKey, overlay);
+      return categoryListItem(scopedCategory(category, params.scope));
+    }
+
+    Object.assign(category, fields, {
+      id: category.id,
+      parent_id: category.parent_id,
+      path: category.path,
+      updated_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
+      custom_attributes: mergeCustomAttributes(category.custom_attributes, customAttributes)
+    });
+    return categoryListItem(category);
+  });
+
+  router.add('POST', route('/categories'), ({ body }) => {
+    const input = body?.category || {};
+    if (!input.name) throw new HttpError(400, 'The "name" attribute value is empty. Set the attribute and try again.');
+
+    const parent = requireCategory(input.parent_id ?? 2);
+    const urlKey = getCustomAttribute(input, 'url_key') || slugify(input.name);
+    const siblings = childrenOf(parent.id);
+    assertUniqueUrlKey(siblings, urlKey, null);
+
+    const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    const id = state.sequences.category++;
+    const category = {
+      ...input,
+      id,
+      parent_id: parent.id,
+      name: input.name,
+      is_active: input.is_active ?? true,
+      position: input.position ?? siblings.length + 1,
+      level: parent.level + 1,
+      path: `${parent.path}/${id}`,
+      include_in_menu: input.include_in_menu ?? true,
+      created_at: now,
+      updated_at: now,
+      custom_attributes: mergeCustomAttributes(input.custom_attributes, getCustomAttribute(input, 'url_key') ? [] : [{ attribute_code: 'url_key', value: urlKey }])
+    };
+    state.categories.set(id, category);
+    return category;
+  });
+
+  router.add('DELETE', route('/categories/(?<id>\\d+)'), ({ params }) => {
+    const category = requireCategory(params.id);
+    if (category.id === 1) {
+      throw new HttpError(400, 'Cannot delete category with id %1', { 1: category.id });
+    }
+
+    // Deleting a category removes its whole subtree and the product links into it
+    const removed = Array.from(state.categories.values()).filter(c => c.path === category.path || c.path.startsWith(`${category.path}/`));
+    for (const c of removed) {
+      state.categories.delete(c.id);
+      for (const key of state.categoryScopes.keys()) {
+        if (key.endsWith(`:${c.id}`)) state.categoryScopes.delete(key);
+      }
+    }
+    const removedIds = new Set(removed.map(c => String(c.id)));
+    for (const product of state.products.values()) {
+      product.extension_attributes.category_links = (product.extension_attributes.category_links || [])
+        .filter(link => !removedIds.has(String(link.category_id)));
+    }
+    for (const catalog of state.sharedCatalogs.values()) {
+      for (const id of removedIds) catalog.categories.delete(Number(id));
+    }
+    return true;
+  });
+
+  router.add('GET', route('/categories/(?<id>\\d+)/products'), ({ params }) => {
+    const category = requireCategory(params.id);
+    return Array.from(state.products.values()).flatMap(product =>
+      (product.extension_attributes.category_links || [])
+        .filter(link => Number(link.category_id) === category.id)
+        .map(link => ({ sku: product.sku, position: Number(link.position ?? 0), category_id: String(category.id) }))
+    );
+  });
+
+  // POST assigns a product, PUT updates its position (both upsert, like Commerce)
+  const assignCategoryProduct = ({ params, body }) => {
+    const category = requireCategory(params.id);
+    const { sku, position = 0 } = body?.productLink || {};
+    const product = requireProduct(sku);
+    const links = product.extension_attributes.category_links || [];
+    const link = links.find(existing => Number(existing.category_id) === category.id);
+    if (link) {
+      link.position = Number(position);
+    } else {
+      links.push({ category_id: String(category.id), position: Number(position) });
+    }
+    product.extension_attributes.category_links = links;
+    return true;
+  };
+  router.add('POST', route('/categories/(?<id>\\d+)/products'), assignCategoryProduct);
+  router.add('PUT', route('/categories/(?<id>\\d+)/products'), assignCategoryProduct);
+
+  router.add('PUT', route('/categories/(?<id>\\d+)/move'), ({ params, body }) => {
+    const category = requireCategory(params.id);
+    const parent = requireCategory(body?.parentId);
+    if (parent.id === category.id || parent.path.startsWith(`${category.path}/`)) {
+      throw new HttpError(400, 'Operation do not allow to move a parent category to any of children category');
+    }
+
+    const siblings = childrenOf(parent.id).filter(child => child.id !== category.id);
+    assertUniqueUrlKey(siblings, getCustomAttribute(category, 'url_key'), category.id);
+
+    // afterId 0 means first, a missing afterId means last
+    const afterId = body.afterId === undefined || body.afterId === null ? siblings.at(-1)?.id : Number(body.afterId);
+    const index = afterId ? siblings.findIndex(child => child.id === afterId) + 1 : 0;
+    siblings.splice(index, 0, category);
+
+    // Re-root the moved subtree under the new parent's path
+    const oldPath = category.path;
+    const newPath = `${parent.path}/${category.id}`;
+    const levelShift = parent.level + 1 - category.level;
+    for (const c of state.categories.values()) {
+      if (c.path === oldPath || c.path.startsWith(`${oldPath}/`)) {
+        c.path = newPath + c.path.slice(oldPath.length);
+        c.level += levelShift;
+      }
+    }
+    category.parent_id = parent.id;
+    siblings.forEach((child, position) => { child.position = position + 1; });
+    return true;
+  });
+
+  // ==================== CMS Blocks ====================
+
+  router.add('GET', route('/cmsBlock/search'), ({ query }) =>
+    applySearchCriteria(Array.from(state.cmsBlocks.values()), parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/cmsBlock'), ({ body }) => {
+    const block = body?.block || {};
+    if (!block.identifier) throw new HttpError(400, 'The "identifier" value is required.');
+    if (Array.from(state.cmsBlocks.values()).some(existing => existing.identifier === block.identifier)) {
+      throw new HttpError(400, 'A block identifier with the same properties already exists in the selected store.');
+    }
+    const created = { active: true, content: '', ...block, id: state.sequences.cmsBlock++ };
+    state.cmsBlocks.set(created.id, created);
+    return created;
+  });
+
+  // ==================== Products ====================
+
+  router.add('GET', route('/products'), ({ params, query }) => {
+    const products = Array.from(state.products.values()).map(product => scopedProduct(product, params.scope));
+    return applySearchCriteria(products, parseSearchCriteria(query), productField);
+  });
+
+  router.add('GET', route('/products/(?<sku>[^/]+)'), ({ params }) => scopedProduct(requireProduct(params.sku), params.scope));
+
+  router.add('POST', route('/products'), ({ params, body }) => {
+    if (!body?.product) throw new HttpError(400, 'The "product" value is required.');
+    return writeProduct(body.product, params.scope);
+  });
+
+  router.add('PUT', route('/products/(?<sku>[^/]+)'), ({ params, body }) => {
+    if (!body?.product) throw new HttpError(400, 'The "product" value is required.');
+    requireProduct(params.sku);
+    return writeProduct(body.product, params.scope, params.sku);
+  });
+
+  router.add('DELETE', route('/products/(?<sku>[^/]+)'), ({ params }) => {
+    requireProduct(params.sku);
+    state.products.delete(params.sku);
+    for (const catalog of state.sharedCatalogs.values()) catalog.products.delete(params.sku);
+    for (const key of state.productScopes.keys()) {
+      if (key.endsWith(`:${params.sku}`)) state.productScopes.delete(key);
+    }
+    for (const key of state.sourceItems.keys()) {
+      if (key.startsWith(`${params.sku}|`)) state.sourceItems.delete(key);
+    }
+    for (const key of state.specialPrices.keys()) {
+      if (key.startsWith(`${params.sku}|`)) state.specialPrices.delete(key);
+    }
+    for (const product of state.products.values()) {
+      product.product_links = (product.product_links || []).filter(link => link.linked_product_sku !== params.sku);
+      for (const option of product.extension_attributes.bundle_product_options || []) {
+        option.product_links = option.product_links.filter(link => link.sku !== params.sku);
+      }
+    }
+    return true;
+  });
+
+  // ==================== Product Links ====================
+
+  const LINK_TYPES = ['related', 'upsell', 'crosssell', 'associated'];
+
+  router.add('GET', route('/products/(?<sku>[^/]+)/links/(?<type>\\w+)'), ({ params }) => {
+    const product = requireProduct(params.sku);
+    return (product.product_links || []).filter(link => link.link_type === params.type);
+  });
+
+  router.add('POST', route('/products/(?<sku>[^/]+)/links'), ({ params, body }) => {
+    const product = requireProduct(params.sku);
+    const links = [...(product.product_links || [])];
+
+    for (const item of body?.items || []) {
+      if (!LINK_TYPES.includes(item.link_type)) {
+        throw new HttpError(400, 'Provided link type "%1" does not exist', { 1: item.link_type });
+      }
+      const linked = state.products.get(item.linked_product_sku);
+      if (!linked) {
+        throw new HttpError(404, 'Requested product doesn\'t exist');
+      }
+      if (item.link_type === 'associated' && product.type_id !== 'grouped') {
+        throw new HttpError(400, 'Associated links are only supported for grouped products.');
+      }
+      const link = {
+        sku: product.sku,
+        link_type: item.link_type,
+        linked_product_sku: linked.sku,
+        linked_product_type: linked.type_id,
+        position: Number(item.position ?? 0),
+        ...(item.extension_attributes && { extension_attributes: item.extension_attributes })
+      };
+      const index = links.findIndex(current => current.link_type === link.link_type && current.linked_product_sku === link.linked_product_sku);
+      if (index >= 0) {
+        links[index] = link;
+      } else {
+        links.push(link);
+      }
+    }
+
+    product.product_links = links;
+    return true;
+  });
+
+  router.add('DELETE', route('/products/(?<sku>[^/]+)/links/(?<type>\\w+)/(?<linkedSku>[^/]+)'), ({ params }) => {
+    const product = requireProduct(params.sku);
+    const linkedSku = params.linkedSku;
+    const before = (product.product_links || []).length;
+    product.product_links = (product.product_links || []).filter(link =>
+      !(link.link_type === params.type && link.linked_product_sku === linkedSku)
+    );
+    if (product.product_links.length === before) {
+      throw new HttpError(404, 'Product %1 doesn\'t have linked %2 as %3', { 1: product.sku, 2: linkedSku, 3: params.type });
+    }
+    return true;
+  });
+
+  // ==================== Advanced Pricing ====================
+
+  const customerGroupByCode = (code) =>
+    Array.from(state.customerGroups.values()).find(group => group.code.toLowerCase() === String(code).toLowerCase());
+
+  router.add('POST', route('/products/tier-prices-information'), ({ body }) =>
+    (body?.skus || []).flatMap(sku => (state.products.get(sku)?.tier_prices || []).map(price => ({ ...price, sku })))
+  );
+
+  router.add('POST', route('/products/tier-prices'), ({ body }) => {
+    const errors = [];
+    for (const input of body?.prices || []) {
+      const product = state.products.get(input.sku);
+      if (!product) {
+        errors.push({ message: 'Requested product doesn\'t exist: %sku', parameters: [input.sku] });
+        continue;
+      }
+      const group = String(input.customer_group).toUpperCase() === 'ALL GROUPS' ? { code: 'ALL GROUPS' } : customerGroupByCode(input.customer_group);
+      if (!group) {
+        errors.push({ message: 'No such entity with Customer Group = %customerGroup. Row ID: SKU = %SKU, Website ID: %websiteId, Customer Group: %customerGroup, Quantity: %qty.', parameters: [input.customer_group, input.sku, String(input.website_id), input.customer_group, String(input.quantity)] });
+        continue;
+      }
+
+      const price = { price: Number(input.price), price_type: input.price_type, website_id: Number(input.website_id), customer_group: group.code, quantity: Number(input.quantity) };
+      const sameTier = (existing) => existing.website_id === price.website_id && existing.customer_group === price.customer_group && existing.quantity === price.quantity;
+      product.tier_prices = [...product.tier_prices.filter(existing => !sameTier(existing)), price];
+    }
+    return errors;
+  });
+
+  router.add('POST', route('/products/special-price-information'), ({ body }) =>
+    Array.from(state.specialPrices.values()).filter(price => (body?.skus || []).includes(price.sku))
+  );
+
+  router.add('POST', route('/products/special-price'), ({ body }) => {
+    const errors = [];
+    for (const input of body?.prices || []) {
+      if (!state.products.has(input.sku)) {
+        errors.push({ message: 'Requested product doesn\'t exist: %sku', parameters: [input.sku] });
+        continue;
+      }
+      const price = { sku: input.sku, store_id: Number(input.store_id || 0), price: Number(input.price), price_from: input.price_from };
+      if (input.price_to) price.price_to = input.price_to;
+      state.specialPrices.set(`${price.sku}|${price.store_id}`, price);
+    }
+    return errors;
+  });
+
+  // ==================== Product Media ====================
+
+  router.add('GET', route('/products/(?<sku>[^/]+)/media'), ({ params }) => galleryWithRoles(requireProduct(params.sku)));
+
+  router.add('POST', route('/products/(?<sku>[^/]+)/media'), ({ params, body }) => {
+    const product = requireProduct(params.sku);
+    const entry = body?.entry || {};
+    const content = entry.content || {};
+    if (!content.base64_encoded_data) {
+      throw new HttpError(400, 'The image content is invalid. Verify the content and try again.');
+    }
+
+    // Mirror Commerce's dispersion path and duplicate-name suffixing
+    const name = (content.name || `image-${state.sequences.media}.jpg`).toLowerCase();
+    const dispersion = `/${name[0] || 'x'}/${name[1] || 'x'}`;
+    const dot = name.lastIndexOf('.');
+    let file = `${dispersion}/${name}`;
+    let suffix = 1;
+    const allFiles = new Set(Array.from(state.products.values()).flatMap(p => p.media_gallery_entries.map(e => e.file)));
+    while (allFiles.has(file)) {
+      file = `${dispersion}/${name.slice(0, dot)}_${suffix++}${name.slice(dot)}`;
+    }
+
+    const id = state.sequences.media++;
+    product.media_gallery_entries.push({
+      id,
+      media_type: entry.media_type || 'image',
+      label: entry.label ?? null,
+      position: entry.position ?? product.media_gallery_entries.length + 1,
+      disabled: Boolean(entry.disabled),
+      types: entry.types || [],
+      file
+    });
+
+    // Roles assigned on upload become the product's image attributes
+    assignImageRoles(product, file, entry.types || []);
+    return String(id);
+  });
+
+  const requireMediaEntry = (product, entryId) => {
+    const entry = product.media_gallery_entries.find(item => item.id === Number(entryId));
+    if (!entry) throw new HttpError(404, "The image doesn't exist. Verify and try again.");
+    return entry;
+  };
+
+  router.add('PUT', route('/products/(?<sku>[^/]+)/media/(?<entryId>\\d+)'), ({ params, body }) => {
+    const product = requireProduct(params.sku);
+    const entry = requireMediaEntry(product, params.entryId);
+    const input = body?.entry || {};
+    const previousTypes = galleryWithRoles(product).find(item => item.id === entry.id).types;
+
+    if (input.label !== undefined) entry.label = input.label;
+    if (input.position !== undefined) entry.position = input.position;
+    if (input.disabled !== undefined) entry.disabled = Boolean(input.disabled);
+    if (input.types !== undefined) {
+      entry.types = input.types;
+      assignImageRoles(product, entry.file, input.types, previousTypes);
+    }
+    return true;
+  });
+
+  router.add('DELETE', route('/products/(?<sku>[^/]+)/media/(?<entryId>\\d+)'), ({ params }) => {
+    const product = requireProduct(params.sku);
+    const entry = requireMediaEntry(product, params.entryId);
+    product.media_gallery_entries = product.media_gallery_entries.filter(item => item !== entry);
+    assignImageRoles(product, entry.file, [], IMAGE_ROLES);
+    return true;
+  });
+
+  // ==================== Bundle Products ====================
+
+  const requireBundle = (sku) => {
+    const product = requireProduct(sku);
+    if (product.type_id !== 'bundle') {
+      throw new HttpError(400, 'This is implemented for bundle products only.');
+    }
+    product.extension_attributes.bundle_product_options = product.extension_attributes.bundle_product_options || [];
+    return product;
+  };
+
+  router.add('GET', route('/bundle-products/(?<sku>[^/]+)/options/all'), ({ params }) =>
+    requireBundle(params.sku).extension_attributes.bundle_product_options
+  );
+
+  router.add('POST', route('/bundle-products/options/add'), ({ body }) => {
+    const input = body?.option || {};
+    const product = requireBundle(input.sku);
+    const optionId = state.sequences.bundleOption++;
+    for (const link of input.product_links || []) requireProduct(link.sku);
+    product.extension_attributes.bundle_product_options.push({
+      ...input,
+      option_id: optionId,
+      sku: product.sku,
+      product_links: (input.product_links || []).map((link, index) => ({ ...link, id: String(index + 1), option_id: optionId }))
+    });
+    return optionId;
+  });
+
+  router.add('POST', route('/bundle-products/(?<sku>[^/]+)/links/(?<optionId>\\d+)'), ({ params, body }) => {
+    const product = requireProduct(params.sku);
+    const option = (product.extension_attributes.bundle_product_options || []).find(o => o.option_id === Number(params.optionId));
+    if (!option) throw noSuchEntity('optionId', params.optionId);
+    const link = body?.linkedProduct || {};
+    requireProduct(link.sku);
+    const id = option.product_links.length + 1;
+    option.product_links.push({ ...link, id: String(id), option_id: option.option_id });
+    return id;
+  });
+
+  // ==================== Configurable Products ====================
+
+  const requireConfigurable = (sku) => {
+    const product = requireProduct(sku);
+    if (product.type_id !== 'configurable') {
+      throw new HttpError(400, 'This is implemented for configurable products only.');
+    }
+    product.extension_attributes.configurable_product_options = product.extension_attributes.configurable_product_options || [];
+    product.extension_attributes.configurable_product_links = product.extension_attributes.configurable_product_links || [];
+    return product;
+  };
+
+  router.add('GET', route('/configurable-products/(?<sku>[^/]+)/options/all'), ({ params }) =>
+    requireConfigurable(params.sku).extension_attributes.configurable_product_options
+  );
+
+  router.add('POST', route('/configurable-products/(?<sku>[^/]+)/options'), ({ params, body }) => {
+    const product = requireConfigurable(params.sku);
+    const option = body?.option || {};
+    const attribute = Array.from(state.attributes.values()).find(attr => String(attr.attribute_id) === String(option.attribute_id));
+    if (!attribute) throw noSuchEntity('attribute_id', option.attribute_id);
+
+    const options = product.extension_attributes.configurable_product_options;
+    if (options.some(existing => String(existing.attribute_id) === String(option.attribute_id))) {
+      throw new HttpError(400, 'Product already has this option');
+    }
+
+    const id = options.length + 1;
+    options.push({ id, attribute_id: String(option.attribute_id), label: option.label || attribute.default_frontend_label, position: option.position ?? options.length, values: option.values || [], product_id: product.id });
+    return id;
+  });
+
+  router.add('GET', route('/configurable-products/(?<sku>[^/]+)/children'), ({ params }) => {
+    const product = requireConfigurable(params.sku);
+    const childIds = new Set(product.extension_attributes.configurable_product_links);
+    return Array.from(state.products.values()).filter(child => childIds.has(child.id));
+  });
+
+  router.add('POST', route('/configurable-products/(?<sku>[^/]+)/child'), ({ params, body }) => {
+    const product = requireConfigurable(params.sku);
+    const child = requireProduct(body?.childSku);
+    const links = product.extension_attributes.configurable_product_links;
+    if (links.includes(child.id)) {
+      throw new HttpError(400, 'The product is already attached.');
+    }
+
+    // Commerce requires the child to carry a value for every super attribute
+    for (const option of product.extension_attributes.configurable_product_options) {
+      const attribute = Array.from(state.attributes.values()).find(attr => String(attr.attribute_id) === String(option.attribute_id));
+      if (attribute && !getCustomAttribute(child, attribute.attribute_code)) {
+        throw new HttpError(400, 'The child product doesn\'t have the "%1" attribute value. Verify the value and try again.', { 1: attribute.attribute_code });
+      }
+    }
+
+    links.push(child.id);
+    return true;
+  });
+
+  // ==================== Multi-Source Inventory ====================
+
+  router.add('GET', route('/inventory/source-items'), ({ query }) =>
+    applySearchCriteria(Array.from(state.sourceItems.values()), parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/inventory/source-items'), ({ body }) => {
+    for (const item of body?.sourceItems || []) {
+      if (!state.sources.has(item.source_code)) {
+        throw new HttpError(400, 'Validation Failed');
+      }
+      state.sourceItems.set(`${item.sku}|${item.source_code}`, {
+        sku: item.sku,
+        source_code: item.source_code,
+        quantity: Number(item.quantity ?? 0),
+        status: Number(item.status ?? 1)
+      });
+    }
+    return [];
+  });
+
+  router.add('POST', route('/inventory/source-items-delete'), ({ body }) => {
+    for (const item of body?.sourceItems || []) {
+      state.sourceItems.delete(`${item.sku}|${item.source_code}`);
+    }
+    return [];
+  });
+
+  router.add('GET', route('/inventory/sources'), ({ query }) =>
+    applySearchCriteria(Array.from(state.sources.values()), parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/inventory/sources'), ({ body }) => {
+    const source = body?.source || {};
+    const missing = ['source_code', 'name', 'country_id', 'postcode'].filter(field => !source[field]);
+    if (missing.length > 0 || state.sources.has(source.source_code)) {
+      throw new HttpError(400, 'Validation Failed');
+    }
+    state.sources.set(source.source_code, { enabled: true, ...source });
+    return [];
+  });
+
+  const requireStock = (id) => {
+    const stock = state.stocks.get(Number(id));
+    if (!stock) throw new HttpError(404, `Stock with id "${id}" does not exist.`);
+    return stock;
+  };
+
+  // A website sells from exactly one stock: claiming it removes it from any other stock
+  const claimSalesChannels = (stockId, channels) => {
+    for (const other of state.stocks.values()) {
+      if (other.stock_id === stockId) continue;
+      const otherChannels = other.extension_attributes.sales_channels;
+      other.extension_attributes.sales_channels = otherChannels.filter(channel =>
+        !channels.some(claimed => claimed.type === channel.type && claimed.code === channel.code)
+      );
+    }
+  };
+
+  router.add('GET', route('/inventory/stocks'), ({ query }) =>
+    applySearchCriteria(Array.from(state.stocks.values()), parseSearchCriteria(query))
+  );
+
+  router.add('GET', route('/inventory/stocks/(?<id>\\d+)'), ({ params }) => requireStock(params.id));
+
+  router.add('POST', route('/inventory/stocks'), ({ body }) => {
+    const input = body?.stock || {};
+    if (!input.name || Array.from(state.stocks.values()).some(stock => stock.name === input.name)) {
+      throw new HttpError(400, 'Validation Failed');
+    }
+    const channels = input.extension_attributes?.sales_channels || [];
+    const stock = { stock_id: state.sequences.stock++, name: input.name, extension_attributes: { sales_channels: channels } };
+    claimSalesChannels(stock.stock_id, channels);
+    state.stocks.set(stock.stock_id, stock);
+    return stock.stock_id;
+  });
+
+  router.add('PUT', route('/inventory/stocks/(?<id>\\d+)'), ({ params, body }) => {
+    const stock = requireStock(params.id);
+    const input = body?.stock || {};
+    if (input.name) stock.name = input.name;
+    if (input.extension_attributes?.sales_channels) {
+      stock.extension_attributes.sales_channels = input.extension_attributes.sales_channels;
+      claimSalesChannels(stock.stock_id, stock.extension_attributes.sales_channels);
+    }
+    return stock.stock_id;
+  });
+
+  router.add('DELETE', route('/inventory/stocks/(?<id>\\d+)'), ({ params }) => {
+    const id = Number(params.id);
+    requireStock(id);
+    if (id === 1) throw new HttpError(400, 'Default Stock could not be deleted.');
+    state.stocks.delete(id);
+    state.stockSourceLinks = state.stockSourceLinks.filter(link => link.stock_id !== id);
+    return true;
+  });
+
+  router.add('GET', route('/inventory/stock-source-links'), ({ query }) =>
+    applySearchCriteria(state.stockSourceLinks, parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/inventory/stock-source-links'), ({ body }) => {
+    for (const link of body?.links || []) {
+      requireStock(link.stock_id);
+      if (!state.sources.has(link.source_code)) throw new HttpError(400, 'Validation Failed');
+      state.stockSourceLinks = state.stockSourceLinks.filter(existing =>
+        !(existing.stock_id === Number(link.stock_id) && existing.source_code === link.source_code)
+      );
+      state.stockSourceLinks.push({ stock_id: Number(link.stock_id), source_code: link.source_code, priority: Number(link.priority ?? 1) });
+    }
+    return [];
+  });
+
+  // ==================== Shared Catalogs ====================
+
+  const serializeCatalog = ({ categories, products, companies, ownsGroup, ...catalog }) => catalog;
+
+  const requireCatalog = (id) => {
+    const catalog = state.sharedCatalogs.get(Number(id));
+    if (!catalog) throw noSuchEntity('id', id);
+    return catalog;
+  };
+
+  router.add('GET', route('/sharedCatalog'), ({ query }) =>
+    applySearchCriteria(Array.from(state.sharedCatalogs.values()).map(serializeCatalog), parseSearchCriteria(query))
+  );
+
+  router.add('GET', route('/sharedCatalog/(?<id>\\d+)'), ({ params }) => serializeCatalog(requireCatalog(params.id)));
+
+  // Without a customer_group_id, a custom catalog gets a new customer group named after it
+  router.add('POST', route('/sharedCatalog'), ({ body }) => {
+    const input = body?.sharedCatalog || {};
+    if (!input.name) throw new HttpError(400, '"name" is required. Enter and try again.');
+    if (Array.from(state.sharedCatalogs.values()).some(catalog => catalog.name === input.name)) {
+      throw new HttpError(400, 'A catalog named "%1" already exists.', { 1: input.name });
+    }
+    if (Number(input.type) === 1) throw new HttpError(400, 'A public shared catalog already exists.');
+
+    let groupId = input.customer_group_id;
+    const ownsGroup = !groupId;
+    if (groupId) {
+      if (!state.customerGroups.has(Number(groupId))) throw noSuchEntity('id', groupId);
+      if (Array.from(state.sharedCatalogs.values()).some(catalog => catalog.customer_group_id === Number(groupId))) {
+        throw new HttpError(400, 'The customer group is already linked to a shared catalog.');
+      }
+    } else {
+      if (Array.from(state.customerGroups.values()).some(group => group.code === input.name)) {
+        throw new HttpError(400, 'A customer group with this name already exists.');
+      }
+      groupId = state.sequences.customerGroup++;
+      state.customerGroups.set(groupId, { id: groupId, code: input.name, tax_class_id: input.tax_class_id ?? 3, tax_class_name: 'Retail Customer' });
+    }
+
+    const id = state.sequences.sharedCatalog++;
+    state.sharedCatalogs.set(id, {
+      description: '',
+      tax_class_id: 3,
+      store_id: 0,
+      ...input,
+      id,
+      type: 0,
+      customer_group_id: Number(groupId),
+      categories: new Set(),
+      products: new Set(),
+      companies: new Set(),
+      ownsGroup
+    });
+    return id;
+  });
+
+  router.add('PUT', route('/sharedCatalog/(?<id>\\d+)'), ({ params, body }) => {
+    const catalog = requireCatalog(params.id);
+    const { id, type, customer_group_id: groupId, ...fields } = body?.sharedCatalog || {};
+    if (groupId !== undefined && Number(groupId) !== catalog.customer_group_id) {
+      throw new HttpError(400, 'The customer group of a shared catalog cannot be changed.');
+    }
+    Object.assign(catalog, fields);
+    return catalog.id;
+  });
+
+  router.add('DELETE', route('/sharedCatalog/(?<id>\\d+)'), ({ params }) => {
+    const catalog = requireCatalog(params.id);
+    if (catalog.type === 1) throw new HttpError(400, 'A public shared catalog cannot be deleted.');
+    // Companies fall back to the public catalog's group
+    for (const companyId of catalog.companies) {
+      const company = state.companies.get(companyId);
+      if (company) company.customer_group_id = 1;
+    }
+    if (catalog.ownsGroup) state.customerGroups.delete(catalog.customer_group_id);
+    state.sharedCatalogs.delete(catalog.id);
+    return true;
+  });
+
+  router.add('GET', route('/sharedCatalog/(?<id>\\d+)/categories'), ({ params }) => Array.from(requireCatalog(params.id).categories));
+
+  router.add('POST', route('/sharedCatalog/(?<id>\\d+)/assignCategories'), ({ params, body }) => {
+    const catalog = requireCatalog(params.id);
+    for (const { id } of body?.categories || []) {
+      requireCategory(id);
+      catalog.categories.add(Number(id));
+    }
+    return true;
+  });
+
+  router.add('GET', route('/sharedCatalog/(?<id>\\d+)/products'), ({ params }) => Array.from(requireCatalog(params.id).products));
+
+  router.add('POST', route('/sharedCatalog/(?<id>\\d+)/assignProducts'), ({ params, body }) => {
+    const catalog = requireCatalog(params.id);
+    const skus = (body?.products || []).map(({ sku }) => requireProduct(sku).sku);
+    for (const sku of skus) catalog.products.add(sku);
+    return true;
+  });
+
+  // Commerce returns the company IDs as a JSON-encoded string
+  router.add('GET', route('/sharedCatalog/(?<id>\\d+)/companies'), ({ params }) =>
+    JSON.stringify(Array.from(requireCatalog(params.id).companies).map(String))
+  );
+
+  router.add('POST', route('/sharedCatalog/(?<id>\\d+)/assignCompanies'), ({ params, body }) => {
+    const catalog = requireCatalog(params.id);
+    const companies = (body?.companies || []).map(({ id }) => {
+      const company = state.companies.get(Number(id));
+      if (!company) throw noSuchEntity('id', id);
+      return company;
+    });
+    // A company belongs to one catalog, through its customer group
+    for (const company of companies) {
+      for (const other of state.sharedCatalogs.values()) other.companies.delete(company.id);
+      catalog.companies.add(company.id);
+      company.customer_group_id = catalog.customer_group_id;
+    }
+    return true;
+  });
+
+  // ==================== Customers ====================
+
+  const requireCustomer = (id) => {
+    const customer = state.customers.get(Number(id));
+    if (!customer) throw noSuchEntity('customerId', id);
+    return customer;
+  };
+
+  router.add('GET', route('/customers/search'), ({ query }) =>
+    applySearchCriteria(Array.from(state.customers.values()), parseSearchCriteria(query), (customer, field) =>
+      field in customer ? customer[field] : getCustomAttribute(customer, field)
+    )
+  );
+
+  router.add('GET', route('/customers/(?<id>\\d+)'), ({ params }) => requireCustomer(params.id));
+
+  router.add('POST', route('/customers'), ({ body }) => {
+    const input = body?.customer || {};
+    if (!input.email) throw new HttpError(400, '"Email" is a required value.');
+
+    const websiteId = input.website_id ?? 1;
+    const duplicate = Array.from(state.customers.values())
+      .some(customer => customer.email.toLowerCase() === input.email.toLowerCase() && customer.website_id === websiteId);
+    if (duplicate) {
+      throw new HttpError(400, 'A customer with the same email address already exists in an associated website.');
+    }
+    if (input.group_id !== undefined && !state.customerGroups.has(Number(input.group_id))) {
+      throw noSuchEntity('id', input.group_id);
+    }
+
+    const now = new Date().toISOString().replace('T', ' ').slice(0, 19);
+    const id = state.sequences.customer++;
+    const customer = {
+      group_id: 1,
+      store_id: state.storeViews.find(view => view.website_id === websiteId)?.id ?? 1,
+      addresses: [],
+      custom_attributes: [],
+      ...input,
+      id,
+      website_id: websiteId,
+      created_at: now,
+      updated_at: now,
+      disable_auto_group_change: 0,
+      addresses: (input.addresses || []).map((address, index) => ({ ...address, id: id * 100 + index, customer_id: id }))
+    };
+    state.customers.set(id, customer);
+    return customer;
+  });
+
+  router.add('PUT', route('/customers/(?<id>\\d+)'), ({ params, body }) => {
+    const existing = requireCustomer(params.id);
+    const { custom_attributes: customAttributes = [], ...fields } = body?.customer || {};
+    const updated = {
+      ...existing,
+      ...fields,
+      id: existing.id,
+      updated_at: new Date().toISOString().replace('T', ' ').slice(0, 19),
+      custom_attributes: mergeCustomAttributes(existing.custom_attributes, customAttributes),
+      extension_attributes: { ...existing.extension_attributes, ...fields.extension_attributes }
+    };
+    state.customers.set(existing.id, updated);
+    syncCompanyUser(updated, existing.extension_attributes?.company_attributes?.company_id);
+    return updated;
+  });
+
+  router.add('DELETE', route('/customers/(?<id>\\d+)'), ({ params }) => {
+    requireCustomer(params.id);
+    const node = findCompanyNode('customer', params.id);
+    if (node) removeCompanyNode(node);
+    state.companyUserRoles.delete(Number(params.id));
+    state.customers.delete(Number(params.id));
+    return true;
+  });
+
+  // ==================== B2B Companies ====================
+
+  // Teams and structure nodes carry their company_id internally only
+  const withoutCompanyId = ({ company_id: companyId, ...item }) => item;
+
+  const requireCompany = (id) => {
+    const company = state.companies.get(Number(id));
+    if (!company) throw noSuchEntity('id', id);
+    return company;
+  };
+
+  const requireCompanyRole = (id) => {
+    const role = state.companyRoles.get(Number(id));
+    if (!role) throw noSuchEntity('id', id);
+    return role;
+  };
+
+  const requireCompanyTeam = (id) => {
+    const team = state.companyTeams.get(Number(id));
+    if (!team) throw noSuchEntity('id', id);
+    return team;
+  };
+
+  const companyNodes = (companyId) => Array.from(state.companyStructure.values()).filter(node => node.company_id === Number(companyId));
+
+  const findCompanyNode = (entityType, entityId) => Array.from(state.companyStructure.values())
+    .find(node => node.entity_type === entityType && node.entity_id === Number(entityId));
+
+  const addCompanyNode = (companyId, entityType, entityId, parentId) => {
+    const node = { structure_id: state.sequences.companyStructure++, entity_id: Number(entityId), entity_type: entityType, structure_parent_id: parentId, company_id: Number(companyId) };
+    state.companyStructure.set(node.structure_id, node);
+    return node;
+  };
+
+  const removeCompanyNode = (node) => {
+    // Children move up to the removed node's parent, as in the admin
+    for (const child of state.companyStructure.values()) {
+      if (child.structure_parent_id === node.structure_id) child.structure_parent_id = node.structure_parent_id;
+    }
+    state.companyStructure.delete(node.structure_id);
+  };
+
+  const setCompanyAttributes = (customerId, attributes) => {
+    const customer = state.customers.get(Number(customerId));
+    if (!customer) return;
+    customer.extension_attributes = { ...customer.extension_attributes, company_attributes: attributes };
+  };
+
+  // A company sees the shared catalog linked to its customer group
+  const linkCompanyCatalog = (company) => {
+    for (const catalog of state.sharedCatalogs.values()) {
+      catalog.companies.delete(company.id);
+      if (catalog.customer_group_id === Number(company.customer_group_id)) catalog.companies.add(company.id);
+    }
+  };
+
+  // Joining a company puts the user under the company admin with the default role; leaving removes both
+  function syncCompanyUser(customer, previousCompanyId) {
+    const companyId = Number(customer.extension_attributes?.company_attributes?.company_id || 0);
+    if (Number(previousCompanyId || 0) === companyId) return;
+
+    const node = findCompanyNode('customer', customer.id);
+    if (node) removeCompanyNode(node);
+    state.companyUserRoles.delete(customer.id);
+    if (!companyId) return;
+
+    const company = requireCompany(companyId);
+    const adminNode = findCompanyNode('customer', company.super_user_id);
+    addCompanyNode(companyId, 'customer', customer.id, adminNode?.structure_id ?? 0);
+    const defaultRole = Array.from(state.companyRoles.values()).find(role => role.company_id === companyId);
+    if (defaultRole) state.companyUserRoles.set(customer.id, defaultRole.id);
+  }
+
+  router.add('GET', route('/company/?'), ({ query }) =>
+    applySearchCriteria(Array.from(state.companies.values()), parseSearchCriteria(query))
+  );
+
+  router.add('GET', route('/company/(?<id>\\d+)'), ({ params }) => requireCompany(params.id));
+
+  router.add('POST', route('/company/?'), ({ body }) => {
+    const input = body?.company || {};
+    for (const field of ['company_name', 'company_email', 'super_user_id', 'customer_group_id']) {
+      if (input[field] === undefined || input[field] === '') throw new HttpError(400, `"${field}" is required. Enter and try again.`);
+    }
+    if (Array.from(state.companies.values()).some(company => company.company_email.toLowerCase() === input.company_email.toLowerCase())) {
+      throw new HttpError(400, 'Company with this email address already exists in the system. Enter a different email address to continue.');
+    }
+    const admin = requireCustomer(input.super_user_id);
+    if (admin.extension_attributes?.company_attributes?.company_id) {
+      throw new HttpError(400, 'This customer is a user of a different company. Enter a different email address to continue.');
+    }
+    if (!state.customerGroups.has(Number(input.customer_group_id))) throw noSuchEntity('id', input.customer_group_id);
+
+    const id = state.sequences.company++;
+    const company = { status: 1, sales_representative_id: 1, reject_reason: null, rejected_at: null, ...input, id, super_user_id: admin.id };
+    state.companies.set(id, company);
+    linkCompanyCatalog(company);
+
+    const role = { id: state.sequences.companyRole++, role_name: 'Default User', company_id: id, permissions: [{ resource_id: 'Magento_Company::index', permission: 'allow' }] };
+    state.companyRoles.set(role.id, role);
+    addCompanyNode(id, 'customer', admin.id, 0);
+    setCompanyAttributes(admin.id, { customer_id: admin.id, company_id: id, status: 1, job_title: admin.extension_attributes?.company_attributes?.job_title ?? '' });
+    return company;
+  });
+
+  router.add('PUT', route('/company/(?<id>\\d+)'), ({ params, body }) => {
+    const existing = requireCompany(params.id);
+    const updated = { ...existing, ...body?.company, id: existing.id };
+    if (Number(updated.super_user_id) !== existing.super_user_id) {
+      const admin = requireCustomer(updated.super_user_id);
+      updated.super_user_id = admin.id;
+      const node = findCompanyNode('customer', admin.id);
+      if (node) removeCompanyNode(node);
+      const root = companyNodes(existing.id).find(item => item.structure_parent_id === 0);
+      if (root) root.entity_id = admin.id;
+      setCompanyAttributes(admin.id, { customer_id: admin.id, company_id: existing.id, status: 1, job_title: admin.extension_attributes?.company_attributes?.job_title ?? '' });
+    }
+    state.companies.set(existing.id, updated);
+    linkCompanyCatalog(updated);
+    return updated;
+  });
+
+  router.add('DELETE', route('/company/(?<id>\\d+)'), ({ params }) => {
+    const company = requireCompany(params.id);
+    for (const node of companyNodes(company.id)) {
+      if (node.entity_type === 'customer') {
+        setCompanyAttributes(node.entity_id, { customer_id: node.entity_id, company_id: 0, status: 1, job_title: '' });
+        state.companyUserRoles.delete(node.entity_id);
+      } else {
+        state.companyTeams.delete(node.entity_id);
+      }
+      state.companyStructure.delete(node.structure_id);
+    }
+    for (const role of state.companyRoles.values()) {
+      if (role.company_id === company.id) state.companyRoles.delete(role.id);
+    }
+    for (const catalog of state.sharedCatalogs.values()) catalog.companies.delete(company.id);
+    state.companies.delete(company.id);
+    return true;
+  });
+
+  // Company Roles
+
+  router.add('GET', route('/company/role'), ({ query }) =>
+    applySearchCriteria(Array.from(state.companyRoles.values()), parseSearchCriteria(query))
+  );
+
+  router.add('GET', route('/company/role/(?<id>\\d+)'), ({ params }) => requireCompanyRole(params.id));
+
+  router.add('GET', route('/company/role/(?<id>\\d+)/users'), ({ params }) => {
+    const role = requireCompanyRole(params.id);
+    return Array.from(state.companyUserRoles.entries())
+      .filter(([, roleId]) => roleId === role.id)
+      .map(([customerId]) => state.customers.get(customerId))
+      .filter(Boolean);
+  });
+
+  router.add('POST', route('/company/role'), ({ body }) => {
+    const input = body?.role || {};
+    if (!input.role_name) throw new HttpError(400, '"role_name" is required. Enter and try again.');
+    requireCompany(input.company_id);
+    const duplicate = Array.from(state.companyRoles.values())
+      .some(role => role.company_id === Number(input.company_id) && role.role_name === input.role_name);
+    if (duplicate) throw new HttpError(400, 'User role with this name already exists. Enter a different name to save this role.');
+
+    const role = { permissions: [], ...input, id: state.sequences.companyRole++, company_id: Number(input.company_id) };
+    state.companyRoles.set(role.id, role);
+    return role;
+  });
+
+  router.add('PUT', route('/company/role/(?<id>\\d+)'), ({ params, body }) => {
+    const existing = requireCompanyRole(params.id);
+    const updated = { ...existing, ...body?.role, id: existing.id, company_id: existing.company_id };
+    state.companyRoles.set(existing.id, updated);
+    return updated;
+  });
+
+  router.add('PUT', route('/company/assignRoles'), ({ body }) => {
+    const customer = requireCustomer(body?.userId);
+    const companyId = Number(customer.extension_attributes?.company_attributes?.company_id || 0);
+    if (!companyId) throw new HttpError(400, 'The user is not a company user.');
+    const [{ id } = {}] = body?.roles || [];
+    const role = requireCompanyRole(id);
+    if (role.company_id !== companyId) throw new HttpError(400, 'The role does not belong to the user\'s company.');
+    if (requireCompany(companyId).super_user_id === customer.id) throw new HttpError(400, 'You cannot assign a different role to a company admin.');
+    state.companyUserRoles.set(customer.id, role.id);
+    return true;
+  });
+
+  // Company Hierarchy and Teams
+
+  router.add('GET', route('/hierarchy/(?<id>\\d+)'), ({ params }) => {
+    requireCompany(params.id);
+    return companyNodes(params.id).map(withoutCompanyId);
+  });
+
+  router.add('PUT', route('/hierarchy/move/(?<id>\\d+)'), ({ params, body }) => {
+    const node = state.companyStructure.get(Number(params.id));
+    if (!node) throw noSuchEntity('id', params.id);
+    const parent = state.companyStructure.get(Number(body?.newParentId));
+    if (!parent || parent.company_id !== node.company_id) throw noSuchEntity('id', body?.newParentId);
+    if (parent.entity_type === 'customer' && parent.structure_parent_id !== 0) {
+      throw new HttpError(400, 'Only teams and the company admin can have members.');
+    }
+
+    // Can't move a node under its own subtree
+    for (let current = parent; current; current = state.companyStructure.get(current.structure_parent_id)) {
+      if (current.structure_id === node.structure_id) throw new HttpError(400, 'Cannot move a node under itself.');
+    }
+    node.structure_parent_id = parent.structure_id;
+    return true;
+  });
+
+  router.add('GET', route('/team/(?<id>\\d+)'), ({ params }) => withoutCompanyId(requireCompanyTeam(params.id)));
+
+  router.add('POST', route('/team/(?<companyId>\\d+)'), ({ params, body }) => {
+    const company = requireCompany(params.companyId);
+    const input = body?.team || {};
+    if (!input.name) throw new HttpError(400, '"name" is required. Enter and try again.');
+
+    const team = { description: '', ...input, id: state.sequences.companyTeam++, company_id: company.id };
+    state.companyTeams.set(team.id, team);
+    const adminNode = findCompanyNode('customer', company.super_user_id);
+    addCompanyNode(company.id, 'team', team.id, adminNode?.structure_id ?? 0);
+    return withoutCompanyId(team);
+  });
+
+  router.add('PUT', route('/team/(?<id>\\d+)'), ({ params, body }) => {
+    const existing = requireCompanyTeam(params.id);
+    const updated = { ...existing, ...body?.team, id: existing.id, company_id: existing.company_id };
+    state.companyTeams.set(existing.id, updated);
+    return withoutCompanyId(updated);
+  });
+
+  // ==================== Customer Attribute Metadata ====================
+
+  const systemCustomerAttributes = ['email', 'firstname', 'lastname', 'group_id', 'website_id', 'dob', 'gender']
+    .map(code => ({ attribute_code: code, frontend_input: 'text', frontend_label: code, system: true, user_defined: false }));
+
+  const customerAttributes = () => [...systemCustomerAttributes, ...state.customerAttributes.values()];
+
+  router.add('GET', route('/attributeMetadata/customer'), () => customerAttributes());
+
+  router.add('GET', route('/attributeMetadata/customer/attribute/(?<code>[\\w-]+)'), ({ params }) => {
+    const attribute = customerAttributes().find(attr => attr.attribute_code === params.code);
+    if (!attribute) throw noSuchEntity('attributeCode', params.code);
+    return attribute;
+  });
+
+  router.add('GET', route('/customerMetadata/attribute'), ({ query }) =>
+    applySearchCriteria(customerAttributes(), parseSearchCriteria(query))
+  );
+
+  router.add('POST', route('/customerCustomAttributes'), ({ body }) => {
+    const input = body?.attribute || {};
+    if (!input.attribute_code) throw new HttpError(400, '"attribute_code" is required. Enter and try again.');
+    if (customerAttributes().some(attr => attr.attribute_code === input.attribute_code)) {
+      throw new HttpError(400, 'An attribute with this code already exists.');
+    }
+    const attribute = {
+      frontend_input: 'text',
+      frontend_label: input.frontend_labels?.[0]?.label || input.attribute_code,
+      ...input,
+      system: false,
+      user_defined: true
+    };
+    state.customerAttributes.set(attribute.attribute_code, attribute);
+    return attribute;
+  });
+}
+
+/**
+ * Start the offline Commerce stand-in
+ *
+ * @param {Object} options - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 = random free port)
+ * @param {string} [options.username] - Admin username accepted by the token endpoint
+ * @param {string} [options.password] - Admin password accepted by the token endpoint
+ * @param {boolean} [options.verbose=false] - Log every request
+ * @returns {Promise<{ url: string, state: Object, reset: Function, close: Function }>}
+ */
+export async function createOfflineCommerceServer(options = {}) {
+  const {
+    port = 0,
+    username = COMMERCE_CONFIG.adminUsername || COMMERCE_CONFIG.offline.username,
+    password = COMMERCE_CONFIG.adminPassword || COMMERCE_CONFIG.offline.password,
+    verbose = false
+  } = options;
+
+  const state = createOfflineCommerceState();
+  const router = createRouter();
+  registerRoutes(router, state, { username, password });
+
+  // A pre-configured COMMERCE_ADMIN_TOKEN is accepted as-is, like an integration token
+  if (COMMERCE_CONFIG.adminToken) {
+    state.tokens.add(COMMERCE_CONFIG.adminToken);
+  }
+
+  const authorize = (req, pathname) => {
+    if (pathname.endsWith('/integration/admin/token')) return;
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    if (!state.tokens.has(token)) {
+      throw new HttpError(401, "The consumer isn't authorized to access %resources.", { resources: 'Magento_Backend::admin' });
+    }
+  };
+
+  const onRequest = verbose
+    ? (method, pathname, status) => console.log(`[OFFLINE] ${status} ${method} ${pathname}`)
+    : null;
+
+  // Back to the seeded state; issued tokens stay valid
+  const reset = () => {
+    const { tokens } = state;
+    Object.assign(state, createOfflineCommerceState(), { tokens });
+  };
+
+  const { url, close } = await startServer(router, { port, authorize, onRequest });
+  return { url, state, reset, close };
+}
+
+// Run if called directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const portArg = process.argv.find(arg => arg.startsWith('--port='));
+  const port = portArg ? parseInt(portArg.split('=')[1], 10) : COMMERCE_CONFIG.offline.port;
+  const verbose = process.argv.includes('--verbose');
+
+  createOfflineCommerceServer({ port, verbose })
+    .then(({ url, reset, close }) => {
+      console.log(`Offline Commerce stand-in listening on ${url}`);
+      console.log(`Run the scripts with COMMERCE_OFFLINE=true (and COMMERCE_OFFLINE_PORT=${port} if changed)`);
+
+      process.on('SIGHUP', () => {
+        reset();
+        console.log('Offline Commerce state reset');
+      });
+
+      const shutdown = () => close().then(() => process.exit(0));
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    })
+    .catch(error => {
+      console.error('Failed to start offline Commerce stand-in:', error.message);
+      process.exit(1);
+    });
+}
@@ -9,6 +9,8 @@
  * - Fast lookups for existence checks
  * - Automatic state updates
  * - State validation and cleanup
+ * - Content hashes of synced product images
+ * - Stable category keys, so renamed and moved categories are recognized
  */
 
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
@@ -16,7 +18,7 @@ import { dirname, join } from 'path';
 import { logger } from './commerce-api.js';
 import { PROJECT_CONFIG } from '../../shared/config-loader.js';
 
-const STATE_DIR = join(process.cwd(), `.${PROJECT_CONFIG.identifier}-state`);
+export const STATE_DIR = join(process.cwd(), `.${PROJECT_CONFIG.identifier}-state`);
 const STATE_FILE = join(STATE_DIR, 'import-state.json');
 
 /**
@@ -40,6 +42,8 @@ export class StateTracker {
         attributes: new Set(),
         customerGroups: new Set(),
         customerAttributes: new Set(),
+        productImages: {},
+        categoryKeys: {},
         metadata: {}
       };
     }
@@ -56,6 +60,8 @@ export class StateTracker {
         attributes: new Set(data.attributes || []),
         customerGroups: new Set(data.customerGroups || []),
         customerAttributes: new Set(data.customerAttributes || []),
+        productImages: data.productImages || {},
+        categoryKeys: data.categoryKeys || {},
       };
     } catch (error) {
       logger.warn(`Failed to load state: ${error.message}`);
@@ -82,6 +88,8 @@ export class StateTracker {
         attributes: Array.from(this.state.attributes),
         customerGroups: Array.from(this.state.customerGroups),
         customerAttributes: Array.from(this.state.customerAttributes),
+        productImages: this.state.productImages,
+        categoryKeys: this.state.categoryKeys,
         metadata: this.state.metadata
       };
 
@@ -105,6 +113,8 @@ export class StateTracker {
       attributes: new Set(),
       customerGroups: new Set(),
       customerAttributes: new Set(),
+      productImages: {},
+      categoryKeys: {},
       metadata: {}
     };
   }
@@ -160,10 +170,14 @@ export class StateTracker {
    */
   removeProduct(sku) {
     this.state.products.delete(sku);
+    delete this.state.productImages[sku];
   }
 
   removeCategory(id) {
     this.state.categories.delete(String(id));
+    for (const [key, categoryId] of Object.entries(this.state.categoryKeys)) {
+      if (String(categoryId) === String(id)) delete this.state.categoryKeys[key];
+    }
   }
 
   removeAttribute(code) {
@@ -188,11 +202,13 @@ export class StateTracker {
 
   clearProducts() {
     this.state.products.clear();
+    this.state.productImages = {};
     this.saveState();
   }
 
   clearCategories() {
     this.state.categories.clear();
+    this.state.categoryKeys = {};
     this.saveState();
   }
 
@@ -238,6 +254,30 @@ export class StateTracker {
     };
   }
 
+  /**
+   * Gallery entries last synced for a product: [{ file, hash, label, position, disabled, types }]
+   * Lets the images step skip products whose datapack images haven't changed
+   */
+  getProductImages(sku) {
+    return this.state.productImages[sku] || null;
+  }
+
+  setProductImages(sku, entries) {
+    this.state.productImages[sku] = entries;
+  }
+
+  /**
+   * Category IDs by the stable key of their category-tree.json definition
+   * Lets category sync tell a renamed or moved category from a new one
+   */
+  getCategoryKeys() {
+    return { ...this.state.categoryKeys };
+  }
+
+  setCategoryKey(key, id) {
+    this.state.categoryKeys[key] = String(id);
+  }
+
   /**
    * Set metadata
    */
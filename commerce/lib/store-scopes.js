@@ -0,0 +1,47 @@
+/**
+ * Store Scopes
+ * Resolves the websites and store views a datapack record targets
+ *
+ *   products:  { "sku": "LBR-001", "product_websites": "buildright,buildright_pro" }
+ *   customers: { "email": "...", "_website": "buildright_pro", "_store": "buildright_pro_us" }
+ *
+ * Codes can be a comma-separated string or an array. Records without codes keep the
+ * importer's default websites. Code → ID maps come from the stores step when run via
+ * import-all (storeIds.websites / storeIds.storeViews), else they are fetched.
+ */
+
+/**
+ * Website or store view codes of a record field ([] when unset)
+ */
+export function parseScopeCodes(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(code => String(code).trim()).filter(Boolean);
+}
+
+/**
+ * Website and store view code → ID maps from Commerce
+ */
+export async function fetchStoreScopes(api) {
+  const [websites, storeViews] = await Promise.all([api.getWebsites(), api.getStoreViews()]);
+  return {
+    websites: Object.fromEntries((websites || []).map(website => [website.code, website.id])),
+    storeViews: Object.fromEntries((storeViews || []).map(view => [view.code, view.id]))
+  };
+}
+
+/**
+ * Resolve codes to IDs; unknown codes are returned separately
+ */
+export function resolveScopeIds(codes, idMap) {
+  const ids = [];
+  const unknown = [];
+  for (const code of codes) {
+    if (idMap?.[code] !== undefined) {
+      ids.push(idMap[code]);
+    } else {
+      unknown.push(code);
+    }
+  }
+  return { ids, unknown };
+}
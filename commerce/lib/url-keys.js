@@ -0,0 +1,181 @@
+/**
+ * URL Key Pre-flight
+ * Computes every url_key an import run will write and resolves collisions up front,
+ * so creates don't fail with Commerce's opaque "URL key for specified store already exists."
+ *
+ * Keys are checked against each other and against what Commerce already holds:
+ * - Categories must be unique among their siblings (same parent)
+ * - Products must be unique across products, and must not match a top-level
+ *   project category (both resolve to "<key>.html" on the storefront)
+ *
+ * Clashes are resolved by appending "-2", "-3", ... to the later claimant.
+ * Existing Commerce entities keep their keys and the datapack is claimed in file
+ * order, so re-runs produce the same renames.
+ */
+
+import { existsSync } from 'fs';
+import { resolve } from 'path';
+import { CATEGORY_TREE, DATA_REPO_PATH } from '../../shared/config-loader.js';
+import { readDatapackItems } from '../../shared/datapack-reader.js';
+import { commerceApi } from './commerce-api.js';
+
+const DATAPACK_PRODUCTS_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_products.json');
+
+// Magento's catalog root; project root categories are created beneath it
+const CATALOG_ROOT_ID = 1;
+
+/**
+ * Category url_key as Commerce would generate it from the name
+ */
+export function categoryUrlKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Product url_key from the datapack, or name + SKU when it has none
+ */
+export function productUrlKey(product) {
+  return product.url_key ||
+         `${product.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${product.sku.toLowerCase()}`;
+}
+
+/**
+ * Key identifying a category definition by its name path ("Root / Lumber / Boards")
+ */
+export function categoryPathKey(names) {
+  return names.join(' / ');
+}
+
+function getUrlKey(entity) {
+  return entity.custom_attributes?.find(attr => attr.attribute_code === 'url_key')?.value;
+}
+
+/**
+ * Claim a key for an owner, suffixing it until it's free (or already the owner's)
+ */
+function claimUrlKey(taken, key, owner) {
+  let candidate = key;
+  for (let suffix = 2; taken.has(candidate) && taken.get(candidate) !== owner; suffix++) {
+    candidate = `${key}-${suffix}`;
+  }
+  taken.set(candidate, owner);
+  return candidate;
+}
+
+/**
+ * Resolve url_keys for a category tree and product list against existing Commerce data
+ *
+ * @param {Object} input
+ * @param {Object} input.tree - Category tree definition (CATEGORY_TREE)
+ * @param {Array} input.products - Datapack product records
+ * @param {Iterable} input.existingProducts - Commerce products
+ * @param {Array} input.existingCategories - Commerce categories (list items)
+ * @param {Object} input.matchedCategories - Name path → category ID the category sync
+ *   plan matched (renamed or moved categories keep their key)
+ * @returns {{products: Object, categories: Object, renames: Array}}
+ *   products: SKU → url_key and categories: name path → url_key, for renamed entries only
+ */
+export function resolveUrlKeys({ tree, products = [], existingProducts = [], existingCategories = [], matchedCategories = {} }) {
+  const plan = { products: {}, categories: {}, renames: [] };
+
+  const childrenByParent = new Map();
+  for (const category of existingCategories) {
+    if (!childrenByParent.has(category.parent_id)) childrenByParent.set(category.parent_id, []);
+    childrenByParent.get(category.parent_id).push(category);
+  }
+
+  // Top-level project categories share the storefront namespace with products
+  const topLevelKeys = new Map();
+
+  const walk = (nodes, parentId, parentNames, depth) => {
+    const siblings = parentId ? childrenByParent.get(parentId) || [] : [];
+    const taken = new Map();
+    for (const sibling of siblings) {
+      const key = getUrlKey(sibling);
+      if (key) taken.set(key, `category "${sibling.name}"`);
+    }
+
+    for (const node of nodes) {
+      const names = [...parentNames, node.name];
+      const path = categoryPathKey(names);
+      const existing = existingCategories.find(category => category.id === matchedCategories[path]) ||
+                       siblings.find(category => category.name === node.name);
+      let key;
+
+      if (existing) {
+        // Matched by name (or by the sync plan), so the importer leaves its key alone
+        key = getUrlKey(existing);
+      } else {
+        const wanted = node.urlKey || categoryUrlKey(node.name);
+        const holder = taken.get(wanted);
+        key = claimUrlKey(taken, wanted, `category "${node.name}"`);
+        if (key !== wanted) {
+          plan.categories[path] = key;
+          plan.renames.push({ type: 'category', id: path, from: wanted, to: key, conflict: holder });
+        }
+      }
+
+      if (depth === 1 && key) topLevelKeys.set(key, `category "${node.name}"`);
+      if (node.children?.length > 0) walk(node.children, existing?.id, names, depth + 1);
+    }
+  };
+
+  if (tree?.name) {
+    walk([{ ...tree, urlKey: categoryUrlKey(tree.name) }], CATALOG_ROOT_ID, [], 0);
+  }
+
+  const taken = new Map();
+  for (const product of existingProducts) {
+    const key = getUrlKey(product);
+    if (key) taken.set(key, `product ${product.sku}`);
+  }
+  for (const [key, owner] of topLevelKeys) {
+    if (!taken.has(key)) taken.set(key, owner);
+  }
+
+  for (const product of products) {
+    if (!product.sku || !product.name) continue;
+    const wanted = productUrlKey(product);
+    const holder = taken.get(wanted);
+    const key = claimUrlKey(taken, wanted, `product ${product.sku}`);
+    if (key !== wanted) {
+      plan.products[product.sku] = key;
+      plan.renames.push({ type: 'product', id: product.sku, from: wanted, to: key, conflict: holder });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Run the pre-flight against the datapack and the live catalog
+ * (pass the category sync plan in sync mode, so renamed and moved categories aren't seen as new)
+ */
+export async function preflightUrlKeys({ api = commerceApi, tree = CATEGORY_TREE, categoryPlan = null } = {}) {
+  const products = existsSync(DATAPACK_PRODUCTS_PATH)
+    ? await readDatapackItems(DATAPACK_PRODUCTS_PATH, ['source', 'items'])
+    : [];
+
+  const [existingProducts, categoryList] = await Promise.all([
+    api.getAllProducts(),
+    api.getCategoryList()
+  ]);
+
+  return resolveUrlKeys({
+    tree,
+    products,
+    existingProducts: existingProducts.values(),
+    existingCategories: categoryList?.items || [],
+    matchedCategories: Object.fromEntries((categoryPlan?.nodes || [])
+      .filter(entry => entry.id)
+      .map(entry => [categoryPathKey(entry.names), entry.id]))
+  });
+}
+
+/**
+ * One-line description of a rename for reports
+ */
+export function describeUrlKeyRename(rename) {
+  const subject = rename.type === 'product' ? `product ${rename.id}` : `category "${rename.id}"`;
+  return `${subject}: ${rename.from} → ${rename.to} (${rename.from} is used by ${rename.conflict})`;
+}
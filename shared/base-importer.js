@@ -14,6 +14,8 @@ export class ImportResults {
   constructor() {
     this.created = [];
     this.existing = [];
+    this.updated = [];
+    this.unchanged = [];
     this.failed = [];
     this.skipped = [];
     this.startTime = Date.now();
@@ -30,6 +32,16 @@ export class ImportResults {
     this.existing.push({ ...item, timestamp: Date.now() });
   }
   
+  /** Record an existing item that was changed to match the source data */
+  addUpdated(item) {
+    this.updated.push({ ...item, timestamp: Date.now() });
+  }
+  
+  /** Record an existing item that already matches the source data */
+  addUnchanged(item) {
+    this.unchanged.push({ ...item, timestamp: Date.now() });
+  }
+  
   /** Record a failed operation */
   addFailed(item, error) {
     this.failed.push({ ...item, error: error?.message || error, timestamp: Date.now() });
@@ -54,7 +66,8 @@ export class ImportResults {
   
   /** Get total items processed */
   get totalProcessed() {
-    return this.created.length + this.existing.length + this.failed.length + this.skipped.length;
+    return this.created.length + this.existing.length + this.updated.length + this.unchanged.length +
+      this.failed.length + this.skipped.length;
   }
   
   /** Check if import was successful (no failures) */
@@ -67,6 +80,8 @@ export class ImportResults {
     return {
       created: this.created,
       existing: this.existing,
+      updated: this.updated,
+      unchanged: this.unchanged,
       failed: this.failed,
       skipped: this.skipped,
       duration: this.durationSeconds,
@@ -219,6 +234,10 @@ export class BaseImporter {
     logger.info(`\n=== ${this.name} Summary ===`);
     logger.info(`Created: ${this.results.created.length}`);
     logger.info(`Already Existing: ${this.results.existing.length}`);
+    if (this.results.updated.length > 0 || this.results.unchanged.length > 0) {
+      logger.info(`Updated: ${this.results.updated.length}`);
+      logger.info(`Unchanged: ${this.results.unchanged.length}`);
+    }
     if (this.results.skipped.length > 0) {
       logger.info(`Skipped: ${this.results.skipped.length}`);
     }
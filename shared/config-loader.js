@@ -61,6 +61,16 @@ export const CUSTOMER_ATTRIBUTES = loadDefinition('attributes/customer-attribute
 export const CUSTOMER_GROUPS = loadDefinition('customers/customer-groups.json');
 export const DEMO_CUSTOMERS = loadDefinition('customers/demo-customers.json');
 
+// Offline Commerce stand-in (commerce/lib/offline-server.js) replaces the live instance when enabled
+const COMMERCE_OFFLINE = process.env.COMMERCE_OFFLINE === 'true';
+const COMMERCE_OFFLINE_PORT = parseInt(process.env.COMMERCE_OFFLINE_PORT || '8780', 10);
+const OFFLINE_CREDENTIALS = { username: 'offline-admin', password: 'offline-password' };
+
+// Offline ACO stand-in (aco/lib/offline-server.js) replaces the tenant, IMS and GraphQL endpoints
+const ACO_OFFLINE = process.env.ACO_OFFLINE === 'true';
+const ACO_OFFLINE_PORT = parseInt(process.env.ACO_OFFLINE_PORT || '8781', 10);
+const ACO_OFFLINE_URL = `http://127.0.0.1:${ACO_OFFLINE_PORT}`;
+
 // Export convenience values
 export const COMMERCE_CONFIG = {
   project: PROJECT_CONFIG,
@@ -78,12 +88,19 @@ export const COMMERCE_CONFIG = {
   ROOT_CATEGORY_NAME: PROJECT_CONFIG.rootCategoryName,
   
   // Commerce API Configuration (from .env)
-  baseUrl: process.env.COMMERCE_BASE_URL,
-  adminUsername: process.env.COMMERCE_ADMIN_USERNAME,
-  adminPassword: process.env.COMMERCE_ADMIN_PASSWORD,
+  baseUrl: COMMERCE_OFFLINE ? `http://127.0.0.1:${COMMERCE_OFFLINE_PORT}` : process.env.COMMERCE_BASE_URL,
+  adminUsername: process.env.COMMERCE_ADMIN_USERNAME || (COMMERCE_OFFLINE ? OFFLINE_CREDENTIALS.username : undefined),
+  adminPassword: process.env.COMMERCE_ADMIN_PASSWORD || (COMMERCE_OFFLINE ? OFFLINE_CREDENTIALS.password : undefined),
   adminToken: process.env.COMMERCE_ADMIN_TOKEN, // Optional: if provided, skips token generation
   verbose: process.env.VERBOSE === 'true' || process.env.COMMERCE_DEBUG === 'true',
   
+  // Offline stand-in settings
+  offline: {
+    enabled: COMMERCE_OFFLINE,
+    port: COMMERCE_OFFLINE_PORT,
+    ...OFFLINE_CREDENTIALS
+  },
+  
   // API paths
   api: {
     version: 'V1',
@@ -98,16 +115,46 @@ export const COMMERCE_CONFIG = {
     aco: resolve(DATA_REPO, 'generated/aco')
   },
   
+  // Product images (commerce/lib/image-sources.js, commerce/lib/image-preprocessor.js)
+  images: {
+    maxSizeMb: parseFloat(process.env.IMAGE_MAX_SIZE_MB || '10'),
+    preprocess: process.env.IMAGE_PREPROCESS === 'true',
+    maxDimension: parseInt(process.env.IMAGE_MAX_DIMENSION || '2000', 10),
+    format: process.env.IMAGE_FORMAT || 'original', // original, jpeg or png
+    quality: parseInt(process.env.IMAGE_QUALITY || '85', 10)
+  },
+  
+  // Demo customers (commerce/lib/customer-credentials.js)
+  customers: {
+    // Generated passwords derive from this and the email, so keep it private for shared demos
+    // (unset: a random seed in the state directory)
+    passwordSeed: process.env.CUSTOMER_PASSWORD_SEED || null
+  },
+  
   // ACO API Configuration (from .env)
   aco: {
-    tenantId: process.env.ACO_TENANT_ID,
+    tenantId: process.env.ACO_TENANT_ID || (ACO_OFFLINE ? 'offline-tenant' : undefined),
     region: process.env.ACO_REGION || 'na1',
     environment: process.env.ACO_ENVIRONMENT || 'sandbox',
-    clientId: process.env.ACO_CLIENT_ID,
-    clientSecret: process.env.ACO_CLIENT_SECRET,
+    clientId: process.env.ACO_CLIENT_ID || (ACO_OFFLINE ? 'offline-client' : undefined),
+    clientSecret: process.env.ACO_CLIENT_SECRET || (ACO_OFFLINE ? 'offline-secret' : undefined),
     catalogViewId: process.env.ACO_CATALOG_VIEW_ID,
     websiteCode: process.env.ACO_WEBSITE_CODE || PROJECT_CONFIG.websiteCode,
-    timeoutMs: parseInt(process.env.ACO_TIMEOUT_MS || '10000', 10)
+    locale: process.env.ACO_SOURCE_LOCALE || 'en-US',
+    timeoutMs: parseInt(process.env.ACO_TIMEOUT_MS || '10000', 10),
+    
+    // Endpoint overrides: base URL serving /{tenant}/v1/catalog and /{tenant}/graphql, and the IMS token URL
+    endpoint: ACO_OFFLINE ? ACO_OFFLINE_URL : process.env.ACO_ENDPOINT_OVERRIDE,
+    imsTokenUrl: ACO_OFFLINE
+      ? `${ACO_OFFLINE_URL}/ims/token/v3`
+      : (process.env.ACO_IMS_TOKEN_URL || 'https://ims-na1.adobelogin.com/ims/token/v3'),
+    
+    // Offline stand-in settings
+    offline: {
+      enabled: ACO_OFFLINE,
+      port: ACO_OFFLINE_PORT,
+      indexingDelayMs: parseInt(process.env.ACO_OFFLINE_INDEXING_DELAY_MS || '15000', 10)
+    }
   }
 };
 
@@ -0,0 +1,261 @@
+/**
+ * Streaming Datapack Reader
+ * Yields the records of a JSON array one at a time instead of parsing the whole file
+ *
+ * Datapack files can be large (accs_product_images_*.json carries base64 image data
+ * inline), so `JSON.parse(readFileSync(...))` holds the full file, its string and
+ * every parsed record in memory at once. The reader scans the file in chunks, walks
+ * to the array at the requested key path and parses each element on its own, so only
+ * the current record is held.
+ *
+ * Usage:
+ *   for await (const item of streamDatapackItems(file, ['source', 'items'])) { ... }
+ *   for await (const image of streamDatapackItems(imagesFile)) { ... } // top-level array
+ */
+
+import { createReadStream } from 'fs';
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Thrown when the file has no array at the requested path
+ */
+export class DatapackFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DatapackFormatError';
+  }
+}
+
+const isWhitespace = (char) => char === ' ' || char === '\n' || char === '\r' || char === '\t';
+
+/**
+ * Number of consecutive backslashes ending just before `position` (not looking before `from`)
+ */
+function countBackslashes(chunk, position, from) {
+  let count = 0;
+  while (position - count - 1 >= from && chunk[position - count - 1] === '\\') count++;
+  return count;
+}
+
+/**
+ * Incremental scanner for one array inside a JSON document
+ *
+ * Outside the target array it only tracks nesting and object keys. Inside it,
+ * it slices out each element's raw text and JSON.parses it on its own.
+ */
+class ArrayItemScanner {
+  constructor(path) {
+    this.path = path;
+    this.stack = [];          // Open containers: { type: 'object'|'array', key, expectKey }
+    this.inString = false;
+    this.escaped = false;
+    this.keyParts = null;     // Raw text of an object key being read
+    this.found = false;       // Inside the target array
+    this.finished = false;    // Target array closed (or can't exist)
+    this.itemParts = null;    // Raw text of the element being collected
+    this.itemDepth = 0;
+  }
+
+  get pathLabel() {
+    return this.path.length > 0 ? this.path.join('.') : 'top level';
+  }
+
+  isTargetArray() {
+    if (this.stack.length !== this.path.length) return false;
+    return this.stack.every((frame, index) => frame.type === 'object' && frame.key === this.path[index]);
+  }
+
+  /**
+   * Feed the next chunk of text; returns the elements completed within it
+   */
+  write(chunk) {
+    const items = [];
+    let index = 0;
+
+    while (index < chunk.length && !this.finished) {
+      index = this.found
+        ? this.scanItems(chunk, index, items)
+        : this.scanStructure(chunk, index);
+    }
+
+    return items;
+  }
+
+  /**
+   * Skip to the end of a string, keeping the raw text in parts (when given)
+   */
+  scanString(chunk, index, parts) {
+    const start = index;
+    while (index < chunk.length) {
+      if (this.escaped) {
+        this.escaped = false;
+        index++;
+        continue;
+      }
+      const from = index;
+      const quote = chunk.indexOf('"', index);
+      if (quote === -1) {
+        // An odd run of backslashes at the end escapes the next chunk's first character
+        this.escaped = countBackslashes(chunk, chunk.length, from) % 2 === 1;
+        index = chunk.length;
+        break;
+      }
+      index = quote + 1;
+      if (countBackslashes(chunk, quote, from) % 2 === 0) {
+        this.inString = false;
+        break;
+      }
+    }
+    if (parts) parts.push(chunk.slice(start, index));
+    return index;
+  }
+
+  /**
+   * Walk the document outside the target array
+   */
+  scanStructure(chunk, index) {
+    if (this.inString) {
+      const end = this.scanString(chunk, index, this.keyParts);
+      if (!this.inString && this.keyParts) {
+        this.stack[this.stack.length - 1].key = JSON.parse(this.keyParts.join(''));
+        this.keyParts = null;
+      }
+      return end;
+    }
+
+    const char = chunk[index];
+    const frame = this.stack[this.stack.length - 1];
+
+    if (isWhitespace(char)) return index + 1;
+
+    // The target is the whole document; anything else means it isn't an array
+    if (this.path.length === 0 && this.stack.length === 0 && char !== '[') {
+      this.finished = true;
+      return index;
+    }
+
+    switch (char) {
+      case '"':
+        this.inString = true;
+        this.keyParts = frame?.type === 'object' && frame.expectKey ? ['"'] : null;
+        return index + 1;
+      case ':':
+        frame.expectKey = false;
+        return index + 1;
+      case ',':
+        if (frame?.type === 'object') frame.expectKey = true;
+        return index + 1;
+      case '{':
+        this.stack.push({ type: 'object', key: null, expectKey: true });
+        return index + 1;
+      case '[':
+        if (this.isTargetArray()) {
+          this.found = true;
+        } else {
+          this.stack.push({ type: 'array' });
+        }
+        return index + 1;
+      case '}':
+      case ']':
+        this.stack.pop();
+        if (this.stack.length === 0) this.finished = true;
+        return index + 1;
+      default:
+        return index + 1; // Numbers, true/false/null outside the target
+    }
+  }
+
+  /**
+   * Collect elements of the target array
+   */
+  scanItems(chunk, index, items) {
+    // Between elements
+    if (!this.itemParts) {
+      const char = chunk[index];
+      if (isWhitespace(char) || char === ',') return index + 1;
+      if (char === ']') {
+        this.finished = true;
+        return index + 1;
+      }
+      this.itemParts = [];
+      this.itemDepth = 0;
+    }
+
+    const start = index;
+    let complete = false;
+    while (index < chunk.length && !complete) {
+      if (this.inString) {
+        index = this.scanString(chunk, index, null);
+        continue;
+      }
+
+      const char = chunk[index];
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        this.itemDepth++;
+      } else if (char === '}' || char === ']') {
+        if (this.itemDepth === 0) {
+          complete = true; // Array closes after a primitive element
+          break;
+        }
+        this.itemDepth--;
+        complete = this.itemDepth === 0;
+      } else if (char === ',' && this.itemDepth === 0) {
+        complete = true; // End of a primitive element
+        break;
+      }
+      index++;
+    }
+
+    this.itemParts.push(chunk.slice(start, index));
+    if (complete) {
+      items.push(JSON.parse(this.itemParts.join('')));
+      this.itemParts = null;
+    }
+    return index;
+  }
+}
+
+/**
+ * Stream the elements of the array at `path` in a JSON file
+ *
+ * @param {string} filePath - JSON file to read
+ * @param {Array<string>} path - Object keys leading to the array ([] for a top-level array)
+ * @yields {*} Each parsed element, in file order
+ * @throws {DatapackFormatError} When there is no array at `path`
+ */
+export async function* streamDatapackItems(filePath, path = []) {
+  const scanner = new ArrayItemScanner(path);
+  const stream = createReadStream(filePath, { encoding: 'utf8', highWaterMark: READ_CHUNK_SIZE });
+
+  try {
+    for await (const chunk of stream) {
+      for (const item of scanner.write(chunk)) {
+        yield item;
+      }
+      if (scanner.finished) break;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (!scanner.found) {
+    throw new DatapackFormatError(`No array at ${scanner.pathLabel} in ${filePath}`);
+  }
+  if (!scanner.finished) {
+    throw new DatapackFormatError(`Unexpected end of file in ${filePath}`);
+  }
+}
+
+/**
+ * Read every element of the array at `path` (for steps that need the full list)
+ */
+export async function readDatapackItems(filePath, path = []) {
+  const items = [];
+  for await (const item of streamDatapackItems(filePath, path)) {
+    items.push(item);
+  }
+  return items;
+}
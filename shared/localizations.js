@@ -0,0 +1,144 @@
+/**
+ * Localized Datapack Content
+ * Shared by the Commerce localization step and the ACO ingesters
+ *
+ * Reads generated/localizations.json from the data repo:
+ *   {
+ *     "defaultLocale": "en-US",
+ *     "locales": [{ "locale": "fr-FR", "storeViewCode": "buildright_fr" }],
+ *     "products":   { "LBR-001": { "fr-FR": { "name": "...", "description": "...", "meta_title": "..." } } },
+ *     "categories": { "lumber":  { "fr-FR": { "name": "Bois", "description": "..." } } },
+ *     "attributes": { "br_color": { "fr-FR": { "label": "Couleur", "options": { "Red": "Rouge" } } } }
+ *   }
+ *
+ * Products are keyed by SKU, categories by url_key (Commerce) / slug (ACO),
+ * attributes by code with option values keyed by their default-locale label.
+ * Locales without a storeViewCode are only sent to ACO.
+ */
+
+import { resolve } from 'path';
+import { existsSync, readFileSync } from 'fs';
+import { COMMERCE_CONFIG, DATA_REPO_PATH } from './config-loader.js';
+
+export const DATAPACK_LOCALIZATIONS_PATH = resolve(DATA_REPO_PATH, 'generated/localizations.json');
+
+let cachedLocalizations = null;
+
+/**
+ * Load localizations (empty structure when the project has none)
+ */
+export function loadLocalizations() {
+  if (cachedLocalizations) return cachedLocalizations;
+
+  const data = existsSync(DATAPACK_LOCALIZATIONS_PATH)
+    ? JSON.parse(readFileSync(DATAPACK_LOCALIZATIONS_PATH, 'utf-8'))
+    : {};
+
+  cachedLocalizations = {
+    defaultLocale: data.defaultLocale || COMMERCE_CONFIG.aco.locale,
+    locales: data.locales || [],
+    products: data.products || {},
+    categories: data.categories || {},
+    attributes: data.attributes || {}
+  };
+  return cachedLocalizations;
+}
+
+/**
+ * Locale the untranslated datapack content is written in
+ */
+export function getDefaultLocale() {
+  return loadLocalizations().defaultLocale;
+}
+
+/**
+ * Additional locales (excluding the default)
+ */
+export function getAdditionalLocales() {
+  const { defaultLocale, locales } = loadLocalizations();
+  return locales.map(entry => entry.locale).filter(locale => locale !== defaultLocale);
+}
+
+/**
+ * Locales that map to a Commerce store view
+ */
+export function getStoreViewLocales() {
+  const { defaultLocale, locales } = loadLocalizations();
+  return locales.filter(entry => entry.storeViewCode && entry.locale !== defaultLocale);
+}
+
+/**
+ * Translated fields for one entity in one locale ({} when untranslated)
+ */
+export function getLocalizedFields(type, key, locale) {
+  return loadLocalizations()[type]?.[key]?.[locale] || {};
+}
+
+/**
+ * Translate an attribute option label, falling back to the default label
+ */
+export function translateOptionLabel(attributeCode, label, locale) {
+  return getLocalizedFields('attributes', attributeCode, locale).options?.[label] ?? label;
+}
+
+// ==================== ACO Payloads ====================
+
+/**
+ * ACO copy of a product for another locale
+ * Untranslated fields keep the default-locale value so every locale has a complete catalog
+ */
+export function localizeACOProduct(product, locale) {
+  const fields = getLocalizedFields('products', product.sku, locale);
+  const localized = { ...product, source: { ...product.source, locale } };
+
+  if (fields.name) localized.name = fields.name;
+  if (fields.description) localized.description = fields.description;
+  if (fields.short_description) localized.shortDescription = fields.short_description;
+
+  if (product.metaTags || fields.meta_title || fields.meta_description || fields.meta_keyword) {
+    localized.metaTags = {
+      ...product.metaTags,
+      ...(fields.meta_title && { title: fields.meta_title }),
+      ...(fields.meta_description && { description: fields.meta_description }),
+      ...(fields.meta_keyword && { keywords: String(fields.meta_keyword).split(',').map(k => k.trim()) })
+    };
+  }
+
+  if (product.attributes) {
+    localized.attributes = product.attributes.map(attr => ({
+      ...attr,
+      values: (attr.values || []).map(value => translateOptionLabel(attr.code, value, locale))
+    }));
+  }
+
+  return localized;
+}
+
+/**
+ * ACO copy of a category for another locale
+ * Matches localizations by full slug, then by its last path segment (the url_key)
+ */
+export function localizeACOCategory(category, locale) {
+  const { categories } = loadLocalizations();
+  const key = categories[category.slug] ? category.slug : category.slug.split('/').pop();
+  const fields = getLocalizedFields('categories', key, locale);
+
+  return {
+    ...category,
+    source: { ...category.source, locale },
+    ...(fields.name && { name: fields.name }),
+    ...(fields.description && { description: fields.description })
+  };
+}
+
+/**
+ * ACO copy of attribute metadata for another locale
+ */
+export function localizeACOMetadata(metadata, locale) {
+  const fields = getLocalizedFields('attributes', metadata.code, locale);
+  return {
+    ...metadata,
+    source: { ...metadata.source, locale },
+    ...(fields.label && { label: fields.label })
+  };
+}
@@ -0,0 +1,282 @@
+/**
+ * Offline HTTP Helpers
+ * Minimal routing and request utilities shared by the offline stand-in servers
+ * (commerce/lib/offline-server.js, aco/lib/offline-server.js)
+ *
+ * Uses only Node's http module so the stand-ins run in CI without extra dependencies.
+ */
+
+import http from 'http';
+
+/**
+ * Error with an HTTP status, serialized in Commerce's { message, parameters } shape
+ */
+export class HttpError extends Error {
+  constructor(status, message, parameters = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.parameters = parameters;
+  }
+}
+
+/**
+ * Convenience constructor for Commerce-style "No such entity" errors
+ */
+export function noSuchEntity(fieldName, fieldValue) {
+  return new HttpError(404, 'No such entity with %fieldName = %fieldValue', { fieldName, fieldValue });
+}
+
+/**
+ * Create a simple method + path router
+ * Patterns are regular expressions; named groups are passed to handlers as params
+ */
+export function createRouter() {
+  const routes = [];
+
+  return {
+    add(method, pattern, handler) {
+      routes.push({ method, pattern, handler });
+      return this;
+    },
+
+    match(method, pathname) {
+      for (const route of routes) {
+        if (route.method !== method) continue;
+        const match = route.pattern.exec(pathname);
+        if (match) {
+          const params = {};
+          for (const [key, value] of Object.entries(match.groups || {})) {
+            params[key] = value === undefined ? undefined : decodeURIComponent(value);
+          }
+          return { handler: route.handler, params };
+        }
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Read and parse a JSON request body (empty body → null)
+ */
+export async function readJsonBody(req) {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString('utf-8');
+  if (!raw) return null;
+
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(raw));
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new HttpError(400, 'Decoding error: request body is not valid JSON');
+  }
+}
+
+/**
+ * Write a JSON response
+ */
+export function sendJson(res, status, body) {
+  const payload = body === undefined ? '' : JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  res.end(payload);
+}
+
+/**
+ * Parse Commerce searchCriteria query parameters
+ * Supports both filterGroups and filter_groups spellings, as used across the importers
+ *
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {{ filterGroups: Array<Array<Object>>, pageSize: number|null, currentPage: number }}
+ */
+export function parseSearchCriteria(searchParams) {
+  const groups = [];
+  let pageSize = null;
+  let currentPage = 1;
+
+  for (const [key, value] of searchParams.entries()) {
+    if (key === 'searchCriteria[pageSize]') {
+      pageSize = parseInt(value, 10);
+      continue;
+    }
+    if (key === 'searchCriteria[currentPage]') {
+      currentPage = parseInt(value, 10) || 1;
+      continue;
+    }
+
+    const match = /^searchCriteria\[(?:filterGroups|filter_groups)\]\[(\d+)\]\[filters\]\[(\d+)\]\[(\w+)\]$/.exec(key);
+    if (!match) continue;
+
+    const [, groupIndex, filterIndex, prop] = match;
+    groups[groupIndex] = groups[groupIndex] || [];
+    groups[groupIndex][filterIndex] = groups[groupIndex][filterIndex] || {};
+
+    const normalizedProp = prop === 'condition_type' ? 'conditionType' : prop;
+    groups[groupIndex][filterIndex][normalizedProp] = value;
+  }
+
+  return {
+    filterGroups: groups.filter(Boolean).map(filters => filters.filter(Boolean)),
+    pageSize,
+    currentPage
+  };
+}
+
+/**
+ * Evaluate a single Commerce filter against a value
+ */
+function matchesFilter(actual, filter) {
+  const { value, conditionType = 'eq' } = filter;
+  const values = Array.isArray(actual) ? actual.map(String) : [String(actual ?? '')];
+
+  switch (conditionType) {
+    case 'eq':
+      return values.includes(String(value));
+    case 'neq':
+      return !values.includes(String(value));
+    case 'in':
+      return String(value).split(',').some(v => values.includes(v.trim()));
+    case 'nin':
+      return !String(value).split(',').some(v => values.includes(v.trim()));
+    case 'like': {
+      const escaped = String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*');
+      const pattern = new RegExp(`^${escaped}$`, 'i');
+      return values.some(v => pattern.test(v));
+    }
+    case 'gt':
+      return values.some(v => Number(v) > Number(value));
+    case 'gteq':
+      return values.some(v => Number(v) >= Number(value));
+    case 'lt':
+      return values.some(v => Number(v) < Number(value));
+    case 'lteq':
+      return values.some(v => Number(v) <= Number(value));
+    default:
+      return values.includes(String(value));
+  }
+}
+
+/**
+ * Apply parsed searchCriteria to a list of entities
+ * Filters within a group are OR-ed, groups are AND-ed (Commerce semantics)
+ *
+ * @param {Array} items - Entities to search
+ * @param {Object} criteria - Result of parseSearchCriteria()
+ * @param {Function} getField - (item, field) => value used for filter matching
+ * @returns {{ items: Array, search_criteria: Object, total_count: number }}
+ */
+export function applySearchCriteria(items, criteria, getField = (item, field) => item[field]) {
+  const filtered = items.filter(item =>
+    criteria.filterGroups.every(filters =>
+      filters.some(filter => matchesFilter(getField(item, filter.field), filter))
+    )
+  );
+
+  let page = filtered;
+  if (criteria.pageSize) {
+    const start = (criteria.currentPage - 1) * criteria.pageSize;
+    page = filtered.slice(start, start + criteria.pageSize);
+  }
+
+  return {
+    items: page,
+    search_criteria: {
+      filter_groups: criteria.filterGroups.map(filters => ({ filters })),
+      page_size: criteria.pageSize || undefined,
+      current_page: criteria.currentPage
+    },
+    total_count: filtered.length
+  };
+}
+
+/**
+ * Start an HTTP server for a router
+ *
+ * @param {Object} router - Router created by createRouter()
+ * @param {Object} options - Server options
+ * @param {number} [options.port=0] - Port to listen on (0 = random free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to bind
+ * @param {Function} [options.authorize] - (req, pathname) => void, throws HttpError when unauthorized
+ * @param {Function} [options.onRequest] - (method, pathname, status) => void, for request logging
+ * @returns {Promise<{ server: http.Server, url: string, close: Function }>}
+ */
+export async function startServer(router, options = {}) {
+  const { port = 0, host = '127.0.0.1', authorize = null, onRequest = null } = options;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || host}`);
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+    let status = 200;
+
+    try {
+      const route = router.match(req.method, pathname);
+      if (!route) {
+        throw new HttpError(404, 'Request does not match any route.');
+      }
+
+      if (authorize) {
+        authorize(req, pathname);
+      }
+
+      const body = ['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method) ? await readJsonBody(req) : null;
+      const result = await route.handler({ params: route.params, query: url.searchParams, body, headers: req.headers, pathname });
+
+      if (result && result.__status) {
+        status = result.__status;
+        sendJson(res, status, result.body);
+      } else {
+        sendJson(res, status, result === undefined ? null : result);
+      }
+    } catch (error) {
+      status = error.status || 500;
+      const payload = { message: error.message };
+      if (error.parameters) payload.parameters = error.parameters;
+      sendJson(res, status, payload);
+    } finally {
+      if (onRequest) onRequest(req.method, pathname, status);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  const serverUrl = `http://${host}:${address.port}`;
+
+  return {
+    server,
+    url: serverUrl,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+/**
+ * Wrap a response body with a non-200 status
+ */
+export function withStatus(status, body) {
+  return { __status: status, body };
+}
+
+export default {
+  HttpError,
+  noSuchEntity,
+  createRouter,
+  readJsonBody,
+  sendJson,
+  parseSearchCriteria,
+  applySearchCriteria,
+  startServer,
+  withStatus
+};
@@ -0,0 +1,88 @@
+/**
+ * Product Link Definitions
+ * Shared by the Commerce product-links step and the ACO product ingesters
+ *
+ * Links come from the ACCS link columns on accs_products.json records:
+ *   related_skus, related_position, upsell_skus, upsell_position, crosssell_skus, crosssell_position
+ * SKU and position lists are comma-separated strings or arrays, matched by index.
+ * Without positions, links are numbered in list order.
+ */
+
+import { resolve } from 'path';
+import { existsSync } from 'fs';
+import { DATA_REPO_PATH } from './config-loader.js';
+import { streamDatapackItems } from './datapack-reader.js';
+
+export const DATAPACK_PRODUCTS_PATH = resolve(DATA_REPO_PATH, 'generated/commerce/data/accs/accs_products.json');
+
+export const LINK_TYPES = ['related', 'upsell', 'crosssell'];
+
+// Datapack columns carrying links (kept out of the custom attribute mapping)
+export const LINK_FIELDS = LINK_TYPES.flatMap(type => [`${type}_skus`, `${type}_position`]);
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Normalized links for one datapack product
+ * @returns {Array<{sku, type, linkedSku, position}>}
+ */
+export function extractProductLinks(product) {
+  const links = [];
+  for (const type of LINK_TYPES) {
+    const skus = toList(product[`${type}_skus`]);
+    const positions = toList(product[`${type}_position`]);
+    skus.forEach((linkedSku, index) => {
+      const position = Number(positions[index]);
+      links.push({
+        sku: product.sku,
+        type,
+        linkedSku,
+        position: Number.isFinite(position) ? position : index + 1
+      });
+    });
+  }
+  return links;
+}
+
+/**
+ * Load every link in the datapack ([] when there are none)
+ * Products are streamed; only their links are kept
+ */
+export async function loadProductLinks() {
+  if (!existsSync(DATAPACK_PRODUCTS_PATH)) return [];
+  const links = [];
+  for await (const product of streamDatapackItems(DATAPACK_PRODUCTS_PATH, ['source', 'items'])) {
+    links.push(...extractProductLinks(product));
+  }
+  return links;
+}
+
+/**
+ * Add datapack links to ACO product payloads
+ * Links already present on a product (same type and SKU) are kept as-is
+ */
+export async function withACOLinks(products, links = null) {
+  const productLinks = links || await loadProductLinks();
+  if (productLinks.length === 0) return products;
+
+  const linksBySku = new Map();
+  for (const link of [...productLinks].sort((a, b) => a.position - b.position)) {
+    if (!linksBySku.has(link.sku)) linksBySku.set(link.sku, []);
+    linksBySku.get(link.sku).push({ type: link.type, sku: link.linkedSku });
+  }
+
+  return products.map(product => {
+    const extra = linksBySku.get(product.sku);
+    if (!extra) return product;
+    const existing = product.links || [];
+    const seen = new Set(existing.map(link => `${link.type}|${link.sku}`));
+    return {
+      ...product,
+      links: [...existing, ...extra.filter(link => !seen.has(`${link.type}|${link.sku}`))]
+    };
+  });
+}